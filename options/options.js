@@ -0,0 +1,959 @@
+'use strict';
+
+const siteSearch = document.getElementById('siteSearch');
+const siteSort = document.getElementById('siteSort');
+const siteList = document.getElementById('siteList');
+const siteEmpty = document.getElementById('siteEmpty');
+const siteCount = document.getElementById('siteCount');
+const resetSitesBtn = document.getElementById('resetSitesBtn');
+const siteStatus = document.getElementById('siteStatus');
+const pruneLimit = document.getElementById('pruneLimit');
+const forgetDefault = document.getElementById('forgetDefault');
+const pruneStatus = document.getElementById('pruneStatus');
+const prunedList = document.getElementById('prunedList');
+const prunedEmpty = document.getElementById('prunedEmpty');
+const restoreAllBtn = document.getElementById('restoreAllBtn');
+const clearPrunedBtn = document.getElementById('clearPrunedBtn');
+const rememberMute = document.getElementById('rememberMute');
+const rememberLock = document.getElementById('rememberLock');
+const rememberStatus = document.getElementById('rememberStatus');
+const hotkeysEnabled = document.getElementById('hotkeysEnabled');
+const hotkeyStep = document.getElementById('hotkeyStep');
+const hotkeyFineStep = document.getElementById('hotkeyFineStep');
+const hotkeyStatus = document.getElementById('hotkeyStatus');
+const hotkeyList = document.getElementById('hotkeyList');
+const hotkeySiteList = document.getElementById('hotkeySiteList');
+const hotkeySiteEmpty = document.getElementById('hotkeySiteEmpty');
+const hotkeySiteInput = document.getElementById('hotkeySiteInput');
+const addHotkeySiteBtn = document.getElementById('addHotkeySiteBtn');
+const ruleList = document.getElementById('ruleList');
+const ruleEmpty = document.getElementById('ruleEmpty');
+const addRuleBtn = document.getElementById('addRuleBtn');
+const quietStatus = document.getElementById('quietStatus');
+const siteRuleList = document.getElementById('siteRuleList');
+const siteRuleEmpty = document.getElementById('siteRuleEmpty');
+const sitePatternInput = document.getElementById('sitePatternInput');
+const addSiteRuleBtn = document.getElementById('addSiteRuleBtn');
+const siteRuleStatus = document.getElementById('siteRuleStatus');
+const duckEnabled = document.getElementById('duckEnabled');
+const duckLevel = document.getElementById('duckLevel');
+const duckFade = document.getElementById('duckFade');
+const duckStatus = document.getElementById('duckStatus');
+const syncEnabled = document.getElementById('syncEnabled');
+const syncNowBtn = document.getElementById('syncNowBtn');
+const syncStatus = document.getElementById('syncStatus');
+const syncInfo = document.getElementById('syncInfo');
+const exportBtn = document.getElementById('exportBtn');
+const importBtn = document.getElementById('importBtn');
+const importFile = document.getElementById('importFile');
+const backupStatus = document.getElementById('backupStatus');
+const importPreview = document.getElementById('importPreview');
+const importSummary = document.getElementById('importSummary');
+const importChanges = document.getElementById('importChanges');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+
+const DAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const HOTKEY_LABELS = {
+    volumeUp: 'Volume up',
+    volumeDown: 'Volume down',
+    toggleMute: 'Mute / unmute',
+    resetVolume: 'Reset to 100%'
+};
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+let sites = [];
+let rules = [];
+let siteRules = [];
+let prunedSites = [];
+let hotkeys = Hotkeys.normalizeHotkeys();
+// Browser-wide shortcuts from `commands.getAll()`; in-page bindings may not shadow them.
+let browserCommands = [];
+let pendingImport = null;
+const statusTimers = new Map();
+
+/** Show a short-lived result next to a section's controls. */
+function flashStatus(statusEl, text) {
+    statusEl.textContent = text;
+    clearTimeout(statusTimers.get(statusEl));
+    statusTimers.set(statusEl, setTimeout(() => {
+        statusEl.textContent = '';
+    }, 1500));
+}
+
+/** Save one storage entry and flash the result. */
+async function saveSetting(key, value, statusEl) {
+    try {
+        await browser.storage.local.set({ [key]: value });
+        flashStatus(statusEl, 'Saved');
+    } catch (_) {
+        flashStatus(statusEl, 'Could not save');
+    }
+}
+
+// ─── Saved sites ───────────────────────────────────────────────────────────
+
+const SITE_SORTERS = {
+    lastUsed: (a, b) => (b.lastUsed || 0) - (a.lastUsed || 0) || a.origin.localeCompare(b.origin),
+    origin: (a, b) => a.origin.localeCompare(b.origin),
+    volumeDesc: (a, b) => b.volume - a.volume || a.origin.localeCompare(b.origin),
+    volumeAsc: (a, b) => a.volume - b.volume || a.origin.localeCompare(b.origin)
+};
+
+function lastUsedKey(origin) {
+    return VolumeState.keyForSetting(VolumeState.LAST_USED_SETTING, origin);
+}
+
+function formatLastUsed(timestamp) {
+    if (typeof timestamp !== 'number') return 'Not recorded';
+    return new Date(timestamp).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/** Read every saved origin volume and its last-used date. */
+async function loadSites() {
+    let data;
+    try {
+        data = await browser.storage.local.get(null);
+    } catch (_) {
+        data = {};
+    }
+    sites = Object.keys(data)
+        .map(key => VolumeState.originFromKey(key))
+        .filter(Boolean)
+        .map(origin => {
+            const record = VolumeState.normalizeSiteRecord(data[VolumeState.keyForOrigin(origin)]);
+            return { origin, record, volume: record.volume, lastUsed: data[lastUsedKey(origin)] };
+        });
+    renderSites();
+}
+
+async function updateSiteVolume(origin, value) {
+    const volume = VolumeState.normalizeVolume(value);
+    let record = null;
+    sites = sites.map(site => {
+        if (site.origin !== origin) return site;
+        record = { ...site.record, volume };
+        return { ...site, record, volume };
+    });
+    renderSites();
+    await saveSetting(VolumeState.keyForOrigin(origin), record, siteStatus);
+}
+
+async function removeSites(origins, message) {
+    const keys = origins.flatMap(origin => [VolumeState.keyForOrigin(origin), lastUsedKey(origin)]);
+    try {
+        await browser.storage.local.remove(keys);
+        sites = sites.filter(site => !origins.includes(site.origin));
+        flashStatus(siteStatus, message);
+    } catch (_) {
+        flashStatus(siteStatus, 'Could not save');
+    }
+    renderSites();
+}
+
+function createSiteRow(site) {
+    const row = document.createElement('li');
+    row.className = 'rule';
+
+    const name = document.createElement('span');
+    name.className = 'site__origin';
+    name.textContent = site.origin;
+    name.title = site.origin;
+
+    const volume = document.createElement('label');
+    volume.className = 'field';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'text-input text-input--narrow';
+    volumeInput.min = '0';
+    volumeInput.max = '200';
+    volumeInput.value = site.volume;
+    volumeInput.setAttribute('aria-label', `Volume for ${site.origin}`);
+    volumeInput.addEventListener('change', () => updateSiteVolume(site.origin, volumeInput.value));
+    volume.append(volumeInput, '%');
+
+    const flags = document.createElement('span');
+    flags.className = 'site__flags';
+    flags.textContent = [site.record.muted && 'muted', site.record.locked && 'locked'].filter(Boolean).join(', ');
+
+    const used = document.createElement('span');
+    used.className = 'site__used';
+    used.textContent = formatLastUsed(site.lastUsed);
+    used.title = 'Last used';
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-btn text-btn--danger';
+    remove.textContent = 'Delete';
+    remove.setAttribute('aria-label', `Delete ${site.origin}`);
+    remove.addEventListener('click', () => removeSites([site.origin], 'Deleted'));
+
+    row.append(name, volume, flags, used, remove);
+    return row;
+}
+
+function renderSites() {
+    const query = siteSearch.value.trim().toLowerCase();
+    const visible = sites
+        .filter(site => site.origin.toLowerCase().includes(query))
+        .sort(SITE_SORTERS[siteSort.value] || SITE_SORTERS.lastUsed);
+    siteList.replaceChildren(...visible.map(createSiteRow));
+    siteEmpty.textContent = sites.length === 0 ? 'No saved sites.' : 'No sites match your search.';
+    siteEmpty.classList.toggle('is-hidden', visible.length > 0);
+    siteCount.textContent = visible.length === sites.length
+        ? `${sites.length} ${sites.length === 1 ? 'site' : 'sites'}`
+        : `${visible.length} of ${sites.length} sites`;
+    resetSitesBtn.disabled = sites.length === 0;
+}
+
+siteSearch.addEventListener('input', renderSites);
+siteSort.addEventListener('change', renderSites);
+resetSitesBtn.addEventListener('click', () => {
+    if (!window.confirm(`Reset all ${sites.length} saved sites to 100%?`)) return;
+    removeSites(sites.map(site => site.origin), 'All sites reset');
+});
+
+// Volumes changed in open tabs show up without reloading the page.
+browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && Object.keys(changes).some(key => VolumeState.originFromKey(key))) loadSites();
+});
+
+// ─── Storage limit ─────────────────────────────────────────────────────────
+
+async function loadPruneSettings() {
+    let data;
+    try {
+        data = await browser.storage.local.get([SitePruning.PRUNE_SETTINGS_KEY, SitePruning.PRUNED_SITES_KEY]);
+    } catch (_) {
+        data = {};
+    }
+    const settings = SitePruning.normalizePruneSettings(data[SitePruning.PRUNE_SETTINGS_KEY]);
+    pruneLimit.value = settings.limit;
+    forgetDefault.checked = settings.forgetDefault;
+    prunedSites = SitePruning.normalizePrunedSites(data[SitePruning.PRUNED_SITES_KEY]);
+    renderPrunedSites();
+}
+
+/** The background prunes as soon as the new limit is saved. */
+function savePruneSettings() {
+    const settings = SitePruning.normalizePruneSettings({ limit: pruneLimit.value, forgetDefault: forgetDefault.checked });
+    pruneLimit.value = settings.limit;
+    return saveSetting(SitePruning.PRUNE_SETTINGS_KEY, settings, pruneStatus);
+}
+
+// Restored sites count as used now, so they are not the first to go again.
+async function restorePrunedSites(origins) {
+    const now = Date.now();
+    const payload = {};
+    prunedSites.filter(site => origins.includes(site.origin)).forEach(site => {
+        if (site.record) payload[VolumeState.keyForOrigin(site.origin)] = site.record;
+        Object.assign(payload, site.settings);
+        payload[lastUsedKey(site.origin)] = now;
+    });
+    prunedSites = prunedSites.filter(site => !origins.includes(site.origin));
+    payload[SitePruning.PRUNED_SITES_KEY] = prunedSites;
+    try {
+        await browser.storage.local.set(payload);
+        flashStatus(pruneStatus, origins.length === 1 ? 'Restored' : `Restored ${origins.length} sites`);
+    } catch (_) {
+        flashStatus(pruneStatus, 'Could not save');
+    }
+    renderPrunedSites();
+}
+
+async function clearPrunedSites() {
+    prunedSites = [];
+    renderPrunedSites();
+    await saveSetting(SitePruning.PRUNED_SITES_KEY, prunedSites, pruneStatus);
+}
+
+function createPrunedRow(site) {
+    const row = document.createElement('li');
+    row.className = 'rule';
+
+    const name = document.createElement('span');
+    name.className = 'site__origin';
+    name.textContent = site.origin;
+    name.title = site.origin;
+
+    const volume = document.createElement('span');
+    volume.className = 'site__flags';
+    volume.textContent = site.record ? `${site.record.volume}%` : 'Site settings only';
+
+    const when = document.createElement('span');
+    when.className = 'site__used';
+    when.textContent = formatLastUsed(site.prunedAt);
+    when.title = 'Forgotten on';
+
+    const restore = document.createElement('button');
+    restore.type = 'button';
+    restore.className = 'text-btn';
+    restore.textContent = 'Restore';
+    restore.setAttribute('aria-label', `Restore ${site.origin}`);
+    restore.addEventListener('click', () => restorePrunedSites([site.origin]));
+
+    row.append(name, volume, when, restore);
+    return row;
+}
+
+function renderPrunedSites() {
+    prunedList.replaceChildren(...prunedSites.map(createPrunedRow));
+    prunedEmpty.classList.toggle('is-hidden', prunedSites.length > 0);
+    restoreAllBtn.disabled = prunedSites.length === 0;
+    clearPrunedBtn.disabled = prunedSites.length === 0;
+}
+
+[pruneLimit, forgetDefault].forEach(input => input.addEventListener('change', savePruneSettings));
+restoreAllBtn.addEventListener('click', () => restorePrunedSites(prunedSites.map(site => site.origin)));
+clearPrunedBtn.addEventListener('click', clearPrunedSites);
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && SitePruning.PRUNED_SITES_KEY in changes) loadPruneSettings();
+});
+
+// ─── Keep after reload ─────────────────────────────────────────────────────
+
+async function loadRememberState() {
+    let stored;
+    try {
+        const data = await browser.storage.local.get(VolumeState.REMEMBER_STATE_KEY);
+        stored = data[VolumeState.REMEMBER_STATE_KEY];
+    } catch (_) {
+        stored = undefined;
+    }
+    const settings = VolumeState.normalizeRememberState(stored);
+    rememberMute.checked = settings.mute;
+    rememberLock.checked = settings.lock;
+}
+
+function saveRememberState() {
+    const settings = VolumeState.normalizeRememberState({ mute: rememberMute.checked, lock: rememberLock.checked });
+    return saveSetting(VolumeState.REMEMBER_STATE_KEY, settings, rememberStatus);
+}
+
+[rememberMute, rememberLock].forEach(input => input.addEventListener('change', saveRememberState));
+
+// ─── In-page hotkeys ───────────────────────────────────────────────────────
+
+/** Open tabs pick up the saved bindings without a reload. */
+function saveHotkeys() {
+    return saveSetting(Hotkeys.HOTKEYS_KEY, hotkeys, hotkeyStatus);
+}
+
+function setBinding(action, combo, input) {
+    const clash = Hotkeys.HOTKEY_ACTIONS.find(other => other !== action && combo && hotkeys.bindings[other] === combo);
+    const command = clash ? null : Hotkeys.findCommandClash(action, combo, browserCommands);
+    input.classList.toggle('is-invalid', Boolean(clash || command));
+    if (clash) {
+        flashStatus(hotkeyStatus, `Already used for ${HOTKEY_LABELS[clash].toLowerCase()}`);
+        return;
+    }
+    if (command) {
+        flashStatus(hotkeyStatus, `Already used by the browser shortcut "${command.description || command.name}"`);
+        return;
+    }
+    hotkeys = { ...hotkeys, bindings: { ...hotkeys.bindings, [action]: combo } };
+    renderHotkeys();
+    saveHotkeys();
+}
+
+// The input records key presses instead of text; Tab still moves focus.
+function captureBinding(action, input, event) {
+    if (event.key === 'Tab') return;
+    event.preventDefault();
+    if (event.key === 'Backspace' || event.key === 'Delete') {
+        setBinding(action, '', input);
+        return;
+    }
+    const pressed = Hotkeys.comboFromEvent(event);
+    if (!pressed) return;
+    const combo = Hotkeys.normalizeCombo(pressed);
+    input.classList.toggle('is-invalid', !combo);
+    if (!combo) {
+        flashStatus(hotkeyStatus, 'Use Alt, Ctrl or ⌘ with a letter, digit or arrow');
+        return;
+    }
+    setBinding(action, combo, input);
+}
+
+function createHotkeyRow(action) {
+    const row = document.createElement('li');
+    row.className = 'rule';
+
+    const name = document.createElement('span');
+    name.className = 'site__origin';
+    name.textContent = HOTKEY_LABELS[action];
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.readOnly = true;
+    input.className = 'text-input hotkey-input';
+    input.value = Hotkeys.formatCombo(hotkeys.bindings[action]);
+    input.placeholder = 'Off';
+    input.setAttribute('aria-label', `Shortcut for ${HOTKEY_LABELS[action].toLowerCase()}`);
+    input.addEventListener('keydown', event => captureBinding(action, input, event));
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'text-btn';
+    reset.textContent = 'Default';
+    reset.disabled = hotkeys.bindings[action] === Hotkeys.DEFAULT_HOTKEYS.bindings[action];
+    reset.addEventListener('click', () => setBinding(action, Hotkeys.DEFAULT_HOTKEYS.bindings[action], input));
+
+    row.append(name, input, reset);
+    return row;
+}
+
+function createHotkeySiteRow(site) {
+    const row = document.createElement('li');
+    row.className = 'rule';
+
+    const name = document.createElement('span');
+    name.className = 'site__origin';
+    name.textContent = site;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-btn text-btn--danger';
+    remove.textContent = 'Remove';
+    remove.setAttribute('aria-label', `Turn hotkeys back on for ${site}`);
+    remove.addEventListener('click', () => {
+        hotkeys = { ...hotkeys, disabledSites: hotkeys.disabledSites.filter(item => item !== site) };
+        renderHotkeys();
+        saveHotkeys();
+    });
+
+    row.append(name, remove);
+    return row;
+}
+
+function renderHotkeys() {
+    hotkeysEnabled.checked = hotkeys.enabled;
+    hotkeyStep.value = hotkeys.step;
+    hotkeyFineStep.value = hotkeys.fineStep;
+    hotkeyList.replaceChildren(...Hotkeys.HOTKEY_ACTIONS.map(createHotkeyRow));
+    hotkeySiteList.replaceChildren(...hotkeys.disabledSites.map(createHotkeySiteRow));
+    hotkeySiteEmpty.classList.toggle('is-hidden', hotkeys.disabledSites.length > 0);
+}
+
+async function loadHotkeys() {
+    let stored;
+    try {
+        const data = await browser.storage.local.get(Hotkeys.HOTKEYS_KEY);
+        stored = data[Hotkeys.HOTKEYS_KEY];
+    } catch (_) {
+        stored = undefined;
+    }
+    try {
+        browserCommands = await browser.commands.getAll();
+    } catch (_) {
+        browserCommands = [];
+    }
+    hotkeys = Hotkeys.normalizeHotkeys(stored);
+    renderHotkeys();
+}
+
+function updateHotkeyOptions() {
+    hotkeys = Hotkeys.normalizeHotkeys({
+        ...hotkeys,
+        enabled: hotkeysEnabled.checked,
+        step: hotkeyStep.value,
+        fineStep: hotkeyFineStep.value
+    });
+    renderHotkeys();
+    saveHotkeys();
+}
+
+function addHotkeySite() {
+    const site = Hotkeys.normalizeSiteEntry(hotkeySiteInput.value);
+    hotkeySiteInput.classList.toggle('is-invalid', !site);
+    if (!site) return;
+    hotkeySiteInput.value = '';
+    if (hotkeys.disabledSites.includes(site)) return;
+    hotkeys = { ...hotkeys, disabledSites: [...hotkeys.disabledSites, site] };
+    renderHotkeys();
+    saveHotkeys();
+}
+
+[hotkeysEnabled, hotkeyStep, hotkeyFineStep].forEach(input => input.addEventListener('change', updateHotkeyOptions));
+addHotkeySiteBtn.addEventListener('click', addHotkeySite);
+hotkeySiteInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addHotkeySite();
+});
+
+// ─── Quiet hours ───────────────────────────────────────────────────────────
+
+/** Persist the schedule; the background re-evaluates it on every change. */
+function saveRules() {
+    return saveSetting(QuietHours.QUIET_HOURS_KEY, rules, quietStatus);
+}
+
+function updateRule(id, patch) {
+    rules = rules.map(rule => (rule.id === id ? QuietHours.normalizeRule({ ...rule, ...patch }, 0) : rule));
+    renderRules();
+    saveRules();
+}
+
+function createTimeInput(rule, field, label) {
+    const wrap = document.createElement('label');
+    wrap.className = 'field';
+    const input = document.createElement('input');
+    input.type = 'time';
+    input.className = 'text-input';
+    input.value = rule[field];
+    input.required = true;
+    input.addEventListener('change', () => {
+        if (QuietHours.parseTime(input.value) !== null) updateRule(rule.id, { [field]: input.value });
+    });
+    wrap.append(label, input);
+    return wrap;
+}
+
+// No days selected means the window runs every day.
+function createDayToggles(rule) {
+    const days = document.createElement('span');
+    days.className = 'rule__days';
+    days.setAttribute('role', 'group');
+    days.setAttribute('aria-label', 'Days (none selected means every day)');
+    DAY_LABELS.forEach((text, day) => {
+        const label = document.createElement('label');
+        label.className = 'rule__day';
+        label.title = DAY_NAMES[day];
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = rule.days.includes(day);
+        input.setAttribute('aria-label', DAY_NAMES[day]);
+        input.addEventListener('change', () => {
+            const next = input.checked ? [...rule.days, day] : rule.days.filter(item => item !== day);
+            updateRule(rule.id, { days: next });
+        });
+        const span = document.createElement('span');
+        span.textContent = text;
+        label.append(input, span);
+        days.append(label);
+    });
+    return days;
+}
+
+function createRuleRow(rule) {
+    const row = document.createElement('li');
+    row.className = `rule${rule.enabled ? '' : ' is-disabled'}`;
+
+    const enabled = document.createElement('label');
+    enabled.className = 'toggle';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = rule.enabled;
+    enabledInput.setAttribute('aria-label', 'Enabled');
+    enabledInput.addEventListener('change', () => updateRule(rule.id, { enabled: enabledInput.checked }));
+    enabled.append(enabledInput);
+
+    const cap = document.createElement('label');
+    cap.className = 'field';
+    const capInput = document.createElement('input');
+    capInput.type = 'number';
+    capInput.className = 'text-input text-input--narrow';
+    capInput.min = '0';
+    capInput.max = rule.allowBoost ? '200' : '100';
+    capInput.value = QuietHours.ruleCap(rule);
+    capInput.addEventListener('change', () => updateRule(rule.id, { maxVolume: capInput.value }));
+    cap.append('Cap at', capInput, '%');
+
+    const boost = document.createElement('label');
+    boost.className = 'toggle';
+    const boostInput = document.createElement('input');
+    boostInput.type = 'checkbox';
+    boostInput.checked = rule.allowBoost;
+    boostInput.addEventListener('change', () => updateRule(rule.id, { allowBoost: boostInput.checked }));
+    boost.append(boostInput, 'Allow boost');
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-btn text-btn--danger rule__delete';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+        rules = rules.filter(item => item.id !== rule.id);
+        renderRules();
+        saveRules();
+    });
+
+    row.append(
+        enabled,
+        createTimeInput(rule, 'start', 'From'),
+        createTimeInput(rule, 'end', 'to'),
+        createDayToggles(rule),
+        cap,
+        boost,
+        remove
+    );
+    return row;
+}
+
+function renderRules() {
+    ruleList.replaceChildren(...rules.map(createRuleRow));
+    ruleEmpty.classList.toggle('is-hidden', rules.length > 0);
+}
+
+async function loadRules() {
+    try {
+        const data = await browser.storage.local.get(QuietHours.QUIET_HOURS_KEY);
+        rules = QuietHours.normalizeSchedule(data[QuietHours.QUIET_HOURS_KEY]);
+    } catch (_) {
+        rules = [];
+    }
+    renderRules();
+}
+
+addRuleBtn.addEventListener('click', () => {
+    rules = [...rules, QuietHours.normalizeRule({ ...QuietHours.DEFAULT_RULE, id: `rule-${Date.now()}` }, rules.length)];
+    renderRules();
+    saveRules();
+});
+
+// ─── Site rules ────────────────────────────────────────────────────────────
+
+function saveSiteRules() {
+    return saveSetting(SiteRules.SITE_RULES_KEY, siteRules, siteRuleStatus);
+}
+
+function updateSiteRule(id, patch) {
+    siteRules = siteRules.map(rule => (rule.id === id ? SiteRules.normalizeRule({ ...rule, ...patch }, 0) : rule));
+    renderSiteRules();
+    saveSiteRules();
+}
+
+function moveSiteRule(index, offset) {
+    const next = siteRules.slice();
+    const [rule] = next.splice(index, 1);
+    next.splice(index + offset, 0, rule);
+    siteRules = next;
+    renderSiteRules();
+    saveSiteRules();
+}
+
+function createOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+}
+
+// Rule fields are tri-state: a value, or empty to keep the site's own setting.
+function createChoiceSelect(rule, field, label, choices) {
+    const wrap = document.createElement('label');
+    wrap.className = 'field';
+    const select = document.createElement('select');
+    select.className = 'text-input';
+    select.append(createOption('', 'Site setting'), ...choices.map(([value, text]) => createOption(value, text)));
+    // Keep values this page has no label for, such as user EQ presets.
+    if (rule[field] !== null && !choices.some(([value]) => value === String(rule[field]))) {
+        choices = [...choices, [String(rule[field]), String(rule[field]), rule[field]]];
+        select.append(createOption(String(rule[field]), String(rule[field])));
+    }
+    select.value = rule[field] === null ? '' : String(rule[field]);
+    select.addEventListener('change', () => {
+        const choice = choices.find(([value]) => value === select.value);
+        updateSiteRule(rule.id, { [field]: choice ? choice[2] : null });
+    });
+    wrap.append(label, select);
+    return wrap;
+}
+
+function createSiteRuleRow(rule, index) {
+    const row = document.createElement('li');
+    row.className = `rule${rule.enabled ? '' : ' is-disabled'}`;
+
+    const enabled = document.createElement('label');
+    enabled.className = 'toggle';
+    const enabledInput = document.createElement('input');
+    enabledInput.type = 'checkbox';
+    enabledInput.checked = rule.enabled;
+    enabledInput.setAttribute('aria-label', 'Enabled');
+    enabledInput.addEventListener('change', () => updateSiteRule(rule.id, { enabled: enabledInput.checked }));
+    enabled.append(enabledInput);
+
+    const pattern = document.createElement('input');
+    pattern.type = 'text';
+    pattern.className = 'text-input site-rule__pattern';
+    pattern.value = rule.pattern;
+    pattern.spellcheck = false;
+    pattern.setAttribute('aria-label', 'Pattern');
+    pattern.addEventListener('change', () => {
+        const valid = SiteRules.parsePattern(pattern.value) !== null;
+        pattern.classList.toggle('is-invalid', !valid);
+        if (valid) updateSiteRule(rule.id, { pattern: pattern.value });
+    });
+
+    const volume = document.createElement('label');
+    volume.className = 'field';
+    const volumeInput = document.createElement('input');
+    volumeInput.type = 'number';
+    volumeInput.className = 'text-input text-input--narrow';
+    volumeInput.min = '0';
+    volumeInput.max = '200';
+    volumeInput.placeholder = '—';
+    volumeInput.value = rule.volume === null ? '' : rule.volume;
+    volumeInput.addEventListener('change', () => updateSiteRule(rule.id, { volume: volumeInput.value }));
+    volume.append('Volume', volumeInput, '%');
+
+    const eqChoices = Object.entries(AudioEffects.EQ_PRESETS).map(([key, preset]) => [key, preset.label, key]);
+    const muteChoices = [['true', 'Muted', true], ['false', 'Unmuted', false]];
+    const lockChoices = [['true', 'Locked', true], ['false', 'Unlocked', false]];
+
+    const up = document.createElement('button');
+    up.type = 'button';
+    up.className = 'text-btn';
+    up.textContent = '↑';
+    up.setAttribute('aria-label', 'Move up');
+    up.disabled = index === 0;
+    up.addEventListener('click', () => moveSiteRule(index, -1));
+
+    const down = document.createElement('button');
+    down.type = 'button';
+    down.className = 'text-btn';
+    down.textContent = '↓';
+    down.setAttribute('aria-label', 'Move down');
+    down.disabled = index === siteRules.length - 1;
+    down.addEventListener('click', () => moveSiteRule(index, 1));
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'text-btn text-btn--danger rule__delete';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+        siteRules = siteRules.filter(item => item.id !== rule.id);
+        renderSiteRules();
+        saveSiteRules();
+    });
+
+    row.append(
+        enabled,
+        pattern,
+        volume,
+        createChoiceSelect(rule, 'eqPreset', 'EQ', eqChoices),
+        createChoiceSelect(rule, 'muted', 'Mute', muteChoices),
+        createChoiceSelect(rule, 'locked', 'Lock', lockChoices),
+        remove,
+        up,
+        down
+    );
+    return row;
+}
+
+function renderSiteRules() {
+    siteRuleList.replaceChildren(...siteRules.map(createSiteRuleRow));
+    siteRuleEmpty.classList.toggle('is-hidden', siteRules.length > 0);
+}
+
+async function loadSiteRules() {
+    try {
+        const data = await browser.storage.local.get(SiteRules.SITE_RULES_KEY);
+        siteRules = SiteRules.normalizeRules(data[SiteRules.SITE_RULES_KEY]);
+    } catch (_) {
+        siteRules = [];
+    }
+    renderSiteRules();
+}
+
+function addSiteRule() {
+    const rule = SiteRules.normalizeRule({ id: `site-rule-${Date.now()}`, pattern: sitePatternInput.value }, siteRules.length);
+    sitePatternInput.classList.toggle('is-invalid', !rule);
+    if (!rule) return;
+    sitePatternInput.value = '';
+    siteRules = [...siteRules, rule];
+    renderSiteRules();
+    saveSiteRules();
+}
+
+addSiteRuleBtn.addEventListener('click', addSiteRule);
+sitePatternInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addSiteRule();
+});
+
+// ─── Auto-duck ─────────────────────────────────────────────────────────────
+
+function renderDuckSettings(settings) {
+    duckEnabled.checked = settings.enabled;
+    duckLevel.value = settings.level;
+    duckFade.value = String(settings.fadeMs);
+    if (duckFade.value !== String(settings.fadeMs)) duckFade.value = String(AutoDuck.DEFAULT_DUCK.fadeMs);
+}
+
+async function loadDuckSettings() {
+    let stored;
+    try {
+        const data = await browser.storage.local.get(AutoDuck.DUCK_SETTINGS_KEY);
+        stored = data[AutoDuck.DUCK_SETTINGS_KEY];
+    } catch (_) {
+        stored = undefined;
+    }
+    renderDuckSettings(AutoDuck.normalizeDuckSettings(stored));
+}
+
+function saveDuckSettings() {
+    const settings = AutoDuck.normalizeDuckSettings({
+        enabled: duckEnabled.checked,
+        level: duckLevel.value,
+        fadeMs: duckFade.value
+    });
+    renderDuckSettings(settings);
+    return saveSetting(AutoDuck.DUCK_SETTINGS_KEY, settings, duckStatus);
+}
+
+[duckEnabled, duckLevel, duckFade].forEach(input => input.addEventListener('change', saveDuckSettings));
+
+// ─── Sync ──────────────────────────────────────────────────────────────────
+
+function describeSyncStatus(status) {
+    if (!status || !status.lastSync) return status && status.error ? `Sync failed: ${status.error}` : 'Not synced yet.';
+    const when = new Date(status.lastSync).toLocaleString();
+    if (status.error) return `Last sync failed: ${status.error} (last success ${when}).`;
+    const trimmed = status.trimmed > 0 ? ` ${status.trimmed} least-used sites did not fit and stay on this device.` : '';
+    return `Last synced ${when}.${trimmed}`;
+}
+
+async function loadSyncSettings() {
+    let data;
+    try {
+        data = await browser.storage.local.get([SettingsSync.SYNC_SETTINGS_KEY, SettingsSync.SYNC_STATUS_KEY]);
+    } catch (_) {
+        data = {};
+    }
+    const settings = SettingsSync.normalizeSyncSettings(data[SettingsSync.SYNC_SETTINGS_KEY]);
+    syncEnabled.checked = settings.enabled;
+    syncNowBtn.disabled = !settings.enabled;
+    syncInfo.textContent = settings.enabled ? describeSyncStatus(data[SettingsSync.SYNC_STATUS_KEY]) : '';
+}
+
+async function syncNow() {
+    syncNowBtn.disabled = true;
+    try {
+        await browser.runtime.sendMessage({ action: 'sync-now' });
+    } catch (_) {
+        flashStatus(syncStatus, 'Could not sync');
+    }
+    loadSyncSettings();
+}
+
+// Turning sync on makes the background run a first round straight away.
+syncEnabled.addEventListener('change', async () => {
+    await saveSetting(SettingsSync.SYNC_SETTINGS_KEY, { enabled: syncEnabled.checked }, syncStatus);
+    loadSyncSettings();
+});
+syncNowBtn.addEventListener('click', syncNow);
+
+browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && SettingsSync.SYNC_STATUS_KEY in changes) loadSyncSettings();
+});
+
+// ─── Import & export ───────────────────────────────────────────────────────
+
+async function readAllSettings() {
+    return browser.storage.local.get(null);
+}
+
+async function exportSettings() {
+    try {
+        const file = SettingsTransfer.buildExport(await readAllSettings(), new Date(), VolumeState);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `volume-control-settings-${file.exportedAt.slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        flashStatus(backupStatus, `Exported ${Object.keys(file.settings).length} settings`);
+    } catch (_) {
+        flashStatus(backupStatus, 'Could not export');
+    }
+}
+
+function importMode() {
+    return document.querySelector('input[name="importMode"]:checked').value;
+}
+
+function describeValue(value) {
+    return JSON.stringify(value);
+}
+
+function createChangeItem(change) {
+    const item = document.createElement('li');
+    item.className = `is-${change.type}`;
+    if (change.type === 'add') item.textContent = `+ ${change.key} = ${describeValue(change.to)}`;
+    else if (change.type === 'remove') item.textContent = `− ${change.key} (was ${describeValue(change.from)})`;
+    else item.textContent = `~ ${change.key}: ${describeValue(change.from)} → ${describeValue(change.to)}`;
+    return item;
+}
+
+function hideImportPreview() {
+    pendingImport = null;
+    importPreview.classList.add('is-hidden');
+    importChanges.replaceChildren();
+}
+
+/** Dry run: list what the chosen mode would add, change or remove. */
+async function previewImport() {
+    if (!pendingImport) return;
+    const plan = SettingsTransfer.planImport(await readAllSettings(), pendingImport.settings, importMode(), VolumeState);
+    pendingImport.plan = plan;
+
+    const skipped = pendingImport.skipped.length;
+    const summary = plan.changes.length === 0 ? 'Nothing would change.' : `${plan.changes.length} settings would change.`;
+    importSummary.textContent = skipped > 0 ? `${summary} ${skipped} invalid entries are skipped.` : summary;
+    importChanges.replaceChildren(...plan.changes.map(createChangeItem));
+    applyImportBtn.classList.toggle('is-hidden', plan.changes.length === 0);
+    importPreview.classList.remove('is-hidden');
+}
+
+async function readImportFile() {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (!file) return;
+    const result = SettingsTransfer.parseExport(await file.text(), VolumeState);
+    if (!result.ok) {
+        pendingImport = null;
+        importSummary.textContent = result.error;
+        importChanges.replaceChildren();
+        applyImportBtn.classList.add('is-hidden');
+        importPreview.classList.remove('is-hidden');
+        return;
+    }
+    pendingImport = result;
+    await previewImport();
+}
+
+async function applyImport() {
+    if (!pendingImport || !pendingImport.plan) return;
+    const { set, remove } = pendingImport.plan;
+    try {
+        if (remove.length > 0) await browser.storage.local.remove(remove);
+        if (Object.keys(set).length > 0) await browser.storage.local.set(set);
+        flashStatus(backupStatus, 'Imported');
+    } catch (_) {
+        flashStatus(backupStatus, 'Could not import');
+    }
+    hideImportPreview();
+    loadSites();
+    loadPruneSettings();
+    loadRememberState();
+    loadHotkeys();
+    loadRules();
+    loadSiteRules();
+    loadDuckSettings();
+}
+
+exportBtn.addEventListener('click', exportSettings);
+importBtn.addEventListener('click', () => importFile.click());
+importFile.addEventListener('change', readImportFile);
+document.querySelectorAll('input[name="importMode"]').forEach(input => input.addEventListener('change', previewImport));
+applyImportBtn.addEventListener('click', applyImport);
+cancelImportBtn.addEventListener('click', hideImportPreview);
+
+// ─── Boot ──────────────────────────────────────────────────────────────────
+loadSites();
+loadPruneSettings();
+loadRememberState();
+loadHotkeys();
+loadRules();
+loadSiteRules();
+loadDuckSettings();
+loadSyncSettings();
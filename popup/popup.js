@@ -3,6 +3,9 @@
 const slider = document.getElementById('volumeSlider');
 const valueEl = document.getElementById('volumeValue');
 const labelEl = document.getElementById('volumeLabel');
+const effectiveEl = document.getElementById('effectiveValue');
+const masterSlider = document.getElementById('masterSlider');
+const masterValue = document.getElementById('masterValue');
 const noMediaMsg = document.getElementById('noMediaMsg');
 const muteBtn = document.getElementById('muteBtn');
 const resetBtn = document.getElementById('resetBtn');
@@ -11,13 +14,91 @@ const mutedIcon = document.getElementById('mutedIcon');
 const mediaDot = document.getElementById('mediaDot');
 const mediaCountEl = document.getElementById('mediaCount');
 const quickBtns = document.querySelectorAll('.quick-btn');
+const limiterBtns = document.querySelectorAll('.limiter-btn');
+const eqPresetSelect = document.getElementById('eqPresetSelect');
+const eqDeleteBtn = document.getElementById('eqDeleteBtn');
+const eqBands = document.getElementById('eqBands');
+const eqSaveForm = document.getElementById('eqSaveForm');
+const eqPresetName = document.getElementById('eqPresetName');
+const balanceSlider = document.getElementById('balanceSlider');
+const balanceCenterBtn = document.getElementById('balanceCenterBtn');
+const swapToggle = document.getElementById('swapToggle');
+const monoToggle = document.getElementById('monoToggle');
+const normalizeToggle = document.getElementById('normalizeToggle');
+const normalizeCorrection = document.getElementById('normalizeCorrection');
+const normalizeTarget = document.getElementById('normalizeTarget');
+const normalizeTargetValue = document.getElementById('normalizeTargetValue');
+const normalizeBoost = document.getElementById('normalizeBoost');
+const normalizeBoostValue = document.getElementById('normalizeBoostValue');
+const meterEl = document.getElementById('meter');
+const meterRms = document.getElementById('meterRms');
+const meterPeak = document.getElementById('meterPeak');
+const meterClip = document.getElementById('meterClip');
+const mixerEl = document.getElementById('mixer');
+const mixerList = document.getElementById('mixerList');
+const inheritToggle = document.getElementById('inheritToggle');
+const priorityRow = document.getElementById('priorityRow');
+const priorityToggle = document.getElementById('priorityToggle');
+const sleepDuration = document.getElementById('sleepDuration');
+const sleepFade = document.getElementById('sleepFade');
+const sleepCountdown = document.getElementById('sleepCountdown');
+const sleepStartBtn = document.getElementById('sleepStartBtn');
+const sleepCancelBtn = document.getElementById('sleepCancelBtn');
+const diagnosticsPanel = document.getElementById('diagnosticsPanel');
+const diagnosticsContext = document.getElementById('diagnosticsContext');
+const diagnosticsList = document.getElementById('diagnosticsList');
+const quietNotice = document.getElementById('quietNotice');
+const quietCap = document.getElementById('quietCap');
+const quietEditBtn = document.getElementById('quietEditBtn');
+const siteRuleNotice = document.getElementById('siteRuleNotice');
+const siteRulePattern = document.getElementById('siteRulePattern');
+const siteRuleEditBtn = document.getElementById('siteRuleEditBtn');
 
 let tabId = null;
+let priorityKey = null;
 let isMuted = false;
 let preMuteVolume = 100;
+let clipHoldUntil = 0;
+let sleepTicker = null;
+let volumeCap = null;
+let masterVolume = 100;
+
+const METER_PORT_NAME = 'vc-meter';
+const INHERIT_PREF_KEY = 'vc:inheritTopVolume';
+
+const CONTEXT_STATE_TEXT = {
+    none: 'Audio processing is not in use — every element plays at its native volume.',
+    running: 'Audio processing is running.',
+    suspended: 'Audio processing is waiting for a click or key press on the page.',
+    interrupted: 'Audio processing was interrupted by the system.',
+    closed: 'Audio processing has stopped. Reload the page to restart it.'
+};
+const DIAGNOSTIC_STATUS_TEXT = {
+    wired: 'Boosted',
+    skipped: 'Not boosted',
+    pending: 'Waiting',
+    native: 'Native volume',
+    excluded: 'Excluded'
+};
+const DIAGNOSTIC_REASON_TEXT = {
+    'no-src': 'No source was loaded when boosting started.',
+    'invalid-src': 'The source address could not be read.',
+    'cross-origin': 'Served from another site without CORS. Boosting it would silence it, so only 0–100% works.',
+    'source-failed': 'The browser refused to route this element, usually because another script already did.',
+    'context-suspended': 'Click or press a key on the page to start boosting.',
+    'not-needed': 'At or below 100%, so no boost is needed.',
+    excluded: 'Excluded in the mixer, so page-wide settings are ignored.'
+};
+const METER_FLOOR_DB = -60;
+const CLIP_HOLD_MS = 1500;
 
 // ─── Helpers ───────────────────────────────────────────────────────────────
 
+/** Send a message to every frame of the active tab; resolves with the top frame's reply. */
+function sendToTab(message) {
+    return browser.runtime.sendMessage({ action: 'route-to-tab', tabId, message });
+}
+
 /** Descriptive label for the current volume. */
 function volumeLabel(vol) {
     if (vol === 0) return 'Muted';
@@ -45,6 +126,33 @@ function renderVolume(vol) {
     quickBtns.forEach(btn => {
         btn.classList.toggle('is-active', parseInt(btn.dataset.vol, 10) === vol);
     });
+
+    renderEffective(vol);
+}
+
+/** Show what is actually heard when the master level scales this site. */
+function renderEffective(vol) {
+    const scaled = masterVolume !== 100 && !isMuted;
+    effectiveEl.classList.toggle('is-hidden', !scaled);
+    if (scaled) effectiveEl.textContent = `${Math.round((vol * masterVolume) / 100)}% heard`;
+}
+
+/** Show the quiet-hours notice while the background caps this tab. */
+function renderVolumeCap(cap) {
+    volumeCap = typeof cap === 'number' ? cap : null;
+    quietNotice.classList.toggle('is-hidden', volumeCap === null);
+    if (volumeCap !== null) quietCap.textContent = volumeCap;
+}
+
+/** Name the URL-pattern rule that set this page's starting settings. */
+function renderSiteRule(pattern) {
+    const matched = typeof pattern === 'string' && pattern !== '';
+    siteRuleNotice.classList.toggle('is-hidden', !matched);
+    siteRulePattern.textContent = matched ? pattern : '';
+}
+
+function withinCap(vol) {
+    return volumeCap === null ? vol : Math.min(vol, volumeCap);
 }
 
 /** Update the mute button icon state. */
@@ -66,11 +174,330 @@ function renderMediaCount(count) {
     }
 }
 
+/** Highlight the active limiter preset. */
+function renderLimiter(preset) {
+    limiterBtns.forEach(btn => {
+        btn.classList.toggle('is-active', btn.dataset.preset === preset);
+    });
+}
+
+/** Compact band label: 32, 500, 1k, 16k. */
+function formatFrequency(hz) {
+    return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+}
+
+/** Render the EQ preset picker and one vertical slider per band. */
+function renderEq(eq) {
+    const options = eq.presets.map(preset => new Option(preset.label, preset.id));
+    if (!eq.presets.some(preset => preset.id === eq.preset)) {
+        options.push(new Option('Custom', eq.preset));
+    }
+    eqPresetSelect.replaceChildren(...options);
+    eqPresetSelect.value = eq.preset;
+    eqDeleteBtn.disabled = !eq.preset.startsWith('user:');
+
+    eqBands.replaceChildren(...eq.frequencies.map((hz, index) => {
+        const band = document.createElement('label');
+        band.className = 'eq-band';
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = '-12';
+        input.max = '12';
+        input.step = '0.5';
+        input.value = String(eq.gains[index]);
+        input.title = `${eq.gains[index]} dB`;
+        input.setAttribute('aria-label', `${formatFrequency(hz)} Hz gain`);
+        input.addEventListener('change', sendEqGains);
+        band.append(input, document.createTextNode(formatFrequency(hz)));
+        return band;
+    }));
+}
+
+/** Send an EQ action and re-render the panel from the fresh state. */
+async function sendEq(message) {
+    if (tabId === null) return;
+    try {
+        const res = await sendToTab(message);
+        if (!res || res.ok === false) return;
+        const eq = await sendToTab({ action: 'get-eq' });
+        if (eq) renderEq(eq);
+    } catch (_) {
+        // Tab may have navigated or content script not ready — ignore
+    }
+}
+
+function sendEqGains() {
+    const gains = Array.from(eqBands.querySelectorAll('input'), input => Number(input.value));
+    sendEq({ action: 'set-eq', gains });
+}
+
+/** Reflect stereo settings in the stereo panel. */
+function renderStereo(stereo) {
+    balanceSlider.value = stereo.balance;
+    balanceSlider.title = stereo.balance === 0
+        ? 'Centered'
+        : `${Math.abs(stereo.balance)}% ${stereo.balance < 0 ? 'left' : 'right'}`;
+    swapToggle.checked = stereo.swap;
+    monoToggle.checked = stereo.mono;
+    swapToggle.disabled = stereo.mono;
+}
+
+/** Send a partial stereo update to the content script. */
+async function sendStereo(patch) {
+    if (tabId === null) return;
+    try {
+        const res = await sendToTab({ action: 'set-stereo', ...patch });
+        if (res && res.ok) renderStereo(res);
+    } catch (_) {
+        // Tab may have navigated or content script not ready — ignore
+    }
+}
+
+/** Format a signed dB value, e.g. +2.5 dB / -1.0 dB. */
+function formatDb(db) {
+    return `${db > 0 ? '+' : ''}${db.toFixed(1)} dB`;
+}
+
+/** Reflect loudness normalization settings and the current correction. */
+function renderNormalize(normalize) {
+    normalizeToggle.checked = normalize.enabled;
+    normalizeTarget.value = normalize.targetDb;
+    normalizeTargetValue.textContent = `${normalize.targetDb} dB`;
+    normalizeBoost.value = normalize.maxBoostDb;
+    normalizeBoostValue.textContent = `+${normalize.maxBoostDb} dB`;
+    normalizeCorrection.textContent = normalize.enabled ? formatDb(normalize.correctionDb) : 'Off';
+}
+
+/** Send a partial normalization update to the content script. */
+async function sendNormalize(patch) {
+    if (tabId === null) return;
+    try {
+        const res = await sendToTab({ action: 'set-normalize', ...patch });
+        if (res && res.ok) renderNormalize(res);
+    } catch (_) {
+        // Tab may have navigated or content script not ready — ignore
+    }
+}
+
+/** Map a dB level onto the meter width, with -60 dB at the left edge. */
+function meterPercent(db) {
+    return Math.max(0, Math.min(100, ((db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100));
+}
+
+/** Render one level sample; the clip light stays on briefly so it can be seen. */
+function renderMeter(levels) {
+    meterEl.classList.toggle('is-idle', !levels.active);
+    meterRms.style.width = `${meterPercent(levels.rmsDb)}%`;
+    meterPeak.style.left = `${meterPercent(levels.peakDb)}%`;
+    if (levels.clipped) clipHoldUntil = Date.now() + CLIP_HOLD_MS;
+    meterClip.classList.toggle('is-clipping', Date.now() < clipHoldUntil);
+}
+
+/** Open the meter port; the content script stops sampling when the popup closes. */
+function connectMeter() {
+    const port = browser.tabs.connect(tabId, { name: METER_PORT_NAME, frameId: 0 });
+    port.onMessage.addListener(renderMeter);
+}
+
+/** Short display name for a media element: the last path segment of its src. */
+function mediaName(src) {
+    if (!src) return 'No source';
+    try {
+        const url = new URL(src);
+        if (url.protocol === 'blob:' || url.protocol === 'data:') return `${url.protocol.slice(0, -1)} stream`;
+        const segment = url.pathname.split('/').filter(Boolean).pop();
+        return segment ? decodeURIComponent(segment) : url.hostname;
+    } catch (_) {
+        return src;
+    }
+}
+
+/** Format a duration in seconds as m:ss, or "Live" when unknown. */
+function formatDuration(seconds) {
+    if (typeof seconds !== 'number') return 'Live';
+    const total = Math.floor(seconds);
+    const mins = Math.floor(total / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return `${mins}:${secs}`;
+}
+
+/** Send a per-element update and re-render that row from the response. */
+async function sendElementUpdate(action, payload, row) {
+    if (tabId === null) return;
+    try {
+        const res = await sendToTab({ action, ...payload });
+        if (res && res.ok) {
+            row.replaceWith(createMixerRow(res));
+        }
+    } catch (_) {
+        // Element may have been removed from the page — ignore
+    }
+}
+
+/** Build one mixer row with its own slider, mute button and exclude switch. */
+function createMixerRow(item) {
+    const row = document.createElement('li');
+    row.className = 'mixer-item';
+    row.classList.toggle('is-excluded', item.excluded);
+
+    const head = document.createElement('div');
+    head.className = 'mixer-item__head';
+    const tag = document.createElement('span');
+    tag.className = 'mixer-item__tag';
+    tag.textContent = item.tag;
+    const name = document.createElement('span');
+    name.className = 'mixer-item__name';
+    name.textContent = mediaName(item.src);
+    name.title = item.src;
+    const meta = document.createElement('span');
+    meta.className = 'mixer-item__meta';
+    meta.textContent = `${formatDuration(item.duration)} · ${item.paused ? 'Paused' : 'Playing'}`;
+    head.append(tag, name, meta);
+
+    const controls = document.createElement('div');
+    controls.className = 'mixer-item__controls';
+    const range = document.createElement('input');
+    range.type = 'range';
+    range.className = 'slider';
+    range.min = '0';
+    range.max = '200';
+    range.step = '1';
+    range.value = String(item.volume);
+    range.disabled = item.excluded;
+    range.setAttribute('aria-label', `Volume for ${name.textContent}`);
+    const value = document.createElement('span');
+    value.className = 'mixer-item__value';
+    value.textContent = `${item.volume}%`;
+    range.addEventListener('input', () => {
+        value.textContent = `${range.value}%`;
+    });
+    range.addEventListener('change', () => {
+        sendElementUpdate('set-element-volume', { id: item.id, frameId: item.frameId, volume: parseInt(range.value, 10) }, row);
+    });
+    controls.append(range, value);
+
+    const actions = document.createElement('div');
+    actions.className = 'mixer-item__actions';
+    const muteToggle = document.createElement('button');
+    muteToggle.className = 'text-btn';
+    muteToggle.classList.toggle('is-active', item.muted);
+    muteToggle.textContent = item.muted ? 'Unmute' : 'Mute';
+    muteToggle.disabled = item.excluded;
+    muteToggle.addEventListener('click', () => {
+        sendElementUpdate('set-element-muted', { id: item.id, frameId: item.frameId, muted: !item.muted }, row);
+    });
+    const exclude = document.createElement('label');
+    exclude.className = 'toggle';
+    const excludeInput = document.createElement('input');
+    excludeInput.type = 'checkbox';
+    excludeInput.checked = item.excluded;
+    excludeInput.addEventListener('change', () => {
+        sendElementUpdate('set-element-excluded', { id: item.id, frameId: item.frameId, excluded: excludeInput.checked }, row);
+    });
+    exclude.append(excludeInput, document.createTextNode('Exclude'));
+    actions.append(muteToggle, exclude);
+
+    row.append(head, controls, actions);
+    return row;
+}
+
+/** Render the per-element mixer list. */
+function renderMixer(elements) {
+    mixerList.replaceChildren(...elements.map(createMixerRow));
+    mixerEl.classList.toggle('is-hidden', elements.length === 0);
+}
+
+/** Build one diagnostics row: element, status and a plain-language reason. */
+function createDiagnosticsRow(item) {
+    const row = document.createElement('li');
+    row.className = `diagnostics-item is-${item.status}`;
+
+    const head = document.createElement('div');
+    head.className = 'mixer-item__head';
+    const tag = document.createElement('span');
+    tag.className = 'mixer-item__tag';
+    tag.textContent = item.tag;
+    const name = document.createElement('span');
+    name.className = 'mixer-item__name';
+    name.textContent = mediaName(item.src);
+    name.title = item.src;
+    const status = document.createElement('span');
+    status.className = 'diagnostics-item__status';
+    status.textContent = DIAGNOSTIC_STATUS_TEXT[item.status] || item.status;
+    head.append(tag, name, status);
+    row.append(head);
+
+    if (item.reason) {
+        const reason = document.createElement('p');
+        reason.className = 'diagnostics-item__reason';
+        reason.textContent = DIAGNOSTIC_REASON_TEXT[item.reason] || item.reason;
+        row.append(reason);
+    }
+    return row;
+}
+
+/** Render the diagnostics panel from a get-diagnostics response. */
+function renderDiagnostics(diagnostics) {
+    diagnosticsContext.textContent = CONTEXT_STATE_TEXT[diagnostics.audioContext] || diagnostics.audioContext;
+    const elements = Array.isArray(diagnostics.elements) ? diagnostics.elements : [];
+    diagnosticsList.replaceChildren(...elements.map(createDiagnosticsRow));
+}
+
+/** Fetch fresh diagnostics; called whenever the panel is opened. */
+async function loadDiagnostics() {
+    if (tabId === null) return;
+    try {
+        const res = await sendToTab({ action: 'get-diagnostics' });
+        if (res) renderDiagnostics(res);
+    } catch (_) {
+        // Tab may have navigated or content script not ready — ignore
+    }
+}
+
+/** Format a countdown in milliseconds as m:ss or h:mm:ss. */
+function formatClock(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const mins = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(mins).padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+}
+
+/** Show the running timer (or "Off") and tick the countdown once a second. */
+function renderSleepTimer(timer) {
+    clearInterval(sleepTicker);
+    sleepTicker = null;
+    sleepStartBtn.classList.toggle('is-hidden', Boolean(timer));
+    sleepCancelBtn.classList.toggle('is-hidden', !timer);
+    sleepDuration.disabled = Boolean(timer);
+    sleepFade.disabled = Boolean(timer);
+    if (!timer) {
+        sleepCountdown.textContent = 'Off';
+        return;
+    }
+    const tick = () => {
+        const left = timer.endsAt - Date.now();
+        sleepCountdown.textContent = left > 0 ? `Sleeping in ${formatClock(left)}` : 'Fading out…';
+    };
+    tick();
+    sleepTicker = setInterval(tick, 1000);
+}
+
+/** Ask the background script for this tab's sleep timer. */
+async function loadSleepTimer() {
+    try {
+        const res = await browser.runtime.sendMessage({ action: 'get-sleep-timer', tabId });
+        renderSleepTimer(res && res.timer);
+    } catch (_) {
+        renderSleepTimer(null);
+    }
+}
+
 /** Send a volume to the content script in the active tab. */
 async function sendVolume(vol) {
     if (tabId === null) return;
     try {
-        await browser.tabs.sendMessage(tabId, { action: 'set-volume', volume: VolumeState.normalizeVolume(vol) });
+        await sendToTab({ action: 'set-volume', volume: VolumeState.normalizeVolume(vol) });
     } catch (_) {
         // Tab may have navigated or content script not ready — ignore
     }
@@ -78,9 +505,10 @@ async function sendVolume(vol) {
 
 /** Apply a volume value to all UI + send to content script. */
 function applyVolume(vol) {
-    slider.value = vol;
-    renderVolume(vol);
-    sendVolume(vol);
+    const capped = withinCap(vol);
+    slider.value = capped;
+    renderVolume(capped);
+    sendVolume(capped);
 }
 
 // ─── Initialise ────────────────────────────────────────────────────────────
@@ -89,9 +517,10 @@ async function init() {
     const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
     if (!tab) return;
     tabId = tab.id;
+    loadPriorityPref(tab);
 
     try {
-        const res = await browser.tabs.sendMessage(tabId, { action: 'get-state' });
+        const res = await sendToTab({ action: 'get-state' });
         const vol = (res && typeof res.volume !== 'undefined')
             ? VolumeState.normalizeVolume(res.volume)
             : 100;
@@ -103,8 +532,13 @@ async function init() {
             preMuteVolume = typeof res.preMuteVolume === 'number' ? res.preMuteVolume : 100;
         }
         
+        renderVolumeCap(res ? res.volumeCap : null);
+        renderSiteRule(res ? res.siteRule : null);
         renderVolume(vol);
         renderMuteState();
+        if (res && res.normalize) renderNormalize(res.normalize);
+        connectMeter();
+        loadSleepTimer();
 
         // Media count
         if (res && typeof res.mediaCount === 'number') {
@@ -117,12 +551,32 @@ async function init() {
         if (res && res.hasMedia === false) {
             noMediaMsg.classList.remove('is-hidden');
         }
+
+        const limiter = await sendToTab({ action: 'get-limiter' });
+        renderLimiter(limiter && limiter.preset ? limiter.preset : 'off');
+
+        const eq = await sendToTab({ action: 'get-eq' });
+        if (eq) renderEq(eq);
+
+        const stereo = await sendToTab({ action: 'get-stereo' });
+        if (stereo) renderStereo(stereo);
+
+        const media = await sendToTab({ action: 'get-media' });
+        if (media && Array.isArray(media.elements)) {
+            renderMixer(media.elements);
+        }
     } catch (_) {
         // Content script not reachable (e.g. about:, moz-extension:, pdf pages)
         slider.disabled = true;
         quickBtns.forEach(b => (b.disabled = true));
         muteBtn.disabled = true;
         resetBtn.disabled = true;
+        limiterBtns.forEach(b => (b.disabled = true));
+        document.getElementById('eqPanel').classList.add('is-hidden');
+        document.getElementById('stereoPanel').classList.add('is-hidden');
+        document.getElementById('normalizePanel').classList.add('is-hidden');
+        diagnosticsPanel.classList.add('is-hidden');
+        document.getElementById('sleepPanel').classList.add('is-hidden');
         noMediaMsg.classList.remove('is-hidden');
         noMediaMsg.textContent = 'Volume Control cannot run on this page.';
     }
@@ -131,11 +585,12 @@ async function init() {
 // ─── Slider ────────────────────────────────────────────────────────────────
 
 slider.addEventListener('input', async () => {
-    const vol = parseInt(slider.value, 10);
+    const vol = withinCap(parseInt(slider.value, 10));
+    slider.value = vol;
     if (isMuted) {
         isMuted = false;
         try {
-            await browser.tabs.sendMessage(tabId, { action: 'unmute' });
+            await sendToTab({ action: 'unmute' });
         } catch (_) {}
         renderMuteState();
     }
@@ -143,6 +598,10 @@ slider.addEventListener('input', async () => {
     sendVolume(vol);
 });
 
+[quietEditBtn, siteRuleEditBtn].forEach(btn => btn.addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+}));
+
 // ─── Quick-set buttons ─────────────────────────────────────────────────────
 
 quickBtns.forEach(btn => {
@@ -151,7 +610,7 @@ quickBtns.forEach(btn => {
         if (isMuted) {
             isMuted = false;
             try {
-                await browser.tabs.sendMessage(tabId, { action: 'unmute' });
+                await sendToTab({ action: 'unmute' });
             } catch (_) {}
             renderMuteState();
         }
@@ -159,12 +618,201 @@ quickBtns.forEach(btn => {
     });
 });
 
+// ─── Limiter ───────────────────────────────────────────────────────────────
+
+limiterBtns.forEach(btn => {
+    btn.addEventListener('click', async () => {
+        if (tabId === null) return;
+        try {
+            const res = await sendToTab({ action: 'set-limiter', preset: btn.dataset.preset });
+            if (res && res.ok) renderLimiter(res.preset);
+        } catch (_) {
+            // Tab may have navigated or content script not ready — ignore
+        }
+    });
+});
+
+// ─── Equalizer ─────────────────────────────────────────────────────────────
+
+eqPresetSelect.addEventListener('change', () => {
+    sendEq({ action: 'set-eq-preset', preset: eqPresetSelect.value });
+});
+
+eqDeleteBtn.addEventListener('click', () => {
+    const prefix = 'user:';
+    if (!eqPresetSelect.value.startsWith(prefix)) return;
+    sendEq({ action: 'delete-eq-preset', name: eqPresetSelect.value.slice(prefix.length) });
+});
+
+eqSaveForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const name = eqPresetName.value.trim();
+    if (!name) return;
+    eqPresetName.value = '';
+    sendEq({ action: 'save-eq-preset', name });
+});
+
+// ─── Stereo ────────────────────────────────────────────────────────────────
+
+balanceSlider.addEventListener('change', () => {
+    sendStereo({ balance: parseInt(balanceSlider.value, 10) });
+});
+
+balanceCenterBtn.addEventListener('click', () => {
+    sendStereo({ balance: 0 });
+});
+
+swapToggle.addEventListener('change', () => {
+    sendStereo({ swap: swapToggle.checked });
+});
+
+monoToggle.addEventListener('change', () => {
+    sendStereo({ mono: monoToggle.checked });
+});
+
+// ─── Normalize ─────────────────────────────────────────────────────────────
+
+normalizeToggle.addEventListener('change', () => {
+    sendNormalize({ enabled: normalizeToggle.checked });
+});
+
+normalizeTarget.addEventListener('input', () => {
+    normalizeTargetValue.textContent = `${normalizeTarget.value} dB`;
+});
+
+normalizeTarget.addEventListener('change', () => {
+    sendNormalize({ targetDb: parseInt(normalizeTarget.value, 10) });
+});
+
+normalizeBoost.addEventListener('input', () => {
+    normalizeBoostValue.textContent = `+${normalizeBoost.value} dB`;
+});
+
+normalizeBoost.addEventListener('change', () => {
+    sendNormalize({ maxBoostDb: parseInt(normalizeBoost.value, 10) });
+});
+
+// ─── Sleep timer ───────────────────────────────────────────────────────────
+
+sleepStartBtn.addEventListener('click', async () => {
+    if (tabId === null) return;
+    const endOfMedia = sleepDuration.value === 'end';
+    try {
+        const res = await browser.runtime.sendMessage({
+            action: 'sleep-timer',
+            tabId,
+            minutes: endOfMedia ? undefined : parseInt(sleepDuration.value, 10),
+            endOfMedia,
+            fadeMs: parseInt(sleepFade.value, 10)
+        });
+        if (res && res.ok) {
+            renderSleepTimer(res);
+        } else if (res && res.reason === 'no-media') {
+            sleepCountdown.textContent = 'Nothing is playing';
+        }
+    } catch (_) {
+        // Background unavailable — leave the timer off
+    }
+});
+
+sleepCancelBtn.addEventListener('click', async () => {
+    if (tabId === null) return;
+    try {
+        await browser.runtime.sendMessage({ action: 'cancel-sleep-timer', tabId });
+    } catch (_) {}
+    renderSleepTimer(null);
+});
+
+// ─── Diagnostics ───────────────────────────────────────────────────────────
+
+diagnosticsPanel.addEventListener('toggle', () => {
+    if (diagnosticsPanel.open) loadDiagnostics();
+});
+
+// ─── Embedded frames ───────────────────────────────────────────────────────
+
+/** Load the global "embedded players inherit this site's settings" preference. */
+async function loadInheritPref() {
+    try {
+        const pref = await browser.storage.local.get(INHERIT_PREF_KEY);
+        inheritToggle.checked = pref[INHERIT_PREF_KEY] !== false;
+    } catch (_) {
+        inheritToggle.checked = true;
+    }
+}
+
+inheritToggle.addEventListener('change', async () => {
+    try {
+        await browser.storage.local.set({ [INHERIT_PREF_KEY]: inheritToggle.checked });
+    } catch (_) {
+        // Storage unavailable — the toggle simply won't persist
+    }
+});
+
+// ─── Master volume ─────────────────────────────────────────────────────────
+
+function renderMaster(master) {
+    masterVolume = master;
+    masterSlider.value = master;
+    masterValue.textContent = `${master}%`;
+    renderEffective(parseInt(slider.value, 10));
+}
+
+async function loadMasterVolume() {
+    try {
+        const data = await browser.storage.local.get(VolumeState.MASTER_VOLUME_KEY);
+        renderMaster(VolumeState.normalizeMasterVolume(data[VolumeState.MASTER_VOLUME_KEY]));
+    } catch (_) {
+        renderMaster(100);
+    }
+}
+
+masterSlider.addEventListener('input', () => {
+    renderMaster(parseInt(masterSlider.value, 10));
+});
+
+// The background saves the level and pushes it to every open tab.
+masterSlider.addEventListener('change', async () => {
+    try {
+        await browser.runtime.sendMessage({ action: 'set-master-volume', volume: masterVolume });
+    } catch (_) {
+        // Background unavailable — the level applies next time it is changed
+    }
+});
+
+// ─── Auto-duck priority ────────────────────────────────────────────────────
+
+/** Load the per-site "duck other tabs while this one plays" flag. */
+async function loadPriorityPref(tab) {
+    const origin = VolumeState.originOfUrl(tab.url);
+    if (!origin) {
+        priorityRow.classList.add('is-hidden');
+        return;
+    }
+    priorityKey = VolumeState.keyForSetting(AutoDuck.PRIORITY_SETTING, origin);
+    try {
+        const pref = await browser.storage.local.get(priorityKey);
+        priorityToggle.checked = pref[priorityKey] === true;
+    } catch (_) {
+        priorityToggle.checked = false;
+    }
+}
+
+priorityToggle.addEventListener('change', async () => {
+    if (!priorityKey) return;
+    try {
+        await browser.storage.local.set({ [priorityKey]: priorityToggle.checked });
+    } catch (_) {
+        // Storage unavailable — the toggle simply won't persist
+    }
+});
+
 // ─── Mute / Unmute ─────────────────────────────────────────────────────────
 
 muteBtn.addEventListener('click', async () => {
     if (tabId === null) return;
     try {
-        const res = await browser.tabs.sendMessage(tabId, { action: 'toggle-mute' });
+        const res = await sendToTab({ action: 'toggle-mute' });
         if (res && typeof res.isMuted === 'boolean') {
             isMuted = res.isMuted;
             preMuteVolume = typeof res.volume === 'number' ? res.volume : 100;
@@ -190,7 +838,7 @@ resetBtn.addEventListener('click', async () => {
         return;
     }
     try {
-        await browser.tabs.sendMessage(tabId, { action: 'reset-volume' });
+        await sendToTab({ action: 'reset-volume' });
     } catch (e) {
         console.warn('Reset failed:', e);
         return;
@@ -232,7 +880,7 @@ document.addEventListener('keydown', async e => {
         if (isMuted) {
             isMuted = false;
             try {
-                await browser.tabs.sendMessage(tabId, { action: 'unmute' });
+                await sendToTab({ action: 'unmute' });
             } catch (_) {}
             renderMuteState();
         }
@@ -242,3 +890,5 @@ document.addEventListener('keydown', async e => {
 
 // ─── Boot ──────────────────────────────────────────────────────────────────
 init();
+loadInheritPref();
+loadMasterVolume();
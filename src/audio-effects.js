@@ -0,0 +1,308 @@
+'use strict';
+
+(function initAudioEffects(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.AudioEffects = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function audioEffectsFactory() {
+    const LIMITER_PRESETS = {
+        off: null,
+        gentle: { threshold: -12, knee: 12, ratio: 4, attack: 0.005, release: 0.25 },
+        brickwall: { threshold: -1, knee: 0, ratio: 20, attack: 0.001, release: 0.1 }
+    };
+
+    function normalizeLimiterPreset(value) {
+        return Object.prototype.hasOwnProperty.call(LIMITER_PRESETS, value) ? value : 'off';
+    }
+
+    function createLimiter(audioCtx, preset) {
+        const settings = LIMITER_PRESETS[normalizeLimiterPreset(preset)];
+        if (!settings) return null;
+        const node = audioCtx.createDynamicsCompressor();
+        Object.entries(settings).forEach(([param, value]) => {
+            node[param].value = value;
+        });
+        return node;
+    }
+
+    const EQ_FREQUENCIES = [32, 64, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+    const EQ_MAX_GAIN = 12;
+    const EQ_PRESETS = {
+        flat: { label: 'Flat', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+        voice: { label: 'Voice', gains: [-6, -5, -3, -1, 1, 3, 4, 3, 1, -2] },
+        bassBoost: { label: 'Bass boost', gains: [7, 6, 5, 3, 1, 0, 0, 0, 0, 0] },
+        trebleCut: { label: 'Treble cut', gains: [0, 0, 0, 0, 0, -1, -3, -5, -7, -9] }
+    };
+    const USER_PRESET_PREFIX = 'user:';
+
+    function normalizeEqGains(gains) {
+        return EQ_FREQUENCIES.map((_, index) => {
+            const value = Array.isArray(gains) ? Number(gains[index]) : 0;
+            if (!Number.isFinite(value)) return 0;
+            return Math.round(Math.max(-EQ_MAX_GAIN, Math.min(EQ_MAX_GAIN, value)) * 10) / 10;
+        });
+    }
+
+    function isFlatEq(gains) {
+        return gains.every(gain => gain === 0);
+    }
+
+    function normalizeUserPresets(value) {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+        const presets = {};
+        Object.entries(value).forEach(([name, gains]) => {
+            const trimmed = name.trim();
+            if (trimmed && Array.isArray(gains)) presets[trimmed] = normalizeEqGains(gains);
+        });
+        return presets;
+    }
+
+    // Built-in presets are addressed by key, user presets by `user:<name>`.
+    function resolveEqPreset(preset, userPresets) {
+        if (typeof preset !== 'string') return null;
+        if (preset.startsWith(USER_PRESET_PREFIX)) {
+            const gains = userPresets[preset.slice(USER_PRESET_PREFIX.length)];
+            return gains ? normalizeEqGains(gains) : null;
+        }
+        if (!Object.prototype.hasOwnProperty.call(EQ_PRESETS, preset)) return null;
+        return EQ_PRESETS[preset].gains.slice();
+    }
+
+    function createEqualizer(audioCtx, gains) {
+        return EQ_FREQUENCIES.map((frequency, index) => {
+            const filter = audioCtx.createBiquadFilter();
+            if (index === 0) {
+                filter.type = 'lowshelf';
+            } else if (index === EQ_FREQUENCIES.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+                filter.Q.value = 1.4;
+            }
+            filter.frequency.value = frequency;
+            filter.gain.value = gains[index];
+            return filter;
+        });
+    }
+
+    function setEqualizerGains(filters, gains) {
+        filters.forEach((filter, index) => {
+            filter.gain.value = gains[index];
+        });
+    }
+
+    const DEFAULT_STEREO = { balance: 0, swap: false, mono: false };
+
+    function normalizeStereo(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        const balance = Number.parseInt(settings.balance, 10);
+        return {
+            balance: Number.isFinite(balance) ? Math.max(-100, Math.min(100, balance)) : 0,
+            swap: settings.swap === true,
+            mono: settings.mono === true
+        };
+    }
+
+    function isDefaultStereo(settings) {
+        return settings.balance === 0 && !settings.swap && !settings.mono;
+    }
+
+    // Returns a sub-graph `{ input, output }`, or null when the settings are neutral.
+    // Mono downmix makes a channel swap meaningless, so swap is skipped in that case.
+    function createStereoStage(audioCtx, settings) {
+        if (isDefaultStereo(settings)) return null;
+        const parts = [];
+
+        if (settings.mono) {
+            const downmix = audioCtx.createGain();
+            downmix.channelCount = 1;
+            downmix.channelCountMode = 'explicit';
+            downmix.channelInterpretation = 'speakers';
+            parts.push({ input: downmix, output: downmix });
+        } else if (settings.swap) {
+            const splitter = audioCtx.createChannelSplitter(2);
+            const merger = audioCtx.createChannelMerger(2);
+            splitter.connect(merger, 0, 1);
+            splitter.connect(merger, 1, 0);
+            parts.push({ input: splitter, output: merger });
+        }
+
+        if (settings.balance !== 0) {
+            const panner = audioCtx.createStereoPanner();
+            panner.pan.value = settings.balance / 100;
+            parts.push({ input: panner, output: panner });
+        }
+
+        for (let i = 1; i < parts.length; i += 1) {
+            parts[i - 1].output.connect(parts[i].input);
+        }
+        return { input: parts[0].input, output: parts[parts.length - 1].output };
+    }
+
+    const DEFAULT_LOUDNESS = { enabled: false, targetDb: -20, maxBoostDb: 6 };
+    const LOUDNESS_MAX_CUT_DB = 12;
+    const LOUDNESS_STEP_DB = 0.5;
+    const LOUDNESS_GATE_DB = -50;
+    const LOUDNESS_SMOOTHING = 0.2;
+    const SILENCE_DB = -100;
+
+    function clampNumber(value, min, max, fallback) {
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed)) return fallback;
+        return Math.max(min, Math.min(max, parsed));
+    }
+
+    function normalizeLoudnessSettings(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        return {
+            enabled: settings.enabled === true,
+            targetDb: Math.round(clampNumber(settings.targetDb, -30, -10, DEFAULT_LOUDNESS.targetDb)),
+            maxBoostDb: Math.round(clampNumber(settings.maxBoostDb, 0, 12, DEFAULT_LOUDNESS.maxBoostDb))
+        };
+    }
+
+    function gainToDb(gain) {
+        if (!(gain > 0)) return SILENCE_DB;
+        return Math.max(SILENCE_DB, 20 * Math.log10(gain));
+    }
+
+    function dbToGain(db) {
+        return Math.pow(10, db / 20);
+    }
+
+    function measureLevels(samples) {
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < samples.length; i += 1) {
+            const sample = Math.abs(samples[i]);
+            if (sample > peak) peak = sample;
+            sumSquares += sample * sample;
+        }
+        const rms = samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+        return { peak, rms };
+    }
+
+    // Silence is gated out so pauses and quiet gaps do not pump the gain up.
+    function isAboveGate(levelDb) {
+        return levelDb >= LOUDNESS_GATE_DB;
+    }
+
+    // Exponential moving average over analyser windows gives a short-term level
+    // of a few seconds.
+    function smoothLevel(previousDb, measuredDb) {
+        if (previousDb === null) return measuredDb;
+        return previousDb + (measuredDb - previousDb) * LOUDNESS_SMOOTHING;
+    }
+
+    function nextCorrection(currentDb, levelDb, settings) {
+        if (levelDb === null) return currentDb;
+        const wanted = Math.max(-LOUDNESS_MAX_CUT_DB, Math.min(settings.maxBoostDb, settings.targetDb - levelDb));
+        const delta = Math.max(-LOUDNESS_STEP_DB, Math.min(LOUDNESS_STEP_DB, wanted - currentDb));
+        return Math.round((currentDb + delta) * 100) / 100;
+    }
+
+    const FADE_CURVES = ['linear', 'exponential', 'equalPower'];
+    // Exponential fades cannot reach zero, so silence is treated as this fraction
+    // of the louder endpoint.
+    const FADE_FLOOR_RATIO = 1e-4;
+    // setTargetAtTime settles to within 1% of its target after ~4.6 time constants.
+    const FADE_TIME_CONSTANTS = 4.6;
+    const FADE_CURVE_POINTS = 64;
+
+    function normalizeFadeCurve(value) {
+        return FADE_CURVES.includes(value) ? value : 'linear';
+    }
+
+    // Level at fraction `t` (0..1) of a fade. Works in any unit (percent or gain).
+    // Equal-power interpolates linearly in power, so the loudness change sounds even.
+    function fadeCurveValue(curve, from, to, t) {
+        if (t <= 0) return from;
+        if (t >= 1) return to;
+        if (curve === 'exponential') {
+            const floor = Math.max(from, to) * FADE_FLOOR_RATIO;
+            if (floor === 0) return 0;
+            const start = Math.max(from, floor);
+            const end = Math.max(to, floor);
+            return start * Math.pow(end / start, t);
+        }
+        if (curve === 'equalPower') {
+            return Math.sqrt((1 - t) * from * from + t * to * to);
+        }
+        return from + (to - from) * t;
+    }
+
+    // Schedules a fade on an AudioParam so it runs sample-accurately on the audio
+    // thread. Exponential fades to or from silence fall back to setTargetAtTime and
+    // land exactly on the target at the end.
+    function scheduleGainFade(param, from, to, startTime, durationSec, curve) {
+        const endTime = startTime + durationSec;
+        param.cancelScheduledValues(startTime);
+        param.setValueAtTime(from, startTime);
+        if (durationSec <= 0) {
+            param.setValueAtTime(to, startTime);
+            return;
+        }
+        if (curve === 'exponential') {
+            if (from > 0 && to > 0) {
+                param.exponentialRampToValueAtTime(to, endTime);
+                return;
+            }
+            param.setTargetAtTime(to, startTime, durationSec / FADE_TIME_CONSTANTS);
+            param.setValueAtTime(to, endTime);
+            return;
+        }
+        if (curve === 'equalPower') {
+            const points = new Float32Array(FADE_CURVE_POINTS);
+            for (let i = 0; i < FADE_CURVE_POINTS; i += 1) {
+                points[i] = fadeCurveValue('equalPower', from, to, i / (FADE_CURVE_POINTS - 1));
+            }
+            param.setValueCurveAtTime(points, startTime, durationSec);
+            return;
+        }
+        param.linearRampToValueAtTime(to, endTime);
+    }
+
+    // Freezes a param at its current value and drops any pending automation.
+    function holdParam(param, time) {
+        const value = param.value;
+        param.cancelScheduledValues(time);
+        param.setValueAtTime(value, time);
+    }
+
+    return {
+        LIMITER_PRESETS,
+        normalizeLimiterPreset,
+        createLimiter,
+        EQ_FREQUENCIES,
+        EQ_MAX_GAIN,
+        EQ_PRESETS,
+        USER_PRESET_PREFIX,
+        normalizeEqGains,
+        isFlatEq,
+        normalizeUserPresets,
+        resolveEqPreset,
+        createEqualizer,
+        setEqualizerGains,
+        DEFAULT_STEREO,
+        normalizeStereo,
+        isDefaultStereo,
+        createStereoStage,
+        DEFAULT_LOUDNESS,
+        LOUDNESS_MAX_CUT_DB,
+        LOUDNESS_STEP_DB,
+        normalizeLoudnessSettings,
+        gainToDb,
+        dbToGain,
+        measureLevels,
+        isAboveGate,
+        smoothLevel,
+        nextCorrection,
+        FADE_CURVES,
+        normalizeFadeCurve,
+        fadeCurveValue,
+        scheduleGainFade,
+        holdParam
+    };
+});
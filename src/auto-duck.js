@@ -0,0 +1,39 @@
+'use strict';
+
+(function initAutoDuck(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.AutoDuck = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function autoDuckFactory() {
+    const DUCK_SETTINGS_KEY = 'vc:autoDuck';
+    const PRIORITY_SETTING = 'priority';
+    const DEFAULT_DUCK = { enabled: true, level: 30, fadeMs: 400 };
+    const MAX_DUCK_FADE_MS = 5000;
+
+    // `level` is the share of a tab's own volume it keeps while ducked.
+    function normalizeDuckSettings(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        const level = Number.parseInt(settings.level, 10);
+        const fadeMs = Number.parseInt(settings.fadeMs, 10);
+        return {
+            enabled: settings.enabled !== false,
+            level: Number.isFinite(level) ? Math.max(0, Math.min(100, level)) : DEFAULT_DUCK.level,
+            fadeMs: Number.isFinite(fadeMs) ? Math.max(0, Math.min(MAX_DUCK_FADE_MS, fadeMs)) : DEFAULT_DUCK.fadeMs
+        };
+    }
+
+    function duckTarget(volume, settings) {
+        return Math.round((volume * settings.level) / 100);
+    }
+
+    return {
+        DUCK_SETTINGS_KEY,
+        PRIORITY_SETTING,
+        DEFAULT_DUCK,
+        MAX_DUCK_FADE_MS,
+        normalizeDuckSettings,
+        duckTarget
+    };
+});
@@ -3,8 +3,42 @@
 const BADGE_COLORS = {
     accent: '#3b82f6',
     warning: '#f59e0b',
-    danger: '#ef4444'
+    danger: '#ef4444',
+    muted: '#6b7280'
 };
+const TOP_FRAME_ID = 0;
+const SLEEP_TIMERS_KEY = 'vc:sleepTimers';
+const SLEEP_ALARM_PREFIX = 'vc-sleep:';
+const SLEEP_TICK_ALARM = 'vc-sleep-tick';
+const DEFAULT_SLEEP_FADE_MS = 30000;
+const MAX_SLEEP_FADE_MS = 5 * 60 * 1000;
+const QUIET_HOURS_ALARM = 'vc-quiet-hours';
+const DUCK_STATE_KEY = 'vc:duckState';
+// Last-used dates only need to be roughly right, so frequent volume reports
+// within this window do not each cost a storage write.
+const LAST_USED_RESOLUTION_MS = 60 * 60 * 1000;
+const COMMAND_STEP = 10;
+// Commands that map straight onto a content-script action. Presets are
+// `volume-preset-<volume>`, so a new one only needs a manifest entry.
+const COMMAND_MESSAGES = {
+    'volume-up': { action: 'step-volume', delta: COMMAND_STEP },
+    'volume-down': { action: 'step-volume', delta: -COMMAND_STEP },
+    'toggle-mute': { action: 'toggle-mute' },
+    'reset-volume': { action: 'reset-volume' },
+    'toggle-lock': { action: 'toggle-lock' }
+};
+const PRESET_COMMAND_PREFIX = 'volume-preset-';
+// Actions whose result depends on the frame's current state.
+const RELATIVE_ACTIONS = ['toggle-mute', 'toggle-lock', 'step-volume'];
+// The master level belongs to every tab, so these commands go through
+// `setMasterVolume()` instead of the active tab.
+const MASTER_COMMAND_STEPS = {
+    'master-volume-up': COMMAND_STEP,
+    'master-volume-down': -COMMAND_STEP
+};
+const SYNC_ALARM = 'vc-sync';
+// Local edits are pushed in batches to stay well inside storage.sync's write limits.
+const SYNC_DELAY_MS = 30 * 1000;
 
 function badgeColorForVolume(volume) {
     if (typeof volume !== 'number') return BADGE_COLORS.accent;
@@ -13,24 +47,702 @@ function badgeColorForVolume(volume) {
     return BADGE_COLORS.accent;
 }
 
-browser.runtime.onMessage.addListener((msg, sender) => {
-    if (!msg || msg.action !== 'update-badge') return undefined;
-    const tabId = sender && sender.tab ? sender.tab.id : undefined;
-    if (typeof tabId !== 'number') return undefined;
+async function listFrameIds(tabId) {
+    if (!browser.webNavigation) return [TOP_FRAME_ID];
+    try {
+        const frames = await browser.webNavigation.getAllFrames({ tabId });
+        const subframeIds = (frames || [])
+            .map(frame => frame.frameId)
+            .filter(frameId => frameId !== TOP_FRAME_ID);
+        return [TOP_FRAME_ID, ...subframeIds];
+    } catch (_) {
+        return [TOP_FRAME_ID];
+    }
+}
+
+// The popup talks to the top frame; subframes only add their media to the list.
+function mergeFrameResponses(action, replies) {
+    const [top, ...subframes] = replies;
+    if (action === 'get-media' || action === 'get-diagnostics') {
+        const elements = replies.flatMap(({ frameId, response }) =>
+            (response && Array.isArray(response.elements) ? response.elements : [])
+                .map(element => ({ ...element, frameId })));
+        return { ...top.response, elements };
+    }
+    if (action === 'get-media-remaining') {
+        const remaining = replies
+            .map(({ response }) => (response ? response.remainingMs : null))
+            .filter(Number.isFinite);
+        return remaining.length > 0 ? { ok: true, remainingMs: Math.max(...remaining) } : { ok: false, remainingMs: null };
+    }
+    if (action === 'get-state' && top.response) {
+        const counts = subframes.map(({ response }) => (response && typeof response.mediaCount === 'number' ? response.mediaCount : 0));
+        const mediaCount = counts.reduce((sum, count) => sum + count, top.response.mediaCount || 0);
+        return { ...top.response, mediaCount, hasMedia: mediaCount > 0 };
+    }
+    return top.response;
+}
+
+// The subframes' copy of the state the top frame reached with a relative command.
+function absoluteMessage(action, state) {
+    if (action === 'toggle-mute') return { action: state.isMuted ? 'mute' : 'unmute' };
+    if (action === 'toggle-lock') return { action: state.isLocked ? 'lock' : 'unlock' };
+    return { action: 'set-volume', volume: typeof state.siteVolume === 'number' ? state.siteVolume : state.volume };
+}
 
-    const vol = Number.isFinite(msg.volume) ? Math.round(msg.volume) : undefined;
-    const text = typeof vol === 'number' ? String(vol) : '';
+// Toggles and steps act on each frame's own state, which differs when an embed
+// opted out of inheritance or loaded after a mute that was not remembered. The
+// top frame decides, and the subframes are given the state it ended up in.
+async function routeRelative(tabId, message, frameIds) {
+    const response = await browser.tabs.sendMessage(tabId, message, { frameId: TOP_FRAME_ID });
+    const subframeIds = frameIds.filter(frameId => frameId !== TOP_FRAME_ID);
+    if (subframeIds.length === 0) return response;
+    const state = await browser.tabs.sendMessage(tabId, { action: 'get-state' }, { frameId: TOP_FRAME_ID });
+    if (!state) return response;
+    const absolute = absoluteMessage(message.action, state);
+    await Promise.allSettled(subframeIds.map(frameId => browser.tabs.sendMessage(tabId, absolute, { frameId })));
+    return response;
+}
+
+// Per-element commands carry the frame their element lives in. Everything else
+// fans out to every frame so embedded players follow the popup.
+async function routeToFrames(tabId, message) {
+    if (typeof message.frameId === 'number') {
+        const { frameId, ...payload } = message;
+        const response = await browser.tabs.sendMessage(tabId, payload, { frameId });
+        return response && typeof response === 'object' ? { ...response, frameId } : response;
+    }
+
+    const frameIds = await listFrameIds(tabId);
+    if (RELATIVE_ACTIONS.includes(message.action)) return routeRelative(tabId, message, frameIds);
+    const results = await Promise.allSettled(frameIds.map(frameId =>
+        browser.tabs.sendMessage(tabId, message, { frameId })));
+    if (results[0].status === 'rejected') throw results[0].reason;
+
+    const replies = results
+        .map((result, index) => ({ frameId: frameIds[index], result }))
+        .filter(({ result }) => result.status === 'fulfilled')
+        .map(({ frameId, result }) => ({ frameId, response: result.value }));
+    return mergeFrameResponses(message.action, replies);
+}
+
+/** Tooltip for the badge: the site's own value, plus what is heard when the master level differs. */
+function volumeBadgeTitle(volume, effective, state = {}) {
+    if (typeof volume !== 'number') return 'Volume Control';
+    let title;
+    if (state.muted) title = `Volume Control — muted (site ${volume}%)`;
+    else if (typeof effective !== 'number' || effective === volume) title = `Volume Control — ${volume}%`;
+    else title = `Volume Control — site ${volume}%, effective ${effective}% with master volume`;
+    return state.locked ? `${title}, locked` : title;
+}
+
+// The badge shows what is actually heard; the tooltip breaks it down.
+function setVolumeBadge(tabId, volume, effectiveVolume, state = {}) {
+    const vol = Number.isFinite(volume) ? Math.round(volume) : undefined;
+    const effective = Number.isFinite(effectiveVolume) ? Math.round(effectiveVolume) : vol;
+    const muted = state.muted === true && typeof vol === 'number';
+    let text = typeof effective === 'number' ? String(effective) : '';
+    if (muted) text = 'mute';
 
     return Promise.all([
         browser.action.setBadgeText({ text, tabId }),
-        browser.action.setBadgeBackgroundColor({ color: badgeColorForVolume(vol), tabId })
+        browser.action.setBadgeBackgroundColor({ color: muted ? BADGE_COLORS.muted : badgeColorForVolume(effective), tabId }),
+        browser.action.setTitle({ title: volumeBadgeTitle(vol, effective, state), tabId })
     ]).then(() => ({ ok: true }));
+}
+
+async function refreshVolumeBadge(tabId) {
+    try {
+        const state = await browser.tabs.sendMessage(tabId, { action: 'get-state' }, { frameId: TOP_FRAME_ID });
+        const flags = state ? { muted: state.isMuted, locked: state.isLocked } : {};
+        await setVolumeBadge(tabId, state ? state.volume : undefined, state ? state.effectiveVolume : undefined, flags);
+    } catch (_) {
+        await browser.action.setBadgeText({ text: '', tabId });
+    }
+}
+
+// Timers and ducking live in the background so they survive the popup closing.
+// The event page can be unloaded between events, so their state is kept in
+// session storage.
+
+function sessionArea() {
+    return browser.storage.session || browser.storage.local;
+}
+
+async function loadSleepTimers() {
+    try {
+        const data = await sessionArea().get(SLEEP_TIMERS_KEY);
+        return data[SLEEP_TIMERS_KEY] || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function saveSleepTimers(timers) {
+    return sessionArea().set({ [SLEEP_TIMERS_KEY]: timers });
+}
+
+/** Badge text for the time left: "45m", "1h30". */
+function formatCountdown(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeSleepFade(value) {
+    const fadeMs = Number(value);
+    if (!Number.isFinite(fadeMs) || fadeMs < 0) return DEFAULT_SLEEP_FADE_MS;
+    return Math.min(MAX_SLEEP_FADE_MS, Math.floor(fadeMs));
+}
+
+function renderSleepBadge(timer) {
+    return Promise.all([
+        browser.action.setBadgeText({ text: formatCountdown(timer.endsAt - Date.now()), tabId: timer.tabId }),
+        browser.action.setBadgeBackgroundColor({ color: BADGE_COLORS.accent, tabId: timer.tabId })
+    ]);
+}
+
+// The fade is scheduled to finish at `endsAt`, so "end of media" is silent exactly
+// when the video ends.
+async function startSleepTimer(tabId, request) {
+    const now = Date.now();
+    let endsAt;
+    if (request.endOfMedia) {
+        let remaining = null;
+        try {
+            remaining = await routeToFrames(tabId, { action: 'get-media-remaining' });
+        } catch (_) {
+            // Content script unreachable — treated like no media
+        }
+        if (!remaining || !Number.isFinite(remaining.remainingMs)) return { ok: false, reason: 'no-media' };
+        endsAt = now + remaining.remainingMs;
+    } else {
+        const minutes = Number(request.minutes);
+        if (!Number.isFinite(minutes) || minutes <= 0) return { ok: false, reason: 'invalid-duration' };
+        endsAt = now + minutes * 60000;
+    }
+
+    const timer = {
+        tabId,
+        endsAt,
+        fadeMs: Math.min(normalizeSleepFade(request.fadeMs), endsAt - now),
+        endOfMedia: Boolean(request.endOfMedia)
+    };
+    const timers = await loadSleepTimers();
+    timers[tabId] = timer;
+    await saveSleepTimers(timers);
+    browser.alarms.create(`${SLEEP_ALARM_PREFIX}${tabId}`, { when: timer.endsAt - timer.fadeMs });
+    browser.alarms.create(SLEEP_TICK_ALARM, { periodInMinutes: 1 });
+    await renderSleepBadge(timer);
+    return { ok: true, ...timer };
+}
+
+async function removeSleepTimer(tabId) {
+    const timers = await loadSleepTimers();
+    const timer = timers[tabId] || null;
+    if (!timer) return null;
+    delete timers[tabId];
+    await saveSleepTimers(timers);
+    await browser.alarms.clear(`${SLEEP_ALARM_PREFIX}${tabId}`);
+    if (Object.keys(timers).length === 0) await browser.alarms.clear(SLEEP_TICK_ALARM);
+    return timer;
+}
+
+async function cancelSleepTimer(tabId) {
+    const timer = await removeSleepTimer(tabId);
+    if (timer) await refreshVolumeBadge(tabId);
+    return { ok: true, cancelled: Boolean(timer) };
+}
+
+async function getSleepTimer(tabId) {
+    const timers = await loadSleepTimers();
+    return { ok: true, timer: timers[tabId] || null };
+}
+
+async function fireSleepTimer(tabId) {
+    const timer = await removeSleepTimer(tabId);
+    if (!timer) return;
+    try {
+        await routeToFrames(tabId, { action: 'sleep-now', fadeMs: timer.fadeMs });
+    } catch (_) {
+        // Tab closed or navigated to a page without the content script
+    }
+    await refreshVolumeBadge(tabId);
+}
+
+async function tickSleepTimers() {
+    const timers = Object.values(await loadSleepTimers());
+    if (timers.length === 0) {
+        await browser.alarms.clear(SLEEP_TICK_ALARM);
+        return;
+    }
+    await Promise.all(timers.map(renderSleepBadge));
+}
+
+// Global settings reach every frame of every open tab; tabs without the content
+// script (about: pages, the add-on store) are skipped.
+async function broadcastToTabs(message) {
+    const tabs = await browser.tabs.query({});
+    await Promise.allSettled(tabs.map(tab => routeToFrames(tab.id, message)));
+}
+
+async function setMasterVolume(volume) {
+    const masterVolume = VolumeState.normalizeMasterVolume(volume);
+    await browser.storage.local.set({ [VolumeState.MASTER_VOLUME_KEY]: masterVolume });
+    await broadcastToTabs({ action: 'set-master-volume', volume: masterVolume });
+    return { ok: true, masterVolume };
+}
+
+let masterQueue = Promise.resolve();
+
+// Queued, so presses in quick succession each step from the level the previous one saved.
+function stepMasterVolume(delta) {
+    masterQueue = masterQueue.then(async () => {
+        const data = await browser.storage.local.get(VolumeState.MASTER_VOLUME_KEY);
+        return setMasterVolume(VolumeState.normalizeMasterVolume(data[VolumeState.MASTER_VOLUME_KEY]) + delta);
+    }).catch(() => ({ ok: false }));
+    return masterQueue;
+}
+
+async function loadQuietHours() {
+    try {
+        const data = await browser.storage.local.get(QuietHours.QUIET_HOURS_KEY);
+        return QuietHours.normalizeSchedule(data[QuietHours.QUIET_HOURS_KEY]);
+    } catch (_) {
+        return [];
+    }
+}
+
+async function currentVolumeCap() {
+    return { ok: true, cap: QuietHours.activeCap(await loadQuietHours(), new Date()) };
+}
+
+// Quiet hours are evaluated here rather than in each tab: the cap is pushed to
+// every open tab and an alarm is armed for the next time a window opens or closes.
+async function applyQuietHours() {
+    const rules = await loadQuietHours();
+    const now = new Date();
+    const cap = QuietHours.activeCap(rules, now);
+    await broadcastToTabs({ action: 'set-volume-cap', cap });
+
+    await browser.alarms.clear(QUIET_HOURS_ALARM);
+    const next = QuietHours.nextBoundary(rules, now);
+    if (next !== null) browser.alarms.create(QUIET_HOURS_ALARM, { when: next });
+    return { ok: true, cap };
+}
+
+async function loadDuckSettings() {
+    try {
+        const data = await browser.storage.local.get(AutoDuck.DUCK_SETTINGS_KEY);
+        return AutoDuck.normalizeDuckSettings(data[AutoDuck.DUCK_SETTINGS_KEY]);
+    } catch (_) {
+        return AutoDuck.normalizeDuckSettings();
+    }
+}
+
+async function isPriorityTab(tab) {
+    const origin = VolumeState.originOfUrl(tab.url);
+    if (!origin) return false;
+    const key = VolumeState.keyForSetting(AutoDuck.PRIORITY_SETTING, origin);
+    try {
+        const data = await browser.storage.local.get(key);
+        return data[key] === true;
+    } catch (_) {
+        return false;
+    }
+}
+
+async function loadDuckState() {
+    try {
+        const data = await sessionArea().get(DUCK_STATE_KEY);
+        return { priority: [], ducked: {}, ...data[DUCK_STATE_KEY] };
+    } catch (_) {
+        return { priority: [], ducked: {} };
+    }
+}
+
+function saveDuckState(state) {
+    return sessionArea().set({ [DUCK_STATE_KEY]: state });
+}
+
+// Ducking is temporary, so neither fade is persisted: the tab's saved volume
+// stays what the user chose.
+// The site's own level, not the one quiet hours cap, so a restore does not
+// leave the tab at the cap once the window ends.
+function siteLevel(current) {
+    return typeof current.siteVolume === 'number' ? current.siteVolume : current.volume;
+}
+
+async function duckTab(tabId, settings, state) {
+    if (state.ducked[tabId]) return;
+    try {
+        const current = await routeToFrames(tabId, { action: 'get-state' });
+        if (!current || typeof current.volume !== 'number') return;
+        const target = AutoDuck.duckTarget(current.volume, settings);
+        state.ducked[tabId] = { previous: siteLevel(current), target };
+        await routeToFrames(tabId, { action: 'fade-volume', target, durationMs: settings.fadeMs, persist: false });
+    } catch (_) {
+        // No content script in that tab (e.g. about: pages) — nothing to duck
+    }
+}
+
+async function restoreTab(tabId, record, settings) {
+    try {
+        const current = await routeToFrames(tabId, { action: 'get-state' });
+        // The user changed this tab's volume while it was ducked; keep their choice.
+        if (!current || siteLevel(current) !== record.target) return;
+        await routeToFrames(tabId, { action: 'fade-volume', target: record.previous, durationMs: settings.fadeMs, persist: false });
+    } catch (_) {
+        // Tab navigated away or closed — its own saved volume applies
+    }
+}
+
+// While any priority tab is audible every other audible tab is ducked; once the
+// last one goes quiet, everything that was ducked comes back.
+async function settleDucking(state, settings) {
+    if (state.priority.length > 0) {
+        const audible = await browser.tabs.query({ audible: true });
+        await Promise.all(audible
+            .filter(tab => !state.priority.includes(tab.id))
+            .map(tab => duckTab(tab.id, settings, state)));
+    } else {
+        await Promise.all(Object.entries(state.ducked).map(([tabId, record]) => restoreTab(Number(tabId), record, settings)));
+        state.ducked = {};
+    }
+    await saveDuckState(state);
+}
+
+async function handleAudibleChange(tab) {
+    const settings = await loadDuckSettings();
+    const state = await loadDuckState();
+    if (tab.audible && settings.enabled && await isPriorityTab(tab)) {
+        if (!state.priority.includes(tab.id)) state.priority.push(tab.id);
+        if (state.ducked[tab.id]) {
+            await restoreTab(tab.id, state.ducked[tab.id], settings);
+            delete state.ducked[tab.id];
+        }
+    } else if (!tab.audible) {
+        state.priority = state.priority.filter(tabId => tabId !== tab.id);
+    }
+    await settleDucking(state, settings);
+}
+
+async function forgetDuckedTab(tabId) {
+    const state = await loadDuckState();
+    if (!state.priority.includes(tabId) && !state.ducked[tabId]) return;
+    state.priority = state.priority.filter(id => id !== tabId);
+    delete state.ducked[tabId];
+    await settleDucking(state, await loadDuckSettings());
+}
+
+async function stopDucking() {
+    const state = await loadDuckState();
+    state.priority = [];
+    await settleDucking(state, await loadDuckSettings());
+}
+
+// Audible changes arrive in bursts (several tabs starting at once), so ducking
+// work runs one event at a time against the stored state.
+let duckQueue = Promise.resolve();
+
+function queueDucking(task) {
+    duckQueue = duckQueue.then(task).catch(() => { });
+    return duckQueue;
+}
+
+// Storage is upgraded once per install or update; the controller still reads
+// older site values, so tabs opened before the upgrade finishes are unaffected.
+async function migrateStorage() {
+    try {
+        return await StorageMigrations.runMigrations(browser.storage.local, VolumeState);
+    } catch (_) {
+        return { ok: false };
+    }
+}
+
+function lastUsedKeyFor(origin) {
+    return VolumeState.keyForSetting(VolumeState.LAST_USED_SETTING, origin);
+}
+
+/**
+ * Keep saved sites under the configured limit, dropping the least recently
+ * used first, and forget sites back at 100% when that is turned on. Pruned
+ * sites go into a short history the options page can restore from. Sites in
+ * `addedOrigins` were saved just now, so they count as used now even before
+ * their first badge report records the date.
+ */
+async function pruneSites(addedOrigins = []) {
+    const data = await browser.storage.local.get(null);
+    const now = Date.now();
+    const stamps = {};
+    addedOrigins.forEach(origin => {
+        if (!(VolumeState.keyForOrigin(origin) in data) || Number.isFinite(data[lastUsedKeyFor(origin)])) return;
+        stamps[lastUsedKeyFor(origin)] = now;
+    });
+    Object.assign(data, stamps);
+    if (Object.keys(stamps).length > 0) await browser.storage.local.set(stamps);
+
+    const settings = SitePruning.normalizePruneSettings(data[SitePruning.PRUNE_SETTINGS_KEY]);
+    const { forgotten, pruned } = SitePruning.planPrune(data, settings, VolumeState);
+    const keys = [
+        ...forgotten.flatMap(origin => SitePruning.siteKeys({ origin }, VolumeState)),
+        ...pruned.flatMap(site => SitePruning.siteKeys(site, VolumeState))
+    ].filter(key => key in data);
+    if (keys.length === 0) return { forgotten, pruned: [] };
+
+    const updates = {};
+    if (pruned.length > 0) {
+        updates[SitePruning.PRUNED_SITES_KEY] = SitePruning.addPrunedSites(data[SitePruning.PRUNED_SITES_KEY], pruned, now);
+    }
+    // The limit is per device: the clock is told before the keys go, so the
+    // removal is not stamped and pushed to other devices as a deletion.
+    if (SettingsSync.normalizeSyncSettings(data[SettingsSync.SYNC_SETTINGS_KEY]).enabled) {
+        const clock = SettingsSync.normalizeClock(data[SettingsSync.SYNC_CLOCK_KEY], now);
+        updates[SettingsSync.SYNC_CLOCK_KEY] = SettingsSync.markPruned(clock, keys, now, VolumeState);
+    }
+    if (Object.keys(updates).length > 0) await browser.storage.local.set(updates);
+    await browser.storage.local.remove(keys);
+    return { forgotten, pruned: pruned.map(site => site.origin) };
+}
+
+let pruneQueue = Promise.resolve();
+
+function queuePrune(task) {
+    pruneQueue = pruneQueue.then(task).catch(() => { });
+    return pruneQueue;
+}
+
+// Only a newly saved site can push storage over the limit, and only a write
+// of 100% can create a site to forget, so other volume changes skip the scan.
+function originsToPrune(changes) {
+    const added = [];
+    let needed = Boolean(changes[SitePruning.PRUNE_SETTINGS_KEY]);
+    Object.entries(changes).forEach(([key, change]) => {
+        const origin = VolumeState.originFromKey(key);
+        if (!origin || typeof change.newValue === 'undefined') return;
+        if (typeof change.oldValue === 'undefined') added.push(origin);
+        if (SitePruning.isDefaultRecord(change.newValue, VolumeState)) needed = true;
+    });
+    return needed || added.length > 0 ? added : null;
+}
+
+async function loadSyncSettings() {
+    try {
+        const data = await browser.storage.local.get(SettingsSync.SYNC_SETTINGS_KEY);
+        return SettingsSync.normalizeSyncSettings(data[SettingsSync.SYNC_SETTINGS_KEY]);
+    } catch (_) {
+        return SettingsSync.normalizeSyncSettings();
+    }
+}
+
+// Notes when synced settings change on this device, for last-writer-wins, and
+// schedules a push. Re-arming the alarm batches a burst of edits into one write.
+async function stampLocalChanges(changes) {
+    if (!(await loadSyncSettings()).enabled) return;
+    const now = Date.now();
+    const data = await browser.storage.local.get(SettingsSync.SYNC_CLOCK_KEY);
+    const clock = SettingsSync.normalizeClock(data[SettingsSync.SYNC_CLOCK_KEY], now);
+    const stamped = SettingsSync.stampChanges(clock, changes, now, VolumeState);
+    if (!stamped.changed) return;
+    await browser.storage.local.set({ [SettingsSync.SYNC_CLOCK_KEY]: stamped.clock });
+    browser.alarms.create(SYNC_ALARM, { when: now + SYNC_DELAY_MS });
+}
+
+async function runSync() {
+    if (!(await loadSyncSettings()).enabled) return { ok: false, enabled: false };
+    try {
+        return await SettingsSync.syncNow({ local: browser.storage.local, sync: browser.storage.sync, volumeState: VolumeState });
+    } catch (error) {
+        const data = await browser.storage.local.get(SettingsSync.SYNC_STATUS_KEY);
+        const status = { lastSync: null, trimmed: 0, ...data[SettingsSync.SYNC_STATUS_KEY], error: String(error && error.message ? error.message : error) };
+        await browser.storage.local.set({ [SettingsSync.SYNC_STATUS_KEY]: status });
+        return { ok: false, error: status.error };
+    }
+}
+
+let syncQueue = Promise.resolve();
+
+function queueSync(task) {
+    syncQueue = syncQueue.then(task).catch(() => { });
+    return syncQueue;
+}
+
+async function handleAlarm(alarm) {
+    if (alarm.name === SYNC_ALARM) {
+        await queueSync(runSync);
+        return;
+    }
+    if (alarm.name === QUIET_HOURS_ALARM) {
+        await applyQuietHours();
+        return;
+    }
+    if (alarm.name === SLEEP_TICK_ALARM) {
+        await tickSleepTimers();
+        return;
+    }
+    if (alarm.name.startsWith(SLEEP_ALARM_PREFIX)) {
+        await fireSleepTimer(Number(alarm.name.slice(SLEEP_ALARM_PREFIX.length)));
+    }
+}
+
+// Sites with a saved volume get a last-used date for the options page.
+async function recordLastUsed(tab) {
+    const origin = VolumeState.originOfUrl(tab.url);
+    if (!origin) return;
+    const volumeKey = VolumeState.keyForOrigin(origin);
+    const lastUsedKey = lastUsedKeyFor(origin);
+    try {
+        const data = await browser.storage.local.get([volumeKey, lastUsedKey]);
+        if (typeof data[volumeKey] === 'undefined') return;
+        const now = Date.now();
+        if (typeof data[lastUsedKey] === 'number' && now - data[lastUsedKey] < LAST_USED_RESOLUTION_MS) return;
+        await browser.storage.local.set({ [lastUsedKey]: now });
+    } catch (_) {
+        // A missing date only affects sorting on the options page.
+    }
+}
+
+// Embedded frames need the top page's origin to share its settings. Firefox
+// may not give them `location.ancestorOrigins`, so they ask here; the tab's URL
+// is the top page, with the top frame's navigation data as a fallback.
+async function topOriginFor(sender) {
+    const tab = sender && sender.tab;
+    if (!tab) return { origin: null };
+    let origin = VolumeState.originOfUrl(tab.url);
+    if (!origin && browser.webNavigation && typeof tab.id === 'number') {
+        try {
+            const frame = await browser.webNavigation.getFrame({ tabId: tab.id, frameId: TOP_FRAME_ID });
+            origin = frame ? VolumeState.originOfUrl(frame.url) : null;
+        } catch (_) {
+            origin = null;
+        }
+    }
+    return { origin };
+}
+
+async function handleBadgeUpdate(msg, sender) {
+    const tabId = sender && sender.tab ? sender.tab.id : undefined;
+    if (typeof tabId !== 'number') return undefined;
+    // The badge reflects the top page; embedded frames report their own origin.
+    if (typeof sender.frameId === 'number' && sender.frameId !== TOP_FRAME_ID) return undefined;
+    await recordLastUsed(sender.tab);
+    // A running sleep timer owns the badge until it fires or is cancelled.
+    const timers = await loadSleepTimers();
+    if (timers[tabId]) return { ok: true };
+    return setVolumeBadge(tabId, msg.volume, msg.effectiveVolume, { muted: msg.muted, locked: msg.locked });
+}
+
+function commandMessage(command) {
+    if (COMMAND_MESSAGES[command]) return COMMAND_MESSAGES[command];
+    if (typeof command !== 'string' || !command.startsWith(PRESET_COMMAND_PREFIX)) return null;
+    const volume = Number.parseInt(command.slice(PRESET_COMMAND_PREFIX.length), 10);
+    return Number.isFinite(volume) ? { action: 'set-volume', volume: VolumeState.normalizeVolume(volume) } : null;
+}
+
+/**
+ * Run a keyboard command on the active tab. Pages without the content script
+ * (about: pages, the add-ons site, tabs open since before install) cannot be
+ * reached; the badge says so instead of the shortcut silently doing nothing.
+ * Firefox clears the tab's badge on its next navigation.
+ */
+async function handleCommand(command) {
+    if (MASTER_COMMAND_STEPS[command]) return stepMasterVolume(MASTER_COMMAND_STEPS[command]);
+    const message = commandMessage(command);
+    if (!message) return { ok: false };
+    const [tab] = await browser.tabs.query({ active: true, currentWindow: true });
+    if (!tab || typeof tab.id !== 'number') return { ok: false };
+    try {
+        return await routeToFrames(tab.id, message);
+    } catch (_) {
+        await Promise.all([
+            browser.action.setBadgeText({ text: '—', tabId: tab.id }),
+            browser.action.setBadgeBackgroundColor({ color: BADGE_COLORS.muted, tabId: tab.id }),
+            browser.action.setTitle({ title: 'Volume Control — not available on this page', tabId: tab.id })
+        ]).catch(() => { });
+        return { ok: false, unreachable: true };
+    }
+}
+
+browser.runtime.onMessage.addListener((msg, sender) => {
+    if (!msg) return undefined;
+    if (msg.action === 'route-to-tab') {
+        if (typeof msg.tabId !== 'number' || !msg.message) return undefined;
+        return routeToFrames(msg.tabId, msg.message);
+    }
+    if (msg.action === 'sleep-timer' && typeof msg.tabId === 'number') return startSleepTimer(msg.tabId, msg);
+    if (msg.action === 'cancel-sleep-timer' && typeof msg.tabId === 'number') return cancelSleepTimer(msg.tabId);
+    if (msg.action === 'get-sleep-timer' && typeof msg.tabId === 'number') return getSleepTimer(msg.tabId);
+    if (msg.action === 'get-volume-cap') return currentVolumeCap();
+    if (msg.action === 'get-top-origin') return topOriginFor(sender);
+    if (msg.action === 'set-master-volume') return setMasterVolume(msg.volume);
+    if (msg.action === 'sync-now') return queueSync(runSync);
+    if (msg.action !== 'update-badge') return undefined;
+    return handleBadgeUpdate(msg, sender);
 });
 
+if (browser.commands && browser.commands.onCommand) {
+    browser.commands.onCommand.addListener(command => {
+        handleCommand(command).catch(() => { });
+    });
+}
+
+if (browser.alarms && browser.alarms.onAlarm) {
+    browser.alarms.onAlarm.addListener(handleAlarm);
+}
+
+if (browser.storage && browser.storage.onChanged) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'sync') {
+            if (Object.keys(changes).some(key => key.startsWith('vc:sync:'))) queueSync(runSync);
+            return;
+        }
+        if (areaName !== 'local') return;
+        const added = originsToPrune(changes);
+        if (added) queuePrune(() => pruneSites(added));
+        const sync = changes[SettingsSync.SYNC_SETTINGS_KEY];
+        if (sync && SettingsSync.normalizeSyncSettings(sync.newValue).enabled) queueSync(runSync);
+        if (Object.keys(changes).some(key => SettingsSync.isSyncedKey(key, VolumeState))) {
+            queueSync(() => stampLocalChanges(changes));
+        }
+        if (changes[QuietHours.QUIET_HOURS_KEY]) applyQuietHours().catch(() => { });
+        const duck = changes[AutoDuck.DUCK_SETTINGS_KEY];
+        if (duck && !AutoDuck.normalizeDuckSettings(duck.newValue).enabled) queueDucking(stopDucking);
+    });
+}
+
+if (browser.runtime.onStartup) {
+    browser.runtime.onStartup.addListener(() => {
+        migrateStorage().then(() => queuePrune(() => pruneSites())).then(() => queueSync(runSync));
+        applyQuietHours().catch(() => { });
+    });
+}
+
+if (browser.runtime.onInstalled) {
+    browser.runtime.onInstalled.addListener(() => {
+        migrateStorage().then(() => queuePrune(() => pruneSites())).then(() => queueSync(runSync));
+        applyQuietHours().catch(() => { });
+    });
+}
+
+// Single-page apps (YouTube, Twitch) change the URL through the History API
+// without reloading, so the frame is told to re-check its site rules.
+if (browser.webNavigation && browser.webNavigation.onHistoryStateUpdated) {
+    browser.webNavigation.onHistoryStateUpdated.addListener(({ tabId, frameId, url }) => {
+        browser.tabs.sendMessage(tabId, { action: 'page-navigated', url }, { frameId }).catch(() => { });
+    });
+}
+
+if (browser.tabs && browser.tabs.onRemoved) {
+    browser.tabs.onRemoved.addListener(tabId => {
+        removeSleepTimer(tabId).catch(() => { });
+        queueDucking(() => forgetDuckedTab(tabId));
+    });
+}
+
 if (browser.tabs && browser.tabs.onActivated) {
     browser.tabs.onActivated.addListener(async ({ tabId }) => {
         try {
-            await browser.tabs.sendMessage(tabId, { action: 'get-state' });
+            await browser.tabs.sendMessage(tabId, { action: 'get-state' }, { frameId: TOP_FRAME_ID });
         } catch (_) {
             await browser.action.setBadgeText({ text: '', tabId });
         }
@@ -42,11 +754,27 @@ if (browser.tabs && browser.tabs.onUpdated) {
         if (changeInfo.status !== 'loading') return;
         await browser.action.setBadgeText({ text: '', tabId });
     });
+    browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        if (typeof changeInfo.audible !== 'boolean') return undefined;
+        return queueDucking(() => handleAudibleChange({ ...tab, id: tabId, audible: changeInfo.audible }));
+    }, { properties: ['audible'] });
 }
 
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         badgeColorForVolume,
-        BADGE_COLORS
+        BADGE_COLORS,
+        mergeFrameResponses,
+        routeToFrames,
+        formatCountdown,
+        startSleepTimer,
+        cancelSleepTimer,
+        applyQuietHours,
+        setMasterVolume,
+        handleAudibleChange,
+        handleAlarm,
+        runSync,
+        pruneSites,
+        handleCommand
     };
 }
@@ -2,92 +2,258 @@
 
 const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
 const SCROLL_PREF_KEY = 'vc:scrollControl';
+const METER_PORT_NAME = 'vc-meter';
+const METER_INTERVAL_MS = 50;
+const INHERIT_PREF_KEY = 'vc:inheritTopVolume';
 
-const controller = VolumeController.createVolumeController({
-    volumeState: VolumeState,
-    origin: location.origin,
-    getMediaElements() {
-        return document.querySelectorAll('audio, video');
-    },
-    storage: {
-        get(key) {
-            return browser.storage.local.get(key);
-        },
-        set(payload) {
-            return browser.storage.local.set(payload);
-        },
-        remove(key) {
-            return browser.storage.local.remove(key);
+// A same-origin child frame is already walked by its parent's instance (see
+// MediaDiscovery), so a second controller here would fight over its elements.
+function parentControlsFrame() {
+    try {
+        return window.top !== window && Boolean(window.frameElement);
+    } catch (_) {
+        return false;
+    }
+}
+
+function isTopFrame() {
+    try {
+        return window.top === window;
+    } catch (_) {
+        return false;
+    }
+}
+
+// `location.ancestorOrigins` answers without a round trip where it exists.
+// Firefox may not expose it, so the background reads the tab's URL instead.
+async function topFrameOrigin() {
+    if (isTopFrame()) return null;
+    const ancestors = location.ancestorOrigins;
+    if (ancestors && ancestors.length > 0) {
+        const top = ancestors[ancestors.length - 1];
+        return top && top !== 'null' ? top : null;
+    }
+    try {
+        const reply = await browser.runtime.sendMessage({ action: 'get-top-origin' });
+        return reply && typeof reply.origin === 'string' ? reply.origin : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+// Embedded frames use the top page's stored settings unless the user opted out.
+async function resolveSettingsOrigin() {
+    const top = await topFrameOrigin();
+    if (!top) return location.origin;
+    let inherit = true;
+    try {
+        const pref = await browser.storage.local.get(INHERIT_PREF_KEY);
+        if (typeof pref[INHERIT_PREF_KEY] === 'boolean') {
+            inherit = pref[INHERIT_PREF_KEY];
         }
-    },
-    createAudioContext() {
-        return new AudioContextCtor();
-    },
-    notifyBadge(vol) {
-        return browser.runtime.sendMessage({ action: 'update-badge', volume: vol });
-    },
-    scheduleTask(callback, delay) {
-        return setTimeout(() => {
-            Promise.resolve(callback()).catch(() => { });
-        }, delay);
-    },
-    cancelTask(timerId) {
-        clearTimeout(timerId);
+    } catch (_) { }
+    return inherit ? top : location.origin;
+}
+
+// The background owns the quiet-hours schedule; a tab that opens mid-window asks
+// for the current cap instead of waiting for the next boundary.
+async function resolveVolumeCap() {
+    try {
+        const reply = await browser.runtime.sendMessage({ action: 'get-volume-cap' });
+        return reply && typeof reply.cap === 'number' ? reply.cap : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+
+function startContentScript() {
+    const observedRoots = new WeakSet();
+    const watchedFrames = new WeakSet();
+    // Busy feeds and chat apps mutate constantly, so only batches that add media
+    // (directly, or inside an added subtree) reach the controller.
+    const mediaObserver = new MutationObserver(records => {
+        const added = mediaIndex.addRecords(records);
+        if (added.length > 0) controller.notifyMediaMutation(added);
+    });
+
+    function observeRoot(root) {
+        if (observedRoots.has(root)) return;
+        observedRoots.add(root);
+        mediaObserver.observe(root, { subtree: true, childList: true });
+    }
+
+    // A frame that navigates gets a brand-new document, so re-scan on every load.
+    function watchFrame(frame) {
+        if (watchedFrames.has(frame)) return;
+        watchedFrames.add(frame);
+        frame.addEventListener('load', () => {
+            controller.notifyMediaMutation();
+        });
     }
-});
 
-const initPromise = controller.init();
+    // Shadow roots and frame documents are observed as the index finds them.
+    const mediaIndex = MediaDiscovery.createMediaIndex(document, {
+        onRoot: observeRoot,
+        onFrame: watchFrame
+    });
 
-browser.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-    initPromise
-        .catch(() => { })
-        .then(() => controller.handleMessage(msg))
-        .then(response => {
-            if (typeof response !== 'undefined') {
-                sendResponse(response);
+    const controller = VolumeController.createVolumeController({
+        volumeState: VolumeState,
+        audioEffects: AudioEffects,
+        origin: location.origin,
+        resolveSettingsOrigin,
+        resolveVolumeCap,
+        siteRules: SiteRules,
+        getPageUrl() {
+            return location.href;
+        },
+        getMediaElements() {
+            return mediaIndex.getMedia();
+        },
+        storage: {
+            get(key) {
+                return browser.storage.local.get(key);
+            },
+            set(payload) {
+                return browser.storage.local.set(payload);
+            },
+            remove(key) {
+                return browser.storage.local.remove(key);
             }
-        })
-        .catch(() => { });
-    return true;
-});
-
-const resumeAC = new AbortController();
-['click', 'keydown', 'pointerdown'].forEach(evt =>
-    document.addEventListener(evt, async () => {
-        const resumed = await controller.resumeIfSuspended();
-        if (resumed) {
-            resumeAC.abort();
+        },
+        createAudioContext() {
+            return new AudioContextCtor();
+        },
+        notifyBadge(vol, effectiveVolume, state = {}) {
+            return browser.runtime.sendMessage({
+                action: 'update-badge',
+                volume: vol,
+                effectiveVolume,
+                muted: state.muted === true,
+                locked: state.locked === true
+            });
+        },
+        scheduleTask(callback, delay) {
+            return setTimeout(() => {
+                Promise.resolve(callback()).catch(() => { });
+            }, delay);
+        },
+        cancelTask(timerId) {
+            clearTimeout(timerId);
         }
-    }, { capture: true, signal: resumeAC.signal })
-);
+    });
 
-new MutationObserver(() => {
-    controller.notifyMediaMutation();
-}).observe(document.documentElement, { subtree: true, childList: true });
+    const initPromise = controller.init();
 
-function getMediaTarget(target) {
-    if (!target || typeof target.closest !== 'function') return null;
-    return target.closest('audio, video');
-}
+    browser.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+        initPromise
+            .catch(() => { })
+            .then(() => controller.handleMessage(msg))
+            .then(response => {
+                if (typeof response !== 'undefined') {
+                    sendResponse(response);
+                }
+            })
+            .catch(() => { });
+        return true;
+    });
 
-async function setupScrollControl() {
-    let enabled = true;
-    try {
-        const pref = await browser.storage.local.get(SCROLL_PREF_KEY);
-        if (typeof pref[SCROLL_PREF_KEY] === 'boolean') {
-            enabled = pref[SCROLL_PREF_KEY];
+    // The popup holds a meter port open while it is visible; sampling stops with it.
+    browser.runtime.onConnect.addListener(port => {
+        if (port.name !== METER_PORT_NAME) return;
+        controller.startMetering();
+        const timerId = setInterval(() => {
+            port.postMessage(controller.getLevels());
+        }, METER_INTERVAL_MS);
+        port.onDisconnect.addListener(() => {
+            clearInterval(timerId);
+            controller.stopMetering();
+        });
+    });
+
+    const resumeAC = new AbortController();
+    ['click', 'keydown', 'pointerdown'].forEach(evt =>
+        document.addEventListener(evt, async () => {
+            const resumed = await controller.resumeIfSuspended();
+            if (resumed) {
+                resumeAC.abort();
+            }
+        }, { capture: true, signal: resumeAC.signal })
+    );
+
+    observeRoot(document);
+
+    // Wheel events from inside shadow DOM are retargeted to the host, so look
+    // through the composed path before falling back to closest().
+    function getMediaTarget(event) {
+        const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+        const fromPath = path.find(MediaDiscovery.isMediaElement);
+        if (fromPath) return fromPath;
+        const target = event.target;
+        if (!target || typeof target.closest !== 'function') return null;
+        return target.closest('audio, video');
+    }
+
+    async function setupScrollControl() {
+        let enabled = true;
+        try {
+            const pref = await browser.storage.local.get(SCROLL_PREF_KEY);
+            if (typeof pref[SCROLL_PREF_KEY] === 'boolean') {
+                enabled = pref[SCROLL_PREF_KEY];
+            }
+        } catch (_) { }
+
+        if (!enabled) return;
+
+        document.addEventListener('wheel', async event => {
+            if (!getMediaTarget(event)) return;
+            const delta = ScrollControl.computeScrollDelta(event);
+            if (delta === 0) return;
+            event.preventDefault();
+            await controller.stepVolume(delta);
+        }, { capture: true, passive: false });
+    }
+
+    initPromise.then(setupScrollControl).catch(() => { });
+
+    function runHotkey(hotkey) {
+        if (hotkey.action === 'toggleMute') return controller.isMuted() ? controller.unmute() : controller.mute();
+        if (hotkey.action === 'resetVolume') return controller.resetVolume();
+        return controller.stepVolume(hotkey.delta);
+    }
+
+    async function setupHotkeys() {
+        let settings = Hotkeys.normalizeHotkeys();
+        try {
+            const pref = await browser.storage.local.get(Hotkeys.HOTKEYS_KEY);
+            settings = Hotkeys.normalizeHotkeys(pref[Hotkeys.HOTKEYS_KEY]);
+        } catch (_) { }
+
+        // Bindings edited on the options page apply to open tabs straight away.
+        if (browser.storage.onChanged) {
+            browser.storage.onChanged.addListener((changes, areaName) => {
+                if (areaName !== 'local' || !changes[Hotkeys.HOTKEYS_KEY]) return;
+                settings = Hotkeys.normalizeHotkeys(changes[Hotkeys.HOTKEYS_KEY].newValue);
+            });
         }
-    } catch (_) { }
 
-    if (!enabled) return;
+        document.addEventListener('keydown', event => {
+            if (!settings.enabled || Hotkeys.isSiteDisabled(settings, location.hostname)) return;
+            if (Hotkeys.isEditableTarget(event)) return;
+            const hotkey = Hotkeys.matchHotkey(settings, event);
+            if (!hotkey) return;
+            event.preventDefault();
+            event.stopPropagation();
+            // Holding a volume key keeps stepping; holding mute must not flip it back and forth.
+            if (event.repeat && typeof hotkey.delta !== 'number') return;
+            runHotkey(hotkey).catch(() => { });
+        }, { capture: true });
+    }
 
-    document.addEventListener('wheel', async event => {
-        if (!getMediaTarget(event.target)) return;
-        const delta = ScrollControl.computeScrollDelta(event);
-        if (delta === 0) return;
-        event.preventDefault();
-        await controller.stepVolume(delta);
-    }, { capture: true, passive: false });
+    initPromise.then(setupHotkeys).catch(() => { });
 }
 
-initPromise.then(setupScrollControl).catch(() => { });
+if (!parentControlsFrame()) {
+    startContentScript();
+}
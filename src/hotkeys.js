@@ -0,0 +1,203 @@
+'use strict';
+
+(function initHotkeys(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.Hotkeys = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function hotkeysFactory() {
+    const HOTKEYS_KEY = 'vc:hotkeys';
+    const HOTKEY_ACTIONS = ['volumeUp', 'volumeDown', 'toggleMute', 'resetVolume'];
+    const DEFAULT_HOTKEYS = {
+        enabled: true,
+        step: 5,
+        fineStep: 1,
+        bindings: {
+            volumeUp: 'Alt+ArrowUp',
+            volumeDown: 'Alt+ArrowDown',
+            toggleMute: 'Alt+M',
+            resetVolume: 'Alt+0'
+        },
+        disabledSites: []
+    };
+    const MAX_STEP = 50;
+    const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+    const MODIFIER_CODE = /^(Shift|Control|Alt|Meta|OS)(Left|Right)?$/;
+    // Besides letters and digits, bindings may use these `KeyboardEvent.code` names.
+    const NAMED_KEYS = [
+        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'PageUp', 'PageDown', 'Home', 'End',
+        'Minus', 'Equal', 'BracketLeft', 'BracketRight', 'Semicolon', 'Quote', 'Comma', 'Period', 'Slash',
+        'Backslash', 'Backquote', 'Space',
+        ...Array.from({ length: 12 }, (_, index) => `F${index + 1}`)
+    ];
+    // `commands` shortcut names that differ from ours. On macOS, Firefox
+    // reports the ⌘ key as Command and the control key as MacCtrl.
+    const SHORTCUT_NAMES = {
+        Command: 'Meta',
+        MacCtrl: 'Ctrl',
+        Up: 'ArrowUp',
+        Down: 'ArrowDown',
+        Left: 'ArrowLeft',
+        Right: 'ArrowRight'
+    };
+    // Typing in these never triggers a hotkey. Range inputs count as editable
+    // because they already use the arrow keys.
+    const NON_TEXT_INPUTS = ['button', 'checkbox', 'radio', 'submit', 'reset', 'image', 'color', 'file'];
+
+    // Physical keys, not characters: with Alt held, macOS turns M into µ.
+    function keyFromEvent(event) {
+        const code = typeof event.code === 'string' ? event.code : '';
+        const match = /^(?:Key|Digit|Numpad)([A-Z0-9])$/.exec(code);
+        if (match) return match[1];
+        if (!code || MODIFIER_CODE.test(code)) return null;
+        return code;
+    }
+
+    /** `Ctrl+Alt+Shift+Meta+Key`, in that order, or null for a bare modifier press. */
+    function comboFromEvent(event) {
+        if (!event) return null;
+        const key = keyFromEvent(event);
+        if (!key) return null;
+        const flags = { Ctrl: event.ctrlKey, Alt: event.altKey, Shift: event.shiftKey, Meta: event.metaKey };
+        return [...MODIFIERS.filter(modifier => flags[modifier]), key].join('+');
+    }
+
+    // A binding needs Ctrl, Alt or Meta, so it never takes a plain key (or a
+    // capital letter) away from the page's own shortcuts.
+    function normalizeCombo(value) {
+        if (typeof value !== 'string') return null;
+        const parts = value.split('+').map(part => part.trim()).filter(Boolean);
+        const last = parts.pop() || '';
+        const key = /^[A-Za-z0-9]$/.test(last)
+            ? last.toUpperCase()
+            : NAMED_KEYS.find(name => name.toLowerCase() === last.toLowerCase());
+        if (!key) return null;
+        const modifiers = parts.map(part => MODIFIERS.find(modifier => modifier.toLowerCase() === part.toLowerCase()));
+        if (modifiers.some(modifier => !modifier)) return null;
+        if (!modifiers.some(modifier => modifier !== 'Shift')) return null;
+        return [...MODIFIERS.filter(modifier => modifiers.includes(modifier)), key].join('+');
+    }
+
+    function formatCombo(combo) {
+        if (!combo) return '';
+        return combo
+            .replace(/Arrow(Up|Down|Left|Right)$/, (_, dir) => ({ Up: '↑', Down: '↓', Left: '←', Right: '→' })[dir])
+            .replace(/\+/g, ' + ');
+    }
+
+    /** A `commands` shortcut such as `Alt+Shift+Up` as a binding, or null. */
+    function comboFromShortcut(shortcut) {
+        if (typeof shortcut !== 'string' || !shortcut) return null;
+        return normalizeCombo(shortcut.split('+').map(part => SHORTCUT_NAMES[part.trim()] || part).join('+'));
+    }
+
+    /**
+     * The registered browser command (`{ name, shortcut }` from
+     * `commands.getAll()`) that `combo` would shadow for `action`, or null.
+     * Volume bindings also take their Shift variant for the fine step.
+     */
+    function findCommandClash(action, combo, commands) {
+        if (!combo || !Array.isArray(commands)) return null;
+        const combos = [combo];
+        if (stepFor(action, 1) !== undefined && !combo.split('+').includes('Shift')) combos.push(normalizeCombo(`Shift+${combo}`));
+        return commands.find(command => command && combos.includes(comboFromShortcut(command.shortcut))) || null;
+    }
+
+    // Sites are stored as hosts; pasted URLs are reduced to theirs.
+    function normalizeSiteEntry(value) {
+        if (typeof value !== 'string') return null;
+        const host = value.trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').split(/[/?#]/)[0].replace(/:\d+$/, '');
+        return /^[a-z0-9.-]+$/.test(host) && !host.startsWith('.') && !host.endsWith('.') ? host : null;
+    }
+
+    function normalizeStep(value, fallback) {
+        const step = Number.parseInt(value, 10);
+        return Number.isFinite(step) ? Math.max(1, Math.min(MAX_STEP, step)) : fallback;
+    }
+
+    // An empty binding turns that hotkey off; an unreadable one falls back to the default.
+    function normalizeHotkeys(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        const stored = settings.bindings && typeof settings.bindings === 'object' ? settings.bindings : {};
+        const bindings = {};
+        HOTKEY_ACTIONS.forEach(action => {
+            if (stored[action] === '') bindings[action] = '';
+            else bindings[action] = normalizeCombo(stored[action]) || DEFAULT_HOTKEYS.bindings[action];
+        });
+        const disabledSites = Array.isArray(settings.disabledSites)
+            ? [...new Set(settings.disabledSites.map(normalizeSiteEntry).filter(Boolean))]
+            : [];
+        return {
+            enabled: settings.enabled !== false,
+            step: normalizeStep(settings.step, DEFAULT_HOTKEYS.step),
+            fineStep: normalizeStep(settings.fineStep, DEFAULT_HOTKEYS.fineStep),
+            bindings,
+            disabledSites
+        };
+    }
+
+    // A listed host covers its subdomains, like site rules do.
+    function isSiteDisabled(settings, hostname) {
+        const host = typeof hostname === 'string' ? hostname.toLowerCase() : '';
+        return settings.disabledSites.some(site => host === site || host.endsWith(`.${site}`));
+    }
+
+    // Keydown inside shadow DOM is retargeted to the host, so the real target is
+    // the first entry of the composed path.
+    function isEditableTarget(event) {
+        const path = typeof event.composedPath === 'function' ? event.composedPath() : [];
+        const target = path[0] || event.target;
+        if (!target) return false;
+        if (target.isContentEditable) return true;
+        const tag = typeof target.tagName === 'string' ? target.tagName.toUpperCase() : '';
+        if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+        if (tag !== 'INPUT') return false;
+        return !NON_TEXT_INPUTS.includes(String(target.type || 'text').toLowerCase());
+    }
+
+    function stepFor(action, step) {
+        if (action === 'volumeUp') return step;
+        if (action === 'volumeDown') return -step;
+        return undefined;
+    }
+
+    // KeyboardEvent properties live on the prototype, so spreading the event
+    // itself would copy nothing.
+    function pickKeyFields(event) {
+        return { code: event.code, ctrlKey: event.ctrlKey, altKey: event.altKey, shiftKey: event.shiftKey, metaKey: event.metaKey };
+    }
+
+    /**
+     * The hotkey a keydown triggers, as `{ action, delta }` (`delta` only for
+     * volume steps), or null. Adding Shift to a volume binding that does not
+     * already use it steps by `fineStep` instead.
+     */
+    function matchHotkey(settings, event) {
+        const combo = comboFromEvent(event);
+        if (!combo) return null;
+        const exact = HOTKEY_ACTIONS.find(action => settings.bindings[action] === combo);
+        if (exact) return { action: exact, delta: stepFor(exact, settings.step) };
+        if (!event.shiftKey) return null;
+        const unshifted = comboFromEvent({ ...pickKeyFields(event), shiftKey: false });
+        const fine = ['volumeUp', 'volumeDown'].find(action => settings.bindings[action] === unshifted);
+        return fine ? { action: fine, delta: stepFor(fine, settings.fineStep) } : null;
+    }
+
+    return {
+        HOTKEYS_KEY,
+        HOTKEY_ACTIONS,
+        DEFAULT_HOTKEYS,
+        MAX_STEP,
+        comboFromEvent,
+        normalizeCombo,
+        formatCombo,
+        comboFromShortcut,
+        findCommandClash,
+        normalizeSiteEntry,
+        normalizeHotkeys,
+        isSiteDisabled,
+        isEditableTarget,
+        matchHotkey
+    };
+});
@@ -0,0 +1,180 @@
+'use strict';
+
+(function initMediaDiscovery(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.MediaDiscovery = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function mediaDiscoveryFactory() {
+    const MEDIA_TAGS = new Set(['AUDIO', 'VIDEO']);
+    const FRAME_TAGS = new Set(['IFRAME', 'FRAME']);
+    const MEDIA_SELECTOR = 'audio, video';
+    const FRAME_SELECTOR = 'iframe, frame';
+
+    function isMediaElement(node) {
+        return Boolean(node) && typeof node.tagName === 'string' && MEDIA_TAGS.has(node.tagName.toUpperCase());
+    }
+
+    function isFrameElement(node) {
+        return Boolean(node) && typeof node.tagName === 'string' && FRAME_TAGS.has(node.tagName.toUpperCase());
+    }
+
+    // Cross-origin frames expose a null contentDocument; some engines throw instead.
+    function frameDocument(frame) {
+        try {
+            return frame.contentDocument || null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    function visitElement(el, hooks, seen) {
+        if (isMediaElement(el) && hooks.onMedia) hooks.onMedia(el);
+        if (el.shadowRoot) walk(el.shadowRoot, hooks, seen, el);
+        if (isFrameElement(el)) {
+            if (hooks.onFrame) hooks.onFrame(el);
+            walk(frameDocument(el), hooks, seen, el);
+        }
+    }
+
+    // Walks a document plus every open shadow root and same-origin frame below it,
+    // calling the hooks once per root and per frame element, in document order.
+    // `onRoot` also gets the shadow host or frame element that owns the root.
+    function walk(root, hooks, seen, owner = null) {
+        if (!root || seen.has(root)) return;
+        seen.add(root);
+        if (hooks.onRoot) hooks.onRoot(root, owner);
+
+        root.querySelectorAll('*').forEach(el => visitElement(el, hooks, seen));
+    }
+
+    function collectMediaElements(root, hooks = {}) {
+        const media = [];
+        walk(root, {
+            ...hooks,
+            onMedia(el) {
+                media.push(el);
+            }
+        }, new Set());
+        return media;
+    }
+
+    function queryAll(node, selector) {
+        return typeof node.querySelectorAll === 'function' ? Array.from(node.querySelectorAll(selector)) : [];
+    }
+
+    // Media added by a batch of mutation records. Busy pages add thousands of
+    // nodes, so an added subtree is not visited element by element: one query
+    // each finds its media, its frames and its open shadow hosts (the added
+    // node included). New shadow roots and same-origin frame documents are
+    // walked once as they appear. Removed nodes are ignored: the element list is re-read whenever a
+    // full pass runs, and a detached element needs no volume work. Text and
+    // comment nodes are skipped.
+    function collectAddedMedia(records, hooks = {}, seen = new Set()) {
+        const media = [];
+        const collecting = {
+            ...hooks,
+            onMedia(el) {
+                media.push(el);
+            }
+        };
+        records.forEach(record => {
+            Array.from(record.addedNodes || []).forEach(node => {
+                if (!node || typeof node.tagName !== 'string') return;
+                if (isMediaElement(node)) media.push(node);
+                media.push(...queryAll(node, MEDIA_SELECTOR));
+                [node, ...queryAll(node, FRAME_SELECTOR)].filter(isFrameElement).forEach(frame => {
+                    if (hooks.onFrame) hooks.onFrame(frame);
+                    walk(frameDocument(frame), collecting, seen, frame);
+                });
+                [node, ...queryAll(node, '*')].filter(el => el.shadowRoot).forEach(host => {
+                    walk(host.shadowRoot, collecting, seen, host);
+                });
+            });
+        });
+        return media;
+    }
+
+    // A root is gone once its host or frame leaves the page, the root holding
+    // that host or frame is gone, or the frame has navigated to another document.
+    // Elements of a removed frame's document still count as connected, hence
+    // the check against the owner's own root.
+    function isLiveRoot(root, owner, roots) {
+        if (!owner) return true;
+        if (owner.isConnected === false) return false;
+        if (typeof owner.getRootNode === 'function' && !roots.has(owner.getRootNode())) return false;
+        return !isFrameElement(owner) || frameDocument(owner) === root;
+    }
+
+    /**
+     * Media discovery that remembers the document's roots (open shadow roots
+     * and same-origin frame documents) instead of walking every element on
+     * each call. The whole tree is walked once; after that the mutation
+     * records passed to `addRecords()` keep the roots up to date, and
+     * `getMedia()` only runs `querySelectorAll('audio, video')` per root.
+     * Frames are re-checked on each `getMedia()`, so a navigated frame's new
+     * document is picked up.
+     */
+    function createMediaIndex(document, hooks = {}) {
+        const roots = new Map();
+        const frames = new Set();
+        let scanned = false;
+        const known = {
+            has: root => roots.has(root),
+            add() { }
+        };
+        const tracking = {
+            ...hooks,
+            onRoot(root, owner) {
+                roots.set(root, owner);
+                if (hooks.onRoot) hooks.onRoot(root, owner);
+            },
+            onFrame(frame) {
+                frames.add(frame);
+                if (hooks.onFrame) hooks.onFrame(frame);
+            }
+        };
+
+        function ensureScanned() {
+            if (scanned) return;
+            scanned = true;
+            walk(document, tracking, known);
+        }
+
+        function getMedia() {
+            ensureScanned();
+            frames.forEach(frame => {
+                if (frame.isConnected === false) frames.delete(frame);
+                else walk(frameDocument(frame), tracking, known, frame);
+            });
+            const media = [];
+            // Roots are listed before the roots found inside them, so a dropped
+            // root takes everything below it along.
+            roots.forEach((owner, root) => {
+                if (!isLiveRoot(root, owner, roots)) {
+                    roots.delete(root);
+                    return;
+                }
+                media.push(...root.querySelectorAll(MEDIA_SELECTOR));
+            });
+            return media;
+        }
+
+        // Media added by a batch of mutation records; new roots are remembered.
+        function addRecords(records) {
+            ensureScanned();
+            return collectAddedMedia(records, tracking, known);
+        }
+
+        return { getMedia, addRecords };
+    }
+
+    return {
+        isMediaElement,
+        isFrameElement,
+        collectMediaElements,
+        collectAddedMedia,
+        createMediaIndex
+    };
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+(function initQuietHours(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.QuietHours = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function quietHoursFactory() {
+    const QUIET_HOURS_KEY = 'vc:quietHours';
+    const DEFAULT_RULE = { start: '22:00', end: '07:00', maxVolume: 40, allowBoost: false, enabled: true };
+    const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+    function parseTime(value) {
+        const match = TIME_PATTERN.exec(typeof value === 'string' ? value : '');
+        if (!match) return null;
+        return Number(match[1]) * 60 + Number(match[2]);
+    }
+
+    function normalizeDays(value) {
+        if (!Array.isArray(value)) return [];
+        const days = value
+            .map(day => Number.parseInt(day, 10))
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+        return Array.from(new Set(days)).sort((a, b) => a - b);
+    }
+
+    // An empty `days` list means every day. Days are 0 (Sunday) to 6 (Saturday).
+    function normalizeRule(value, index) {
+        if (!value || typeof value !== 'object') return null;
+        const maxVolume = Number.parseInt(value.maxVolume, 10);
+        return {
+            id: typeof value.id === 'string' && value.id ? value.id : `rule-${index + 1}`,
+            enabled: value.enabled !== false,
+            start: parseTime(value.start) === null ? DEFAULT_RULE.start : value.start,
+            end: parseTime(value.end) === null ? DEFAULT_RULE.end : value.end,
+            days: normalizeDays(value.days),
+            maxVolume: Number.isFinite(maxVolume) ? Math.max(0, Math.min(200, maxVolume)) : DEFAULT_RULE.maxVolume,
+            allowBoost: value.allowBoost === true
+        };
+    }
+
+    function normalizeSchedule(value) {
+        if (!Array.isArray(value)) return [];
+        return value.map(normalizeRule).filter(Boolean);
+    }
+
+    function appliesOnDay(rule, day) {
+        return rule.days.length === 0 || rule.days.includes(day);
+    }
+
+    // Windows that end before they start run overnight; the part after midnight
+    // belongs to the day the window started on. Equal start and end means all day.
+    function isRuleActive(rule, date) {
+        if (!rule.enabled) return false;
+        const start = parseTime(rule.start);
+        const end = parseTime(rule.end);
+        const minute = date.getHours() * 60 + date.getMinutes();
+        const day = date.getDay();
+
+        if (start === end) return appliesOnDay(rule, day);
+        if (start < end) return minute >= start && minute < end && appliesOnDay(rule, day);
+        if (minute >= start) return appliesOnDay(rule, day);
+        return minute < end && appliesOnDay(rule, (day + 6) % 7);
+    }
+
+    function ruleCap(rule) {
+        return rule.allowBoost ? rule.maxVolume : Math.min(rule.maxVolume, 100);
+    }
+
+    // The lowest cap among active rules, or null when no rule is active.
+    function activeCap(rules, date) {
+        const caps = rules.filter(rule => isRuleActive(rule, date)).map(ruleCap);
+        return caps.length > 0 ? Math.min(...caps) : null;
+    }
+
+    // Next moment a window may open or close, as a timestamp. Every start and end
+    // time is a candidate, and midnight for rules limited to some days, since an
+    // all-day rule starts and ends there. A boundary where nothing changes only
+    // causes a no-op re-evaluation.
+    function nextBoundary(rules, date) {
+        const now = date.getTime();
+        let next = null;
+        rules.filter(rule => rule.enabled).forEach(rule => {
+            const times = rule.days.length > 0 ? [rule.start, rule.end, '00:00'] : [rule.start, rule.end];
+            times.forEach(time => {
+                const minute = parseTime(time);
+                const candidate = new Date(date.getTime());
+                candidate.setHours(Math.floor(minute / 60), minute % 60, 0, 0);
+                if (candidate.getTime() <= now) candidate.setDate(candidate.getDate() + 1);
+                if (next === null || candidate.getTime() < next) next = candidate.getTime();
+            });
+        });
+        return next;
+    }
+
+    return {
+        QUIET_HOURS_KEY,
+        DEFAULT_RULE,
+        parseTime,
+        normalizeRule,
+        normalizeSchedule,
+        isRuleActive,
+        ruleCap,
+        activeCap,
+        nextBoundary
+    };
+});
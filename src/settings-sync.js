@@ -0,0 +1,352 @@
+'use strict';
+
+(function initSettingsSync(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.SettingsSync = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function settingsSyncFactory() {
+    const SYNC_SETTINGS_KEY = 'vc:syncSettings';
+    const SYNC_CLOCK_KEY = 'vc:syncClock';
+    const SYNC_STATUS_KEY = 'vc:syncStatus';
+    const SYNC_INDEX_KEY = 'vc:sync:index';
+    const SYNC_CHUNK_PREFIX = 'vc:sync:chunk:';
+    // Firefox's storage.sync limits. Only part of the total is used so a write
+    // never fails on rounding in the size estimate.
+    const DEFAULT_QUOTA = { bytes: 102400, bytesPerItem: 8192, maxItems: 512 };
+    const QUOTA_HEADROOM = 0.9;
+    const CHUNK_OVERHEAD = 32;
+    const TOMBSTONE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+    const MUTED_FLAG = 1;
+    const LOCKED_FLAG = 2;
+
+    function normalizeSyncSettings(value) {
+        return { enabled: Boolean(value && value.enabled === true) };
+    }
+
+    // Last-used dates change hourly on every visited site; they stay local and
+    // only decide which sites are trimmed first.
+    function isSyncedKey(key, volumeState) {
+        return key.startsWith(volumeState.SETTING_PREFIX)
+            && !key.startsWith('vc:sync:')
+            && !key.startsWith(volumeState.keyForSetting(volumeState.LAST_USED_SETTING, ''))
+            && !volumeState.LOCAL_ONLY_KEYS.includes(key);
+    }
+
+    function fingerprint(value) {
+        return JSON.stringify(value);
+    }
+
+    // The clock holds, per synced key, when it last changed on this device:
+    // `{ t, fp }` for a value, `{ t, deleted: true }` for a removal, or
+    // `{ t, pruned: true }` for a key dropped by the local site limit.
+    function normalizeClock(value, now) {
+        const clock = {};
+        if (!value || typeof value !== 'object') return clock;
+        Object.entries(value).forEach(([key, stamp]) => {
+            if (!stamp || !Number.isFinite(stamp.t)) return;
+            if (stamp.deleted && now - stamp.t > TOMBSTONE_TTL_MS) return;
+            if (stamp.deleted) clock[key] = { t: stamp.t, deleted: true };
+            else if (stamp.pruned) clock[key] = { t: stamp.t, pruned: true };
+            else clock[key] = { t: stamp.t, fp: stamp.fp };
+        });
+        return clock;
+    }
+
+    /**
+     * Record keys the site limit is about to remove. Pruning only frees space on
+     * this device: the removal is neither stamped nor pushed as a deletion, and
+     * the synced value is left for the other devices. Only a newer edit made
+     * elsewhere brings the key back here.
+     */
+    function markPruned(clock, keys, now, volumeState) {
+        const next = { ...clock };
+        keys.forEach(key => {
+            if (isSyncedKey(key, volumeState)) next[key] = { t: now, pruned: true };
+        });
+        return next;
+    }
+
+    /**
+     * Stamp local storage changes with the time they happened. Changes that
+     * match the clock already (values just pulled from sync) are not stamped
+     * again, so they do not bounce back as newer local edits.
+     */
+    function stampChanges(clock, changes, now, volumeState) {
+        const next = { ...clock };
+        let changed = false;
+        Object.entries(changes).forEach(([key, change]) => {
+            if (!isSyncedKey(key, volumeState)) return;
+            const stamp = next[key];
+            if (typeof change.newValue === 'undefined') {
+                if (stamp && (stamp.deleted || stamp.pruned)) return;
+                next[key] = { t: now, deleted: true };
+            } else {
+                const fp = fingerprint(change.newValue);
+                if (stamp && stamp.fp === fp) return;
+                next[key] = { t: now, fp };
+            }
+            changed = true;
+        });
+        return { clock: next, changed };
+    }
+
+    // Keys this device has never seen change get time 0, so any real edit on
+    // another device wins over them.
+    function collectLocal(data, clock, volumeState) {
+        const entries = {};
+        Object.keys(data).forEach(key => {
+            if (!isSyncedKey(key, volumeState)) return;
+            const stamp = clock[key];
+            entries[key] = { t: stamp && stamp.fp !== undefined ? stamp.t : 0, value: data[key] };
+        });
+        Object.entries(clock).forEach(([key, stamp]) => {
+            if (key in entries) return;
+            if (stamp.deleted) entries[key] = { t: stamp.t, deleted: true };
+            else if (stamp.pruned) entries[key] = { t: stamp.t, pruned: true };
+        });
+        return entries;
+    }
+
+    /**
+     * Last writer wins, key by key. Returns the merged view and the remote
+     * entries that must be applied locally. Ties keep the local entry. A key
+     * pruned here keeps its remote entry in the merged view and is only pulled
+     * back when it changed elsewhere after the prune.
+     */
+    function mergeEntries(local, remote) {
+        const merged = {};
+        Object.entries(local).forEach(([key, entry]) => {
+            if (!entry.pruned) merged[key] = entry;
+        });
+        const pull = {};
+        Object.entries(remote).forEach(([key, entry]) => {
+            const mine = local[key];
+            if (mine && mine.pruned) {
+                merged[key] = entry;
+                if (entry.t > mine.t && !entry.deleted) pull[key] = entry;
+                return;
+            }
+            if (mine && mine.t >= entry.t) return;
+            merged[key] = entry;
+            const sameValue = mine && !mine.deleted && !entry.deleted && fingerprint(mine.value) === fingerprint(entry.value);
+            if (!sameValue && !(entry.deleted && (!mine || mine.deleted))) pull[key] = entry;
+        });
+        return { merged, pull };
+    }
+
+    function utf8Length(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    // Site records are the bulk of the data, so they are packed as
+    // `[time, volume, flags, preMuteVolume]` keyed by bare origin.
+    function packSite(entry, record) {
+        const flags = (record.muted ? MUTED_FLAG : 0) | (record.locked ? LOCKED_FLAG : 0);
+        if (record.muted) return [entry.t, record.volume, flags, record.preMuteVolume];
+        return flags ? [entry.t, record.volume, flags] : [entry.t, record.volume];
+    }
+
+    function unpackSite(packed, volumeState) {
+        const [t, volume, flags = 0, preMuteVolume] = packed;
+        return {
+            t,
+            value: volumeState.normalizeSiteRecord({
+                volume,
+                muted: (flags & MUTED_FLAG) !== 0,
+                preMuteVolume,
+                locked: (flags & LOCKED_FLAG) !== 0
+            })
+        };
+    }
+
+    function packEntry(key, entry, volumeState) {
+        if (entry.deleted) return { section: 'd', id: key, packed: entry.t };
+        const origin = volumeState.originFromKey(key);
+        if (origin) return { section: 's', id: origin, packed: packSite(entry, volumeState.normalizeSiteRecord(entry.value)) };
+        return { section: 'k', id: key, packed: [entry.t, entry.value] };
+    }
+
+    function entrySize(id, packed) {
+        return utf8Length(`${JSON.stringify(id)}:${JSON.stringify(packed)},`);
+    }
+
+    // Fills chunks in key order, so two devices holding the same entries write
+    // byte-identical items whatever order they used their sites in.
+    function layoutChunks(packedEntries, itemLimit) {
+        const chunks = [];
+        let current = null;
+        let currentSize = 0;
+        let total = 0;
+        packedEntries.forEach(({ section, id, packed, size }) => {
+            if (!current || currentSize + size > itemLimit) {
+                current = { s: {}, k: {}, d: {} };
+                chunks.push(current);
+                currentSize = CHUNK_OVERHEAD;
+                total += CHUNK_OVERHEAD;
+            }
+            current[section][id] = packed;
+            currentSize += size;
+            total += size;
+        });
+        return { chunks, total };
+    }
+
+    /**
+     * Spread the merged entries over chunk items that fit storage.sync's per-item
+     * limit. Last use only decides what is left out once the total is full:
+     * settings and removals go first, then sites from most to least recently
+     * used. The kept entries are always written in key order.
+     */
+    function encodeEntries(entries, lastUsed, volumeState, quota = DEFAULT_QUOTA) {
+        const itemLimit = quota.bytesPerItem * QUOTA_HEADROOM;
+        const totalLimit = quota.bytes * QUOTA_HEADROOM;
+        const sites = [];
+        const others = [];
+        Object.keys(entries).sort().forEach(key => {
+            const target = !entries[key].deleted && volumeState.originFromKey(key) ? sites : others;
+            target.push(key);
+        });
+        sites.sort((a, b) => (lastUsed[b] || 0) - (lastUsed[a] || 0) || a.localeCompare(b));
+
+        const packedByKey = {};
+        let largest = 0;
+        [...others, ...sites].forEach(key => {
+            const packed = packEntry(key, entries[key], volumeState);
+            packed.size = entrySize(packed.id, packed.packed);
+            packedByKey[key] = packed;
+            largest = Math.max(largest, packed.size);
+        });
+
+        // A chunk filled in key order can waste up to one entry's size, so that
+        // much is reserved per chunk when choosing what fits.
+        const perChunk = Math.max(1, itemLimit - CHUNK_OVERHEAD - largest);
+        const kept = [];
+        let total = 0;
+        [...others, ...sites].forEach(key => {
+            const size = packedByKey[key].size;
+            const chunksNeeded = Math.ceil((total + size) / perChunk);
+            const budget = totalLimit - chunksNeeded * (CHUNK_OVERHEAD + largest);
+            if (total + size > budget || chunksNeeded + 1 > quota.maxItems) return;
+            kept.push(key);
+            total += size;
+        });
+
+        let layout = layoutChunks([...kept].sort().map(key => packedByKey[key]), itemLimit);
+        while (kept.length > 0 && (layout.total > totalLimit || layout.chunks.length + 1 > quota.maxItems)) {
+            kept.pop();
+            layout = layoutChunks([...kept].sort().map(key => packedByKey[key]), itemLimit);
+        }
+        const keptSet = new Set(kept);
+        const trimmed = [...others, ...sites].filter(key => !keptSet.has(key));
+
+        const items = { [SYNC_INDEX_KEY]: { chunks: layout.chunks.length } };
+        layout.chunks.forEach((chunk, index) => {
+            items[`${SYNC_CHUNK_PREFIX}${index}`] = chunk;
+        });
+        return { items, trimmed };
+    }
+
+    function decodeItems(data, volumeState) {
+        const entries = {};
+        const index = data[SYNC_INDEX_KEY];
+        const count = index && Number.isInteger(index.chunks) ? index.chunks : 0;
+        for (let i = 0; i < count; i += 1) {
+            const chunk = data[`${SYNC_CHUNK_PREFIX}${i}`];
+            if (!chunk || typeof chunk !== 'object') continue;
+            Object.entries(chunk.s || {}).forEach(([origin, packed]) => {
+                entries[volumeState.keyForOrigin(origin)] = unpackSite(packed, volumeState);
+            });
+            Object.entries(chunk.k || {}).forEach(([key, [t, value]]) => {
+                entries[key] = { t, value };
+            });
+            Object.entries(chunk.d || {}).forEach(([key, t]) => {
+                entries[key] = { t, deleted: true };
+            });
+        }
+        return entries;
+    }
+
+    function collectLastUsed(data, volumeState) {
+        const lastUsed = {};
+        const prefix = volumeState.keyForSetting(volumeState.LAST_USED_SETTING, '');
+        Object.keys(data).forEach(key => {
+            if (key.startsWith(prefix)) lastUsed[volumeState.keyForOrigin(key.slice(prefix.length))] = data[key];
+        });
+        return lastUsed;
+    }
+
+    function staleChunkKeys(remoteData, items) {
+        return Object.keys(remoteData).filter(key => key.startsWith(SYNC_CHUNK_PREFIX) && !(key in items));
+    }
+
+    function sameItems(remoteData, items) {
+        return Object.keys(items).every(key => fingerprint(remoteData[key]) === fingerprint(items[key]))
+            && staleChunkKeys(remoteData, items).length === 0;
+    }
+
+    /**
+     * One full round: pull newer remote entries into `local`, then push the
+     * merged view to `sync` if it differs. Both areas only need get/set/remove.
+     * The clock is saved before pulled values are written, so their change
+     * events are recognised and not stamped as local edits.
+     */
+    async function syncNow({ local, sync, volumeState, now = Date.now(), quota = DEFAULT_QUOTA }) {
+        const localData = await local.get(null);
+        const clock = normalizeClock(localData[SYNC_CLOCK_KEY], now);
+        const remoteData = await sync.get(null);
+        const remoteEntries = decodeItems(remoteData, volumeState);
+        const { merged, pull } = mergeEntries(collectLocal(localData, clock, volumeState), remoteEntries);
+        // Once no device syncs a pruned key any more, there is nothing left to hold back.
+        Object.keys(clock).forEach(key => {
+            if (clock[key].pruned && !(key in remoteEntries)) delete clock[key];
+        });
+
+        Object.entries(merged).forEach(([key, entry]) => {
+            if (entry.deleted && now - entry.t > TOMBSTONE_TTL_MS) delete merged[key];
+        });
+        const toSet = {};
+        const toRemove = [];
+        Object.entries(pull).forEach(([key, entry]) => {
+            if (entry.deleted) {
+                clock[key] = { t: entry.t, deleted: true };
+                if (key in localData) toRemove.push(key);
+            } else {
+                clock[key] = { t: entry.t, fp: fingerprint(entry.value) };
+                toSet[key] = entry.value;
+            }
+        });
+
+        const { items, trimmed } = encodeEntries(merged, collectLastUsed(localData, volumeState), volumeState, quota);
+        const pushed = !sameItems(remoteData, items);
+        if (pushed) {
+            await sync.set(items);
+            const stale = staleChunkKeys(remoteData, items);
+            if (stale.length > 0) await sync.remove(stale);
+        }
+
+        const status = { lastSync: now, trimmed: trimmed.length, error: null };
+        await local.set({ [SYNC_CLOCK_KEY]: clock, [SYNC_STATUS_KEY]: status });
+        if (toRemove.length > 0) await local.remove(toRemove);
+        if (Object.keys(toSet).length > 0) await local.set(toSet);
+        return { ok: true, pulled: Object.keys(pull).sort(), pushed, trimmed };
+    }
+
+    return {
+        SYNC_SETTINGS_KEY,
+        SYNC_CLOCK_KEY,
+        SYNC_STATUS_KEY,
+        SYNC_INDEX_KEY,
+        DEFAULT_QUOTA,
+        normalizeSyncSettings,
+        isSyncedKey,
+        normalizeClock,
+        markPruned,
+        stampChanges,
+        mergeEntries,
+        encodeEntries,
+        decodeItems,
+        syncNow
+    };
+});
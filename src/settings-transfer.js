@@ -0,0 +1,130 @@
+'use strict';
+
+(function initSettingsTransfer(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.SettingsTransfer = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function settingsTransferFactory() {
+    const EXPORT_FORMAT = 'volume-control-settings';
+    // Version 2 stores site volumes as records; version 1 files hold bare numbers
+    // and are upgraded on import.
+    const EXPORT_VERSION = 2;
+
+    function isSettingKey(key, volumeState) {
+        return key.startsWith(volumeState.SETTING_PREFIX) && !volumeState.LOCAL_ONLY_KEYS.includes(key);
+    }
+
+    function pickSettings(data, volumeState) {
+        const settings = {};
+        Object.keys(data || {}).sort().forEach(key => {
+            if (isSettingKey(key, volumeState) && typeof data[key] !== 'undefined') settings[key] = data[key];
+        });
+        return settings;
+    }
+
+    // Every `vc:` key is exported, so settings added later travel without changes here.
+    function buildExport(data, date, volumeState) {
+        return {
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: date.toISOString(),
+            settings: pickSettings(data, volumeState)
+        };
+    }
+
+    function isNumeric(value) {
+        return (typeof value === 'number' && Number.isFinite(value))
+            || (typeof value === 'string' && /^\s*-?\d+(\.\d+)?\s*$/.test(value));
+    }
+
+    // Volumes go through the same normalisation as the controller; anything that
+    // is not a number at all is skipped rather than silently becoming 100%.
+    function validateValue(key, value, volumeState) {
+        if (volumeState.originFromKey(key)) {
+            const volume = value && typeof value === 'object' ? value.volume : value;
+            return isNumeric(volume) ? { ok: true, value: volumeState.normalizeSiteRecord(value) } : { ok: false };
+        }
+        if (key === volumeState.MASTER_VOLUME_KEY) {
+            return isNumeric(value) ? { ok: true, value: volumeState.normalizeMasterVolume(value) } : { ok: false };
+        }
+        if (key.startsWith(volumeState.keyForSetting(volumeState.LAST_USED_SETTING, ''))) {
+            return typeof value === 'number' && Number.isFinite(value) ? { ok: true, value } : { ok: false };
+        }
+        return value === null ? { ok: false } : { ok: true, value };
+    }
+
+    /**
+     * Parse and validate an exported file. Returns `{ ok, settings, skipped }`,
+     * or `{ ok: false, error }` when the file cannot be used at all.
+     */
+    function parseExport(text, volumeState) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (_) {
+            return { ok: false, error: 'The file is not valid JSON.' };
+        }
+        if (!parsed || typeof parsed !== 'object' || parsed.format !== EXPORT_FORMAT) {
+            return { ok: false, error: 'The file is not a Volume Control settings export.' };
+        }
+        if (!Number.isInteger(parsed.version) || parsed.version < 1) {
+            return { ok: false, error: 'The file has no valid schema version.' };
+        }
+        if (parsed.version > EXPORT_VERSION) {
+            return { ok: false, error: 'The file was made by a newer version of Volume Control.' };
+        }
+        if (!parsed.settings || typeof parsed.settings !== 'object' || Array.isArray(parsed.settings)) {
+            return { ok: false, error: 'The file contains no settings.' };
+        }
+
+        const settings = {};
+        const skipped = [];
+        Object.keys(parsed.settings).sort().forEach(key => {
+            const result = isSettingKey(key, volumeState) ? validateValue(key, parsed.settings[key], volumeState) : { ok: false };
+            if (result.ok) settings[key] = result.value;
+            else skipped.push(key);
+        });
+        return { ok: true, settings, skipped };
+    }
+
+    function sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Work out what an import would change without touching storage. `merge`
+     * keeps settings missing from the file; `replace` removes them.
+     */
+    function planImport(current, incoming, mode, volumeState) {
+        const existing = pickSettings(current, volumeState);
+        const changes = [];
+        Object.keys(incoming).forEach(key => {
+            if (!(key in existing)) changes.push({ key, type: 'add', to: incoming[key] });
+            else if (!sameValue(existing[key], incoming[key])) changes.push({ key, type: 'change', from: existing[key], to: incoming[key] });
+        });
+        if (mode === 'replace') {
+            Object.keys(existing).forEach(key => {
+                if (!(key in incoming)) changes.push({ key, type: 'remove', from: existing[key] });
+            });
+        }
+        changes.sort((a, b) => a.key.localeCompare(b.key));
+
+        const set = {};
+        const remove = [];
+        changes.forEach(change => {
+            if (change.type === 'remove') remove.push(change.key);
+            else set[change.key] = change.to;
+        });
+        return { changes, set, remove };
+    }
+
+    return {
+        EXPORT_FORMAT,
+        EXPORT_VERSION,
+        buildExport,
+        parseExport,
+        planImport
+    };
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+(function initSitePruning(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.SitePruning = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function sitePruningFactory() {
+    const PRUNE_SETTINGS_KEY = 'vc:sitePruning';
+    const PRUNED_SITES_KEY = 'vc:prunedSites';
+    const DEFAULT_PRUNE_SETTINGS = { limit: 500, forgetDefault: false };
+    const MIN_LIMIT = 10;
+    const MAX_LIMIT = 10000;
+    // Only the most recent pruned sites can be restored.
+    const PRUNED_HISTORY_SIZE = 100;
+    const DEFAULT_VOLUME = 100;
+    // Per-site settings stored as `vc:<setting>:<origin>` that belong to the
+    // site and go (and come back) with it. Last-used dates are bookkeeping.
+    const SITE_SETTINGS = ['limiter', 'eq', 'stereo', 'normalize', 'priority'];
+
+    function normalizePruneSettings(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        const limit = Number.parseInt(settings.limit, 10);
+        return {
+            limit: Number.isFinite(limit) ? Math.max(MIN_LIMIT, Math.min(MAX_LIMIT, limit)) : DEFAULT_PRUNE_SETTINGS.limit,
+            forgetDefault: settings.forgetDefault === true
+        };
+    }
+
+    function normalizePrunedSites(value) {
+        if (!Array.isArray(value)) return [];
+        return value
+            .filter(entry => entry && typeof entry.origin === 'string' && Number.isFinite(entry.prunedAt))
+            .map(entry => ({
+                ...entry,
+                record: entry.record && typeof entry.record === 'object' ? entry.record : null,
+                settings: entry.settings && typeof entry.settings === 'object' ? entry.settings : {}
+            }));
+    }
+
+    function siteSettingOrigin(key, volumeState) {
+        const setting = SITE_SETTINGS.find(name => key.startsWith(volumeState.keyForSetting(name, '')));
+        return setting ? key.slice(volumeState.keyForSetting(setting, '').length) || null : null;
+    }
+
+    // Every storage key a site owns, for removal.
+    function siteKeys(site, volumeState) {
+        return [
+            volumeState.keyForOrigin(site.origin),
+            volumeState.keyForSetting(volumeState.LAST_USED_SETTING, site.origin),
+            ...Object.keys(site.settings || {})
+        ];
+    }
+
+    // A plain 100% record says nothing the default does not, so forgetting it
+    // loses nothing. Muted or locked sites are kept.
+    function isDefaultRecord(value, volumeState) {
+        const record = volumeState.normalizeSiteRecord(value);
+        return record.volume === DEFAULT_VOLUME && !record.muted && !record.locked;
+    }
+
+    function collectSites(data, volumeState) {
+        const sites = new Map();
+        const siteFor = origin => {
+            if (!sites.has(origin)) sites.set(origin, { origin, record: null, settings: {}, lastUsed: null });
+            return sites.get(origin);
+        };
+        Object.keys(data).forEach(key => {
+            const origin = volumeState.originFromKey(key);
+            if (origin) {
+                siteFor(origin).record = volumeState.normalizeSiteRecord(data[key]);
+                return;
+            }
+            const settingOrigin = siteSettingOrigin(key, volumeState);
+            if (settingOrigin) siteFor(settingOrigin).settings[key] = data[key];
+        });
+        sites.forEach(site => {
+            const lastUsed = data[volumeState.keyForSetting(volumeState.LAST_USED_SETTING, site.origin)];
+            site.lastUsed = Number.isFinite(lastUsed) ? lastUsed : null;
+        });
+        return [...sites.values()];
+    }
+
+    /**
+     * Decide which saved sites to drop from a full storage snapshot. A site is
+     * its volume record plus its per-site settings (EQ, limiter, ...). Returns
+     * `{ forgotten, pruned }`: origins with nothing but a 100% record (only with
+     * `forgetDefault`), then the least recently used sites over the limit as
+     * `{ origin, record, settings, lastUsed }` so they can be restored. Sites
+     * without a last-used date count as the oldest.
+     */
+    function planPrune(data, settings, volumeState) {
+        const forgotten = [];
+        const kept = [];
+        collectSites(data, volumeState).forEach(site => {
+            const plain = site.record && Object.keys(site.settings).length === 0;
+            if (settings.forgetDefault && plain && isDefaultRecord(site.record, volumeState)) forgotten.push(site.origin);
+            else kept.push(site);
+        });
+
+        kept.sort((a, b) => (b.lastUsed || 0) - (a.lastUsed || 0) || a.origin.localeCompare(b.origin));
+        return { forgotten: forgotten.sort(), pruned: kept.slice(settings.limit) };
+    }
+
+    // Newest first, so the history can be cut at the end.
+    function addPrunedSites(history, pruned, now) {
+        const origins = new Set(pruned.map(site => site.origin));
+        const added = pruned.map(site => ({ ...site, prunedAt: now }));
+        return [...added, ...normalizePrunedSites(history).filter(entry => !origins.has(entry.origin))]
+            .slice(0, PRUNED_HISTORY_SIZE);
+    }
+
+    return {
+        PRUNE_SETTINGS_KEY,
+        PRUNED_SITES_KEY,
+        DEFAULT_PRUNE_SETTINGS,
+        MIN_LIMIT,
+        MAX_LIMIT,
+        normalizePruneSettings,
+        normalizePrunedSites,
+        isDefaultRecord,
+        siteKeys,
+        planPrune,
+        addPrunedSites
+    };
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+(function initSiteRules(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.SiteRules = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function siteRulesFactory() {
+    const SITE_RULES_KEY = 'vc:siteRules';
+    // Among equally specific patterns a path prefix beats a bare host, which beats a glob.
+    const KIND_RANK = { prefix: 3, host: 2, glob: 1 };
+
+    function escapeRegExp(text) {
+        return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Patterns are written without a scheme:
+    //   example.com           host, including its subdomains
+    //   example.com/watch     host plus a path prefix, matched per path segment
+    //   *.example.com/live/*  glob; `*` matches anything. Without a `/` only the
+    //                         host is matched, otherwise host plus path.
+    function parsePattern(pattern) {
+        if (typeof pattern !== 'string') return null;
+        const trimmed = pattern.trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+        const slash = trimmed.indexOf('/');
+        const host = (slash === -1 ? trimmed : trimmed.slice(0, slash)).toLowerCase();
+        const path = slash === -1 ? '' : trimmed.slice(slash);
+        if (!host || /\s/.test(trimmed)) return null;
+
+        if (trimmed.includes('*')) {
+            const source = `${host}${path}`.split('*').map(escapeRegExp).join('.*');
+            return {
+                kind: 'glob',
+                regex: new RegExp(`^${source}$`),
+                withPath: slash !== -1,
+                hostLiteral: host.replace(/\*\.?/g, '').length,
+                pathLiteral: path.replace(/\/?\*/g, '').length
+            };
+        }
+        if (!path || path === '/') return { kind: 'host', host, hostLiteral: host.length, pathLiteral: 0 };
+        const prefix = path.endsWith('/') ? path.slice(0, -1) : path;
+        return { kind: 'prefix', host, path: prefix, hostLiteral: host.length, pathLiteral: prefix.length };
+    }
+
+    function hostMatches(patternHost, hostname) {
+        return hostname === patternHost || hostname.endsWith(`.${patternHost}`);
+    }
+
+    function patternMatches(parsed, url) {
+        if (parsed.kind === 'glob') {
+            return parsed.regex.test(parsed.withPath ? `${url.hostname}${url.pathname}` : url.hostname);
+        }
+        if (!hostMatches(parsed.host, url.hostname)) return false;
+        if (parsed.kind === 'host') return true;
+        return url.pathname === parsed.path || url.pathname.startsWith(`${parsed.path}/`);
+    }
+
+    function optionalBoolean(value) {
+        return typeof value === 'boolean' ? value : null;
+    }
+
+    // Fields left null keep the site's own saved setting.
+    function normalizeRule(value, index) {
+        if (!value || typeof value !== 'object' || !parsePattern(value.pattern)) return null;
+        const volume = Number.parseInt(value.volume, 10);
+        return {
+            id: typeof value.id === 'string' && value.id ? value.id : `site-rule-${index + 1}`,
+            pattern: value.pattern.trim(),
+            enabled: value.enabled !== false,
+            volume: Number.isFinite(volume) ? Math.max(0, Math.min(200, volume)) : null,
+            eqPreset: typeof value.eqPreset === 'string' && value.eqPreset ? value.eqPreset : null,
+            muted: optionalBoolean(value.muted),
+            locked: optionalBoolean(value.locked)
+        };
+    }
+
+    function normalizeRules(value) {
+        if (!Array.isArray(value)) return [];
+        return value.map(normalizeRule).filter(Boolean);
+    }
+
+    // Specificity is measured in literal characters, ignoring wildcards: the path
+    // counts first, then the host.
+    function compareSpecificity(a, b) {
+        if (a.pathLiteral !== b.pathLiteral) return a.pathLiteral - b.pathLiteral;
+        if (a.hostLiteral !== b.hostLiteral) return a.hostLiteral - b.hostLiteral;
+        return KIND_RANK[a.kind] - KIND_RANK[b.kind];
+    }
+
+    // The most specific enabled rule wins; list order breaks ties, so earlier
+    // rules take priority.
+    function matchRule(rules, href) {
+        let url;
+        try {
+            url = new URL(href);
+        } catch (_) {
+            return null;
+        }
+        let best = null;
+        let bestParsed = null;
+        rules.forEach(rule => {
+            if (!rule.enabled) return;
+            const parsed = parsePattern(rule.pattern);
+            if (!parsed || !patternMatches(parsed, url)) return;
+            if (!best || compareSpecificity(parsed, bestParsed) > 0) {
+                best = rule;
+                bestParsed = parsed;
+            }
+        });
+        return best;
+    }
+
+    return {
+        SITE_RULES_KEY,
+        parsePattern,
+        normalizeRule,
+        normalizeRules,
+        matchRule
+    };
+});
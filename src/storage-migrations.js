@@ -0,0 +1,63 @@
+'use strict';
+
+(function initStorageMigrations(root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = api;
+    }
+    root.StorageMigrations = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function storageMigrationsFactory() {
+    const SCHEMA_VERSION_KEY = 'vc:schemaVersion';
+    // Storage written before versioning existed has no version key.
+    const INITIAL_VERSION = 1;
+
+    // Each migration upgrades storage from `version - 1` to `version`. It gets
+    // every stored entry and returns only the entries it rewrites.
+    const MIGRATIONS = [
+        {
+            version: 2,
+            description: 'Site volumes move from bare numbers into records',
+            migrate(data, volumeState) {
+                const updates = {};
+                Object.keys(data).forEach(key => {
+                    if (volumeState.originFromKey(key) && typeof data[key] !== 'object') {
+                        updates[key] = volumeState.normalizeSiteRecord(data[key]);
+                    }
+                });
+                return updates;
+            }
+        }
+    ];
+    const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+    function storedVersion(value) {
+        return Number.isInteger(value) && value >= INITIAL_VERSION ? value : INITIAL_VERSION;
+    }
+
+    /**
+     * Bring storage up to `SCHEMA_VERSION` using the same get/set interface the
+     * controller is given. Storage from a newer build is left untouched.
+     */
+    async function runMigrations(storage, volumeState) {
+        const versionData = await storage.get(SCHEMA_VERSION_KEY);
+        const from = storedVersion(versionData[SCHEMA_VERSION_KEY]);
+        if (from >= SCHEMA_VERSION) return { ok: true, from, to: from, updated: [] };
+
+        let data = await storage.get(null);
+        const updates = {};
+        MIGRATIONS.filter(migration => migration.version > from).forEach(migration => {
+            const changed = migration.migrate(data, volumeState);
+            Object.assign(updates, changed);
+            data = { ...data, ...changed };
+        });
+        await storage.set({ ...updates, [SCHEMA_VERSION_KEY]: SCHEMA_VERSION });
+        return { ok: true, from, to: SCHEMA_VERSION, updated: Object.keys(updates).sort() };
+    }
+
+    return {
+        SCHEMA_VERSION_KEY,
+        SCHEMA_VERSION,
+        MIGRATIONS,
+        runMigrations
+    };
+});
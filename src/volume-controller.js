@@ -7,12 +7,21 @@
     }
     root.VolumeController = api;
 })(typeof globalThis !== 'undefined' ? globalThis : this, function volumeControllerFactory() {
+    const EQ_PRESETS_KEY = 'vc:eqPresets';
+    const LOUDNESS_INTERVAL_MS = 200;
+    const SOURCE_EVENTS = ['loadstart', 'emptied'];
+    const DEFAULT_FADE_STEPS = 10;
+    const DEFAULT_FADE_INTERVAL_MS = 30;
+
     function assertRequiredDeps(deps) {
         if (!deps || typeof deps !== 'object') {
             throw new TypeError('createVolumeController requires a dependency object');
         }
-        if (!deps.volumeState || typeof deps.volumeState.keyForOrigin !== 'function' || typeof deps.volumeState.normalizeVolume !== 'function') {
-            throw new TypeError('createVolumeController requires volumeState with keyForOrigin() and normalizeVolume()');
+        if (!deps.volumeState || typeof deps.volumeState.keyForOrigin !== 'function' || typeof deps.volumeState.keyForSetting !== 'function' || typeof deps.volumeState.normalizeVolume !== 'function' || typeof deps.volumeState.normalizeSiteRecord !== 'function') {
+            throw new TypeError('createVolumeController requires volumeState with keyForOrigin(), keyForSetting(), normalizeVolume() and normalizeSiteRecord()');
+        }
+        if (!deps.audioEffects || typeof deps.audioEffects.createLimiter !== 'function') {
+            throw new TypeError('createVolumeController requires audioEffects');
         }
         if (typeof deps.origin !== 'string' || deps.origin.length === 0) {
             throw new TypeError('createVolumeController requires a non-empty origin');
@@ -33,30 +42,90 @@
 
         const {
             volumeState,
+            audioEffects,
             origin,
             getMediaElements,
             storage,
             createAudioContext,
-            notifyBadge = () => Promise.resolve(),
+            resolveSettingsOrigin = null,
+            resolveVolumeCap = null,
+            siteRules = null,
+            getPageUrl = null,
+            notifyBadge: reportBadge = () => Promise.resolve(),
             scheduleTask = setTimeout,
             cancelTask = clearTimeout
         } = deps;
 
-        const storageKey = volumeState.keyForOrigin(origin);
+        let storageKey = volumeState.keyForOrigin(origin);
+        let limiterKey = volumeState.keyForSetting('limiter', origin);
+        let eqKey = volumeState.keyForSetting('eq', origin);
+        let stereoKey = volumeState.keyForSetting('stereo', origin);
+        let normalizeKey = volumeState.keyForSetting('normalize', origin);
+        let siteRecord = volumeState.normalizeSiteRecord();
+        let rememberState = volumeState.normalizeRememberState();
         let desiredVolume = 100;
+        let volumeCap = null;
+        let masterVolume = 100;
+        let pageUrl = getPageUrl ? getPageUrl() : null;
+        let siteRuleList = [];
+        let activeRule = null;
         let muted = false;
         let preMuteVolume = 100;
         let audioCtx = null;
         let gainNode = null;
+        let limiterPreset = 'off';
+        let limiterNode = null;
+        let eqGains = audioEffects.normalizeEqGains();
+        let eqPreset = 'flat';
+        let userEqPresets = {};
+        let eqNodes = [];
+        let stereoSettings = { ...audioEffects.DEFAULT_STEREO };
+        let stereoStage = null;
+        let loudnessSettings = { ...audioEffects.DEFAULT_LOUDNESS };
+        let loudnessNode = null;
+        let loudnessAnalyser = null;
+        let loudnessBuffer = null;
+        let loudnessLevelDb = null;
+        let correctionDb = 0;
+        let loudnessTaskId = null;
+        let chainTail = null;
+        let meterSubscribers = 0;
+        let meterAnalyser = null;
+        let meterBuffer = null;
+        let wiredCount = 0;
+        let chainStages = null;
         let mutationTaskId = null;
         let initTask = null;
         let lockActive = false;
         let fadeVersion = 0;
+        // The gain ramp in progress, as `{ from, to, curve, startTime, durationSec }`.
+        let activeRamp = null;
+        let nextElementId = 1;
         const elementStatus = new WeakMap();
+        const skipReasons = new WeakMap();
+        const watchedElements = new WeakSet();
+        const pendingElements = new Set();
+        let pendingFullPass = false;
+        const elementIds = new WeakMap();
+        const elementSettings = new WeakMap();
+        const elementNodes = new WeakMap();
         const lockedElements = new Set();
 
         function cancelActiveFade() {
             fadeVersion += 1;
+            if (activeRamp) {
+                desiredVolume = rampedVolume(activeRamp);
+                activeRamp = null;
+                audioEffects.holdParam(gainNode.gain, audioCtx.currentTime);
+            }
+        }
+
+        // The site volume a ramp has reached, so a cut-short fade leaves
+        // `desiredVolume` at what is being heard, as a stepped fade does.
+        function rampedVolume(ramp) {
+            const progress = ramp.durationSec > 0 ? (audioCtx.currentTime - ramp.startTime) / ramp.durationSec : 1;
+            const level = audioEffects.fadeCurveValue(ramp.curve, ramp.from, ramp.to, Math.max(0, Math.min(1, progress)));
+            return volumeState.normalizeVolume(Math.round(level));
         }
 
         function getNativeVolume(el) {
@@ -75,16 +144,73 @@
             el.volume = normalizedValue;
         }
 
-        function volumeForElement() {
-            const effectiveVolume = muted ? 0 : desiredVolume;
-            return effectiveVolume <= 100 ? effectiveVolume / 100 : 1;
+        // Quiet hours limit what is heard without touching the saved volume, so the
+        // usual level comes back when the window ends. `desiredVolume` and what is
+        // persisted stay uncapped; the cap only applies to playback and reports.
+        function capVolume(vol) {
+            return volumeCap === null ? vol : Math.min(vol, volumeCap);
+        }
+
+        // The global master level scales every site's own volume.
+        function scaleByMaster(vol) {
+            return (vol * masterVolume) / 100;
+        }
+
+        function effectiveVolume() {
+            return muted ? 0 : capVolume(scaleByMaster(desiredVolume));
+        }
+
+        // The badge gets the site's own value and what is actually heard.
+        function notifyBadge(vol) {
+            return reportBadge(capVolume(vol), Math.round(effectiveVolume()), { muted, locked: lockActive });
+        }
+
+        function getElementId(el) {
+            if (!elementIds.has(el)) {
+                elementIds.set(el, nextElementId);
+                nextElementId += 1;
+            }
+            return elementIds.get(el);
+        }
+
+        function getElementSettings(el) {
+            return elementSettings.get(el) || { volume: 100, muted: false, excluded: false };
+        }
+
+        function updateElementSettings(el, patch) {
+            elementSettings.set(el, { ...getElementSettings(el), ...patch });
+        }
+
+        function isExcluded(el) {
+            return getElementSettings(el).excluded;
+        }
+
+        // Per-element level, limited so a mixer boost cannot lift an element past
+        // the quiet-hours cap.
+        function elementLevel(el) {
+            const settings = getElementSettings(el);
+            if (settings.muted) return 0;
+            const vol = effectiveVolume();
+            if (volumeCap === null || vol === 0) return settings.volume;
+            return Math.min(settings.volume, (volumeCap * 100) / vol);
+        }
+
+        // Per-element level stacks multiplicatively on top of the origin volume.
+        function combinedVolume(el) {
+            return (effectiveVolume() * elementLevel(el)) / 100;
+        }
+
+        function volumeForElement(el) {
+            if (elementStatus.get(el) === 'wired') return 1;
+            const combined = combinedVolume(el);
+            return combined <= 100 ? combined / 100 : 1;
         }
 
         function installVolumeLock(el) {
             if (lockedElements.has(el)) return;
 
             const initialValue = getNativeVolume(el);
-            let backingVolume = Number.isFinite(initialValue) ? initialValue : volumeForElement();
+            let backingVolume = Number.isFinite(initialValue) ? initialValue : volumeForElement(el);
 
             Object.defineProperty(el, 'volume', {
                 configurable: true,
@@ -93,10 +219,10 @@
                     return backingVolume;
                 },
                 set() {
-                    backingVolume = volumeForElement();
+                    backingVolume = volumeForElement(el);
                 }
             });
-            setNativeVolume(el, volumeForElement());
+            setNativeVolume(el, volumeForElement(el));
             lockedElements.add(el);
         }
 
@@ -111,106 +237,419 @@
             if (audioCtx) return;
             audioCtx = createAudioContext();
             gainNode = audioCtx.createGain();
-            gainNode.connect(audioCtx.destination);
+            limiterNode = audioEffects.createLimiter(audioCtx, limiterPreset);
+            syncEqualizer();
+            stereoStage = audioEffects.createStereoStage(audioCtx, stereoSettings);
+            syncLoudness();
+            connectChain();
+        }
+
+        // Effects that need every controlled element routed through Web Audio,
+        // not just the ones boosted above 100%.
+        function processingActive() {
+            return !audioEffects.isFlatEq(eqGains)
+                || !audioEffects.isDefaultStereo(stereoSettings)
+                || loudnessSettings.enabled;
+        }
+
+        function syncEqualizer() {
+            if (eqNodes.length === 0) {
+                if (audioEffects.isFlatEq(eqGains)) return;
+                eqNodes = audioEffects.createEqualizer(audioCtx, eqGains);
+                return;
+            }
+            audioEffects.setEqualizerGains(eqNodes, eqGains);
+        }
+
+        function syncLoudness() {
+            if (!loudnessSettings.enabled || loudnessNode) return;
+            loudnessNode = audioCtx.createGain();
+            loudnessNode.gain.value = audioEffects.dbToGain(correctionDb);
+            loudnessAnalyser = audioCtx.createAnalyser();
+            loudnessAnalyser.fftSize = 2048;
+            loudnessBuffer = new Float32Array(loudnessAnalyser.fftSize);
+        }
+
+        // Ordered processing stages between the origin gain node and the destination.
+        // A stage is either a single node or a `{ input, output }` sub-graph.
+        function activeStages() {
+            const eqStages = audioEffects.isFlatEq(eqGains) ? [] : eqNodes;
+            const loudnessStage = loudnessSettings.enabled ? loudnessNode : null;
+            return [loudnessStage, ...eqStages, stereoStage, limiterNode].filter(Boolean);
+        }
+
+        function connectChain() {
+            const stages = activeStages();
+            if (chainStages && stages.length === chainStages.length && stages.every((stage, index) => stage === chainStages[index])) return;
+            gainNode.disconnect();
+            (chainStages || []).forEach(stage => (stage.output || stage).disconnect());
+            chainStages = stages;
+            let tail = gainNode;
+            chainStages.forEach(stage => {
+                tail.connect(stage.input || stage);
+                tail = stage.output || stage;
+            });
+            tail.connect(audioCtx.destination);
+            chainTail = tail;
+            if (loudnessSettings.enabled && loudnessAnalyser) {
+                gainNode.connect(loudnessAnalyser);
+            }
+            attachMeter();
+        }
+
+        // The level meter taps the end of the chain, i.e. what actually reaches the speakers.
+        function attachMeter() {
+            if (meterSubscribers === 0 || !chainTail) return;
+            if (!meterAnalyser) {
+                meterAnalyser = audioCtx.createAnalyser();
+                meterAnalyser.fftSize = 1024;
+                meterBuffer = new Float32Array(meterAnalyser.fftSize);
+            }
+            chainTail.connect(meterAnalyser);
+        }
+
+        // The analyser taps the origin gain output, so the origin gain is taken back
+        // out of the measurement; otherwise normalization would undo the user's slider.
+        function runLoudnessTick() {
+            if (!loudnessSettings.enabled || !loudnessAnalyser) return;
+            loudnessAnalyser.getFloatTimeDomainData(loudnessBuffer);
+            const { rms } = audioEffects.measureLevels(loudnessBuffer);
+            const originGain = gainNode.gain.value;
+            const sourceDb = audioEffects.gainToDb(rms) - audioEffects.gainToDb(originGain);
+            if (originGain > 0 && audioEffects.isAboveGate(sourceDb)) {
+                loudnessLevelDb = audioEffects.smoothLevel(loudnessLevelDb, sourceDb);
+                correctionDb = audioEffects.nextCorrection(correctionDb, loudnessLevelDb, loudnessSettings);
+                loudnessNode.gain.value = audioEffects.dbToGain(correctionDb);
+            }
+            scheduleLoudnessTick();
+        }
+
+        function scheduleLoudnessTick() {
+            if (loudnessTaskId !== null || !loudnessSettings.enabled || !loudnessAnalyser) return;
+            loudnessTaskId = scheduleTask(() => {
+                loudnessTaskId = null;
+                runLoudnessTick();
+            }, LOUDNESS_INTERVAL_MS);
+        }
+
+        function stopLoudnessTicks() {
+            if (loudnessTaskId !== null) {
+                cancelTask(loudnessTaskId);
+                loudnessTaskId = null;
+            }
+            loudnessLevelDb = null;
+            correctionDb = 0;
+            if (loudnessNode) loudnessNode.gain.value = 1;
         }
 
         function getMediaList() {
             return Array.from(getMediaElements());
         }
 
-        function canUseWebAudioBoost(el) {
+        // Returns why an element cannot be routed through Web Audio, or null when
+        // it can. Cross-origin media without CORS would be silenced by the browser.
+        function boostBlocker(el) {
             const src = el.currentSrc || el.src;
-            if (!src) return false;
+            if (!src) return 'no-src';
 
             try {
                 const url = new URL(src, origin);
-                if (url.protocol === 'data:') return true;
-                if (url.protocol === 'blob:') return true;
-                if (url.origin === origin) return true;
-                return typeof el.crossOrigin === 'string' && el.crossOrigin.length > 0;
+                if (url.protocol === 'data:') return null;
+                if (url.protocol === 'blob:') return null;
+                if (url.origin === origin) return null;
+                return typeof el.crossOrigin === 'string' && el.crossOrigin.length > 0 ? null : 'cross-origin';
             } catch (_) {
-                return false;
+                return 'invalid-src';
             }
         }
 
+        function skipElement(el, reason) {
+            elementStatus.set(el, 'skipped');
+            skipReasons.set(el, reason);
+        }
+
         function wireElement(el) {
             if (elementStatus.has(el)) return;
-            if (!canUseWebAudioBoost(el)) {
-                elementStatus.set(el, 'skipped');
+            const blocker = boostBlocker(el);
+            if (blocker) {
+                skipElement(el, blocker);
                 return;
             }
 
             try {
-                const src = audioCtx.createMediaElementSource(el);
-                src.connect(gainNode);
+                const source = audioCtx.createMediaElementSource(el);
+                const elementGain = audioCtx.createGain();
+                source.connect(elementGain);
+                elementGain.connect(gainNode);
+                elementNodes.set(el, { source, gain: elementGain, bypassed: false });
                 elementStatus.set(el, 'wired');
+                wiredCount += 1;
             } catch (_) {
-                elementStatus.set(el, 'skipped');
+                skipElement(el, 'source-failed');
             }
         }
 
-        async function loadPersistedVolume() {
+        // A skipped element is re-checked when its source changes, e.g. a player
+        // that starts empty or cross-origin and later attaches a blob: MSE stream.
+        async function reevaluateElement(el) {
+            if (elementStatus.get(el) !== 'skipped') return false;
+            if (boostBlocker(el) === skipReasons.get(el)) return false;
+            elementStatus.delete(el);
+            skipReasons.delete(el);
+            await applyVolume();
+            return true;
+        }
+
+        function watchSource(el) {
+            if (watchedElements.has(el) || typeof el.addEventListener !== 'function') return;
+            watchedElements.add(el);
+            SOURCE_EVENTS.forEach(type => {
+                el.addEventListener(type, () => {
+                    reevaluateElement(el).catch(() => { });
+                });
+            });
+        }
+
+        // A wired element can never be unwired, so excluding it routes its
+        // per-element gain straight to the destination instead of the shared chain.
+        function routeElement(el, bypass) {
+            const nodes = elementNodes.get(el);
+            if (!nodes || nodes.bypassed === bypass) return;
+            nodes.gain.disconnect();
+            nodes.gain.connect(bypass ? audioCtx.destination : gainNode);
+            nodes.bypassed = bypass;
+        }
+
+        function releaseElement(el) {
+            removeVolumeLock(el);
+            const nodes = elementNodes.get(el);
+            if (!nodes) return;
+            routeElement(el, true);
+            nodes.gain.gain.value = 1;
+        }
+
+        function applyElementVolume(el) {
+            if (lockActive) installVolumeLock(el);
+            const nodes = elementNodes.get(el);
+            if (nodes) {
+                routeElement(el, false);
+                nodes.gain.gain.value = elementLevel(el) / 100;
+            }
+            setNativeVolume(el, volumeForElement(el));
+        }
+
+        async function loadPersistedState() {
             try {
-                const data = await storage.get(storageKey);
-                desiredVolume = volumeState.normalizeVolume(data[storageKey]);
+                const keys = [storageKey, volumeState.MASTER_VOLUME_KEY, volumeState.REMEMBER_STATE_KEY, limiterKey, eqKey, EQ_PRESETS_KEY, stereoKey, normalizeKey];
+                const data = await storage.get(siteRules ? [...keys, siteRules.SITE_RULES_KEY] : keys);
+                siteRecord = volumeState.normalizeSiteRecord(data[storageKey]);
+                rememberState = volumeState.normalizeRememberState(data[volumeState.REMEMBER_STATE_KEY]);
+                desiredVolume = siteRecord.volume;
+                restoreSiteState();
+                masterVolume = volumeState.normalizeMasterVolume(data[volumeState.MASTER_VOLUME_KEY]);
+                limiterPreset = audioEffects.normalizeLimiterPreset(data[limiterKey]);
+                const eq = data[eqKey] || {};
+                eqGains = audioEffects.normalizeEqGains(eq.gains);
+                eqPreset = typeof eq.preset === 'string' ? eq.preset : 'flat';
+                userEqPresets = audioEffects.normalizeUserPresets(data[EQ_PRESETS_KEY]);
+                stereoSettings = audioEffects.normalizeStereo(data[stereoKey]);
+                loudnessSettings = audioEffects.normalizeLoudnessSettings(data[normalizeKey]);
+                if (siteRules) siteRuleList = siteRules.normalizeRules(data[siteRules.SITE_RULES_KEY]);
             } catch (_) {
                 desiredVolume = 100;
             }
         }
 
+        // Only states the user chose to remember come back; the rest start fresh.
+        function restoreSiteState() {
+            if (rememberState.mute && siteRecord.muted) {
+                muted = true;
+                preMuteVolume = siteRecord.preMuteVolume;
+            }
+            if (rememberState.lock && siteRecord.locked) lockActive = true;
+        }
+
+        function ruleControls(field) {
+            return Boolean(activeRule) && activeRule[field] !== null;
+        }
+
+        // Mute and lock forced by a site rule are the rule's, not the user's, so
+        // the record keeps whatever it held before.
+        function buildSiteRecord(vol) {
+            const record = { volume: vol };
+            if (ruleControls('muted')) {
+                if (siteRecord.muted) Object.assign(record, { muted: true, preMuteVolume: siteRecord.preMuteVolume });
+            } else if (rememberState.mute && muted) {
+                Object.assign(record, { muted: true, preMuteVolume });
+            }
+            if (ruleControls('locked') ? siteRecord.locked : rememberState.lock && lockActive) record.locked = true;
+            return volumeState.normalizeSiteRecord(record);
+        }
+
+        async function persistSiteRecord(vol = siteRecord.volume) {
+            const next = buildSiteRecord(vol);
+            if (JSON.stringify(next) === JSON.stringify(siteRecord)) return;
+            siteRecord = next;
+            await storage.set({ [storageKey]: siteRecord });
+        }
+
+        // A page matched by a rule that sets the volume keeps its volume in that
+        // rule, so youtube.com/shorts and youtube.com/watch can differ.
         async function persistVolume(vol) {
             try {
-                await storage.set({ [storageKey]: volumeState.normalizeVolume(vol) });
+                if (activeRule && activeRule.volume !== null) {
+                    await persistRuleVolume(volumeState.normalizeVolume(vol));
+                    await persistSiteRecord();
+                    return;
+                }
+                await persistSiteRecord(volumeState.normalizeVolume(vol));
             } catch (_) {
                 // Ignore storage write failures and keep in-memory behavior.
             }
         }
 
-        async function applyVolume() {
-            const effectiveVolume = muted ? 0 : desiredVolume;
-            const vol = effectiveVolume;
-            const media = getMediaList();
-            const elementVolume = volumeForElement();
+        // Saves mute and lock changes without touching the stored volume.
+        async function persistSiteState() {
+            try {
+                await persistSiteRecord();
+            } catch (_) {
+                // Same as persistVolume: the in-memory state still applies.
+            }
+        }
+
+        async function persistRuleVolume(vol) {
+            await loadSiteRules();
+            siteRuleList = siteRuleList.map(rule => (rule.id === activeRule.id ? { ...rule, volume: vol } : rule));
+            activeRule = { ...activeRule, volume: vol };
+            await storage.set({ [siteRules.SITE_RULES_KEY]: siteRuleList });
+        }
 
-            if (!lockActive) {
-                lockedElements.forEach(removeVolumeLock);
+        async function loadSiteRules() {
+            if (!siteRules) return;
+            try {
+                const data = await storage.get(siteRules.SITE_RULES_KEY);
+                siteRuleList = siteRules.normalizeRules(data[siteRules.SITE_RULES_KEY]);
+            } catch (_) {
+                // Keep the rules loaded last time.
             }
+        }
 
-            if (vol <= 100) {
-                if (gainNode) gainNode.gain.value = vol / 100;
-                media.forEach(el => {
-                    if (lockActive) installVolumeLock(el);
-                    if (elementStatus.get(el) === 'wired') {
-                        setNativeVolume(el, 1.0);
-                    } else {
-                        setNativeVolume(el, elementVolume);
-                    }
-                });
-                return;
+        function matchSiteRule() {
+            if (!siteRules || typeof pageUrl !== 'string') return null;
+            return siteRules.matchRule(siteRuleList, pageUrl);
+        }
+
+        // Rule fields override the site's saved settings; fields a rule leaves
+        // out keep them.
+        function applyRuleSettings(rule) {
+            if (!rule) return;
+            if (rule.volume !== null) desiredVolume = rule.volume;
+            if (rule.eqPreset) {
+                const gains = audioEffects.resolveEqPreset(rule.eqPreset, userEqPresets);
+                if (gains) {
+                    eqGains = gains;
+                    eqPreset = rule.eqPreset;
+                }
             }
+            if (rule.muted !== null) {
+                if (rule.muted && !muted) preMuteVolume = desiredVolume;
+                muted = rule.muted;
+            }
+            if (rule.locked !== null) lockActive = rule.locked;
+        }
 
-            ensureContext();
-            gainNode.gain.value = vol / 100;
+        // Single-page apps change the URL without reloading, so the shell reports
+        // history changes here. Nothing happens unless a different rule applies.
+        async function handleNavigation(url) {
+            if (typeof url !== 'string' || url === pageUrl) return getSiteRule();
+            pageUrl = url;
+            await loadSiteRules();
+            const next = matchSiteRule();
+            if ((next && next.id) === (activeRule && activeRule.id)) return getSiteRule();
 
-            if (audioCtx.state !== 'running') {
-                media.forEach(el => {
-                    if (lockActive) installVolumeLock(el);
-                    setNativeVolume(el, 1.0);
-                });
-                return;
+            cancelActiveFade();
+            if (activeRule && activeRule.muted !== null) muted = false;
+            if (activeRule && activeRule.locked !== null) lockActive = false;
+            activeRule = next;
+            await loadPersistedState();
+            applyRuleSettings(activeRule);
+            if (audioCtx) {
+                syncEqualizer();
+                connectChain();
+            }
+            await applyVolume();
+            await notifyBadge(desiredVolume);
+            return getSiteRule();
+        }
+
+        function getSiteRule() {
+            return { ok: true, rule: activeRule ? activeRule.pattern : null };
+        }
+
+        async function persistSetting(key, value) {
+            try {
+                await storage.set({ [key]: value });
+            } catch (_) {
+                // Same as persistVolume: the in-memory setting still applies.
             }
+        }
+
+        // Without arguments every media element is processed; mutation batches
+        // pass just the elements that were added.
+        async function applyVolume(media = getMediaList()) {
+            const vol = effectiveVolume();
+            media.forEach(watchSource);
 
-            media.forEach(el => {
-                wireElement(el);
-                if (lockActive) installVolumeLock(el);
-                setNativeVolume(el, 1.0);
+            if (!lockActive) {
+                lockedElements.forEach(removeVolumeLock);
+            }
+
+            const controlled = media.filter(el => {
+                if (!isExcluded(el)) return true;
+                releaseElement(el);
+                return false;
             });
+            const processing = processingActive();
+            const routed = controlled.filter(el => processing || combinedVolume(el) > 100);
+
+            if (vol > 100 || routed.length > 0) {
+                ensureContext();
+            }
+            if (gainNode && !activeRamp) gainNode.gain.value = vol / 100;
+
+            if (audioCtx && audioCtx.state === 'running') {
+                routed.forEach(wireElement);
+            }
+            scheduleLoudnessTick();
+
+            controlled.forEach(applyElementVolume);
+        }
+
+        // Settings are stored under the page origin unless the shell maps this
+        // frame onto another one (an embedded player inheriting the top page).
+        function bindSettingsKeys(settingsOrigin) {
+            storageKey = volumeState.keyForOrigin(settingsOrigin);
+            limiterKey = volumeState.keyForSetting('limiter', settingsOrigin);
+            eqKey = volumeState.keyForSetting('eq', settingsOrigin);
+            stereoKey = volumeState.keyForSetting('stereo', settingsOrigin);
+            normalizeKey = volumeState.keyForSetting('normalize', settingsOrigin);
         }
 
         async function init() {
             if (!initTask) {
                 initTask = (async () => {
-                    await loadPersistedVolume();
+                    if (resolveSettingsOrigin) {
+                        const settingsOrigin = await resolveSettingsOrigin();
+                        if (typeof settingsOrigin === 'string' && settingsOrigin.length > 0) {
+                            bindSettingsKeys(settingsOrigin);
+                        }
+                    }
+                    if (resolveVolumeCap) {
+                        volumeCap = normalizeCap(await resolveVolumeCap());
+                    }
+                    await loadPersistedState();
+                    activeRule = matchSiteRule();
+                    applyRuleSettings(activeRule);
                     await applyVolume();
                     await notifyBadge(desiredVolume);
                 })();
@@ -224,25 +663,29 @@
             desiredVolume = normalized;
             if (muted) {
                 preMuteVolume = normalized;
+                await persistSiteState();
                 await notifyBadge(desiredVolume);
-                return { ok: true, volume: normalized };
+                return { ok: true, volume: capVolume(normalized) };
             }
             await Promise.allSettled([persistVolume(desiredVolume), applyVolume()]);
             await notifyBadge(desiredVolume);
-            return { ok: true, volume: desiredVolume };
+            return { ok: true, volume: capVolume(desiredVolume) };
         }
 
         async function stepVolume(delta) {
             if (!Number.isFinite(delta)) {
-                return { ok: true, volume: desiredVolume };
+                return { ok: true, volume: capVolume(desiredVolume) };
             }
-            return setVolume(desiredVolume + Number(delta));
+            // Lowering starts from what is heard, so a step down under the
+            // quiet-hours cap is audible; raising moves the saved level.
+            const base = Number(delta) < 0 ? capVolume(desiredVolume) : desiredVolume;
+            return setVolume(base + Number(delta));
         }
 
         function getVolume() {
             const mediaList = getMediaList();
             return {
-                volume: desiredVolume,
+                volume: capVolume(desiredVolume),
                 hasMedia: mediaList.length > 0,
                 mediaCount: mediaList.length,
                 isMuted: muted,
@@ -252,7 +695,254 @@
         }
 
         function getState() {
-            return getVolume();
+            return {
+                ...getVolume(),
+                // `volume` is capped by quiet hours; this is the level to come back to.
+                siteVolume: desiredVolume,
+                normalize: getNormalize(),
+                volumeCap,
+                masterVolume,
+                effectiveVolume: Math.round(effectiveVolume()),
+                siteRule: getSiteRule().rule
+            };
+        }
+
+        function normalizeCap(cap) {
+            return cap === null || cap === undefined ? null : volumeState.normalizeVolume(cap);
+        }
+
+        // Pushed by the background, which also persists the new level.
+        async function setMasterVolume(value) {
+            masterVolume = volumeState.normalizeMasterVolume(value);
+            await applyVolume();
+            await notifyBadge(desiredVolume);
+            return { ok: true, masterVolume, effectiveVolume: Math.round(effectiveVolume()) };
+        }
+
+        // Pushed by the background whenever a quiet-hours window opens or closes.
+        async function setVolumeCap(cap) {
+            volumeCap = normalizeCap(cap);
+            await applyVolume();
+            await notifyBadge(desiredVolume);
+            return { ok: true, volume: capVolume(desiredVolume), volumeCap };
+        }
+
+        function getLimiter() {
+            return { preset: limiterPreset, presets: Object.keys(audioEffects.LIMITER_PRESETS) };
+        }
+
+        async function setLimiter(preset) {
+            limiterPreset = audioEffects.normalizeLimiterPreset(preset);
+            if (audioCtx) {
+                limiterNode = audioEffects.createLimiter(audioCtx, limiterPreset);
+                connectChain();
+            }
+            await persistSetting(limiterKey, limiterPreset);
+            return { ok: true, preset: limiterPreset };
+        }
+
+        function getEq() {
+            const builtIn = Object.entries(audioEffects.EQ_PRESETS).map(([id, preset]) => ({ id, label: preset.label, builtIn: true }));
+            const custom = Object.keys(userEqPresets).map(name => ({ id: `${audioEffects.USER_PRESET_PREFIX}${name}`, label: name, builtIn: false }));
+            return {
+                preset: eqPreset,
+                gains: eqGains.slice(),
+                frequencies: audioEffects.EQ_FREQUENCIES.slice(),
+                presets: [...builtIn, ...custom]
+            };
+        }
+
+        async function updateEq(gains, preset) {
+            eqGains = audioEffects.normalizeEqGains(gains);
+            eqPreset = preset;
+            if (audioCtx) {
+                syncEqualizer();
+                connectChain();
+            }
+            await applyVolume();
+            await persistSetting(eqKey, { preset: eqPreset, gains: eqGains });
+            return { ok: true, preset: eqPreset, gains: eqGains.slice() };
+        }
+
+        function setEq(gains) {
+            return updateEq(gains, 'custom');
+        }
+
+        async function setEqPreset(preset) {
+            const gains = audioEffects.resolveEqPreset(preset, userEqPresets);
+            if (!gains) return { ok: false, preset };
+            return updateEq(gains, preset);
+        }
+
+        async function reloadUserEqPresets() {
+            try {
+                const data = await storage.get(EQ_PRESETS_KEY);
+                userEqPresets = audioEffects.normalizeUserPresets(data[EQ_PRESETS_KEY]);
+            } catch (_) {
+                // Keep the presets loaded at init.
+            }
+        }
+
+        async function saveEqPreset(name) {
+            const trimmed = typeof name === 'string' ? name.trim() : '';
+            if (!trimmed) return { ok: false };
+            await reloadUserEqPresets();
+            userEqPresets = { ...userEqPresets, [trimmed]: eqGains.slice() };
+            await persistSetting(EQ_PRESETS_KEY, userEqPresets);
+            eqPreset = `${audioEffects.USER_PRESET_PREFIX}${trimmed}`;
+            await persistSetting(eqKey, { preset: eqPreset, gains: eqGains });
+            return { ok: true, ...getEq() };
+        }
+
+        async function deleteEqPreset(name) {
+            await reloadUserEqPresets();
+            if (!Object.prototype.hasOwnProperty.call(userEqPresets, name)) return { ok: false };
+            userEqPresets = { ...userEqPresets };
+            delete userEqPresets[name];
+            await persistSetting(EQ_PRESETS_KEY, userEqPresets);
+            if (eqPreset === `${audioEffects.USER_PRESET_PREFIX}${name}`) {
+                eqPreset = 'custom';
+                await persistSetting(eqKey, { preset: eqPreset, gains: eqGains });
+            }
+            return { ok: true, ...getEq() };
+        }
+
+        function getStereo() {
+            return { ...stereoSettings };
+        }
+
+        async function setStereo(patch = {}) {
+            const next = { ...stereoSettings };
+            ['balance', 'swap', 'mono'].forEach(field => {
+                if (typeof patch[field] !== 'undefined') next[field] = patch[field];
+            });
+            stereoSettings = audioEffects.normalizeStereo(next);
+            if (audioCtx) {
+                stereoStage = audioEffects.createStereoStage(audioCtx, stereoSettings);
+                connectChain();
+            }
+            await applyVolume();
+            await persistSetting(stereoKey, stereoSettings);
+            return { ok: true, ...stereoSettings };
+        }
+
+        function getNormalize() {
+            return { ...loudnessSettings, correctionDb };
+        }
+
+        async function setNormalize(patch = {}) {
+            const next = { ...loudnessSettings };
+            ['enabled', 'targetDb', 'maxBoostDb'].forEach(field => {
+                if (typeof patch[field] !== 'undefined') next[field] = patch[field];
+            });
+            loudnessSettings = audioEffects.normalizeLoudnessSettings(next);
+            if (!loudnessSettings.enabled) stopLoudnessTicks();
+            if (audioCtx) {
+                syncLoudness();
+                connectChain();
+            }
+            await applyVolume();
+            await persistSetting(normalizeKey, loudnessSettings);
+            return { ok: true, ...getNormalize() };
+        }
+
+        function startMetering() {
+            meterSubscribers += 1;
+            if (meterSubscribers === 1) attachMeter();
+        }
+
+        function stopMetering() {
+            if (meterSubscribers === 0) return;
+            meterSubscribers -= 1;
+            if (meterSubscribers === 0 && meterAnalyser) {
+                chainTail.disconnect(meterAnalyser);
+            }
+        }
+
+        // Elements on the native volume path never pass through Web Audio,
+        // so the meter is only `active` once something is wired.
+        function getLevels() {
+            if (!meterAnalyser || meterSubscribers === 0 || wiredCount === 0) {
+                return { active: false, peak: 0, rms: 0, peakDb: audioEffects.gainToDb(0), rmsDb: audioEffects.gainToDb(0), clipped: false };
+            }
+            meterAnalyser.getFloatTimeDomainData(meterBuffer);
+            const { peak, rms } = audioEffects.measureLevels(meterBuffer);
+            return {
+                active: true,
+                peak,
+                rms,
+                peakDb: audioEffects.gainToDb(peak),
+                rmsDb: audioEffects.gainToDb(rms),
+                clipped: peak >= 1
+            };
+        }
+
+        function describeElement(el) {
+            const settings = getElementSettings(el);
+            return {
+                id: getElementId(el),
+                tag: typeof el.tagName === 'string' ? el.tagName.toLowerCase() : 'media',
+                src: el.currentSrc || el.src || '',
+                duration: Number.isFinite(el.duration) ? el.duration : null,
+                paused: el.paused !== false,
+                volume: settings.volume,
+                muted: settings.muted,
+                excluded: settings.excluded,
+                wired: elementStatus.get(el) === 'wired'
+            };
+        }
+
+        function getMedia() {
+            return { elements: getMediaList().map(describeElement) };
+        }
+
+        // Elements not yet evaluated report what would stop them from being boosted,
+        // so cross-origin media shows up before the user pushes past 100%.
+        function diagnoseElement(el) {
+            const { id, tag, src } = describeElement(el);
+            const info = { id, tag, src };
+            if (isExcluded(el)) return { ...info, status: 'excluded', reason: 'excluded' };
+            const status = elementStatus.get(el);
+            if (status === 'wired') return { ...info, status, reason: null };
+            if (status === 'skipped') return { ...info, status, reason: skipReasons.get(el) };
+            if (processingActive() || combinedVolume(el) > 100) {
+                return { ...info, status: 'pending', reason: boostBlocker(el) || 'context-suspended' };
+            }
+            return { ...info, status: 'native', reason: boostBlocker(el) || 'not-needed' };
+        }
+
+        function getDiagnostics() {
+            return {
+                audioContext: audioCtx ? audioCtx.state : 'none',
+                boosting: effectiveVolume() > 100,
+                processing: processingActive(),
+                wiredCount,
+                elements: getMediaList().map(diagnoseElement)
+            };
+        }
+
+        function findElement(id) {
+            return getMediaList().find(el => elementIds.get(el) === id) || null;
+        }
+
+        async function updateElement(id, patch) {
+            const el = findElement(id);
+            if (!el) return { ok: false, id };
+            updateElementSettings(el, patch);
+            await applyVolume();
+            return { ok: true, ...describeElement(el) };
+        }
+
+        function setElementVolume(id, value) {
+            return updateElement(id, { volume: volumeState.normalizeVolume(value) });
+        }
+
+        function setElementMuted(id, value) {
+            return updateElement(id, { muted: Boolean(value) });
+        }
+
+        function setElementExcluded(id, value) {
+            return updateElement(id, { excluded: Boolean(value) });
         }
 
         async function resetVolume() {
@@ -260,36 +950,112 @@
             desiredVolume = 100;
             preMuteVolume = 100;
             muted = false;
+            siteRecord = volumeState.normalizeSiteRecord();
+            // A remembered lock outlives the reset, so it is written back.
             await Promise.allSettled([
-                storage.remove(storageKey),
+                storage.remove(storageKey).then(persistSiteState),
                 applyVolume()
             ]);
             await notifyBadge(100);
             return { ok: true, volume: 100 };
         }
 
-        async function fadeToVolume(target, options = {}) {
-            cancelActiveFade();
-            const myVersion = fadeVersion;
-            const normalizedTarget = volumeState.normalizeVolume(target);
-            const steps = Number.isFinite(options.steps) && options.steps > 0 ? Math.floor(options.steps) : 10;
-            const intervalMs = Number.isFinite(options.intervalMs) && options.intervalMs >= 0 ? Math.floor(options.intervalMs) : 30;
+        function waitFor(delayMs) {
+            return new Promise(resolve => {
+                scheduleTask(resolve, delayMs);
+            });
+        }
+
+        // A ramp on the origin gain node only covers wired elements, so it is used
+        // when every controlled element is wired; anything on the native path
+        // needs the stepped fade.
+        function canRampFade() {
+            if (muted || !gainNode || !audioCtx || audioCtx.state !== 'running') return false;
+            const controlled = getMediaList().filter(el => !isExcluded(el));
+            return controlled.length > 0 && controlled.every(el => elementStatus.get(el) === 'wired');
+        }
+
+        function resolveFadeTiming(options) {
+            const durationMs = Number.isFinite(options.durationMs) && options.durationMs >= 0 ? Math.floor(options.durationMs) : null;
+            let steps = Number.isFinite(options.steps) && options.steps > 0 ? Math.floor(options.steps) : null;
+            let intervalMs = Number.isFinite(options.intervalMs) && options.intervalMs >= 0 ? Math.floor(options.intervalMs) : null;
+            if (durationMs === null) {
+                steps = steps || DEFAULT_FADE_STEPS;
+                intervalMs = intervalMs === null ? DEFAULT_FADE_INTERVAL_MS : intervalMs;
+                return { steps, intervalMs, durationMs: steps * intervalMs };
+            }
+            if (steps === null) {
+                steps = Math.max(1, Math.round(durationMs / (intervalMs || DEFAULT_FADE_INTERVAL_MS)));
+            }
+            return { steps, intervalMs: Math.floor(durationMs / steps), durationMs };
+        }
+
+        // `desiredVolume` only becomes the target once the ramp is done; until
+        // then `cancelActiveFade()` works out where it got to.
+        async function rampFade(target, durationMs, curve, myVersion) {
+            const targetGain = muted ? 0 : capVolume(scaleByMaster(target)) / 100;
+            activeRamp = { from: desiredVolume, to: target, curve, startTime: audioCtx.currentTime, durationSec: durationMs / 1000 };
+            audioEffects.scheduleGainFade(gainNode.gain, gainNode.gain.value, targetGain, activeRamp.startTime, activeRamp.durationSec, curve);
+            await waitFor(durationMs);
+            if (fadeVersion !== myVersion) return false;
+            activeRamp = null;
+            desiredVolume = target;
+            await applyVolume();
+            return true;
+        }
+
+        async function steppedFade(target, { steps, intervalMs }, curve, myVersion) {
             const start = desiredVolume;
             for (let i = 1; i <= steps; i += 1) {
-                if (fadeVersion !== myVersion) return { ok: true, volume: desiredVolume };
-                const nextVol = volumeState.normalizeVolume(Math.round(start + ((normalizedTarget - start) * i) / steps));
-                desiredVolume = nextVol;
+                if (fadeVersion !== myVersion) return false;
+                const level = audioEffects.fadeCurveValue(curve, start, target, i / steps);
+                desiredVolume = volumeState.normalizeVolume(Math.round(level));
                 await applyVolume();
-                if (i < steps) {
-                    await new Promise(resolve => {
-                        scheduleTask(resolve, intervalMs);
-                    });
-                }
+                if (i < steps) await waitFor(intervalMs);
             }
-            if (fadeVersion !== myVersion) return { ok: true, volume: desiredVolume };
-            await persistVolume(desiredVolume);
+            return fadeVersion === myVersion;
+        }
+
+        async function fadeToVolume(target, options = {}) {
+            cancelActiveFade();
+            const myVersion = fadeVersion;
+            const normalizedTarget = volumeState.normalizeVolume(target);
+            const curve = audioEffects.normalizeFadeCurve(options.curve);
+            const timing = resolveFadeTiming(options);
+            const completed = canRampFade()
+                ? await rampFade(normalizedTarget, timing.durationMs, curve, myVersion)
+                : await steppedFade(normalizedTarget, timing, curve, myVersion);
+            if (!completed) return { ok: true, volume: capVolume(desiredVolume) };
+            if (options.persist !== false) await persistVolume(desiredVolume);
             await notifyBadge(desiredVolume);
-            return { ok: true, volume: desiredVolume };
+            return { ok: true, volume: capVolume(desiredVolume) };
+        }
+
+        // Time left on the media that is playing right now, adjusted for playback
+        // rate. Live streams and paused elements have no end to wait for.
+        function getMediaRemaining() {
+            const remaining = getMediaList()
+                .filter(el => el.paused === false && Number.isFinite(el.duration))
+                .map(el => ((el.duration - (el.currentTime || 0)) / (el.playbackRate || 1)) * 1000)
+                .filter(ms => ms >= 0);
+            if (remaining.length === 0) return { ok: false, remainingMs: null };
+            return { ok: true, remainingMs: Math.round(Math.max(...remaining)) };
+        }
+
+        // Sleep timer: fade to silence without saving it, pause everything, then
+        // put the volume back so the next session starts at the usual level.
+        async function sleepNow(fadeMs) {
+            const previous = desiredVolume;
+            const versionBefore = fadeVersion;
+            await fadeToVolume(0, { durationMs: Number.isFinite(fadeMs) ? fadeMs : 0, persist: false });
+            if (fadeVersion !== versionBefore + 1) return { ok: false, volume: desiredVolume };
+            getMediaList().forEach(el => {
+                if (typeof el.pause === 'function') el.pause();
+            });
+            desiredVolume = previous;
+            await applyVolume();
+            await notifyBadge(desiredVolume);
+            return { ok: true, volume: desiredVolume, paused: true };
         }
 
         async function mute() {
@@ -297,7 +1063,8 @@
             if (muted) return { ok: true, volume: 0, isMuted: true };
             preMuteVolume = desiredVolume;
             muted = true;
-            await applyVolume();
+            await Promise.allSettled([persistSiteState(), applyVolume()]);
+            await notifyBadge(desiredVolume);
             return { ok: true, volume: 0, isMuted: true };
         }
 
@@ -306,7 +1073,8 @@
             if (!muted) return { ok: true, volume: desiredVolume, isMuted: false };
             muted = false;
             desiredVolume = preMuteVolume;
-            await applyVolume();
+            await Promise.allSettled([persistVolume(desiredVolume), applyVolume()]);
+            await notifyBadge(desiredVolume);
             return { ok: true, volume: desiredVolume, isMuted: false };
         }
 
@@ -320,28 +1088,43 @@
 
         async function lockVolume() {
             lockActive = true;
-            await applyVolume();
+            await Promise.allSettled([persistSiteState(), applyVolume()]);
+            await notifyBadge(desiredVolume);
             return { ok: true, isLocked: true };
         }
 
         async function unlockVolume() {
             lockActive = false;
             lockedElements.forEach(removeVolumeLock);
-            await applyVolume();
+            await Promise.allSettled([persistSiteState(), applyVolume()]);
+            await notifyBadge(desiredVolume);
             return { ok: true, isLocked: false };
         }
 
-        async function handleMediaChange() {
-            await applyVolume();
+        async function handleMediaChange(elements) {
+            await (Array.isArray(elements) ? applyVolume(elements) : applyVolume());
         }
 
-        function notifyMediaMutation() {
+        // Called with the media found in a mutation batch, or with no argument
+        // when the shell cannot tell what changed (e.g. a frame navigated).
+        // Batches are merged until the debounced task runs; one untargeted call
+        // turns the whole batch into a full pass.
+        function notifyMediaMutation(elements) {
+            if (Array.isArray(elements)) {
+                if (elements.length === 0) return mutationTaskId;
+                elements.forEach(el => pendingElements.add(el));
+            } else {
+                pendingFullPass = true;
+            }
             if (mutationTaskId !== null) {
                 cancelTask(mutationTaskId);
             }
             mutationTaskId = scheduleTask(async () => {
                 mutationTaskId = null;
-                await handleMediaChange();
+                const targets = pendingFullPass ? undefined : Array.from(pendingElements);
+                pendingFullPass = false;
+                pendingElements.clear();
+                await handleMediaChange(targets);
             }, 150);
             return mutationTaskId;
         }
@@ -370,11 +1153,35 @@
             if (msg.action === 'get-volume') return getVolume();
             if (msg.action === 'get-state') return getState();
             if (msg.action === 'reset-volume') return resetVolume();
-            if (msg.action === 'fade-volume') return fadeToVolume(msg.target, { steps: msg.steps, intervalMs: msg.intervalMs });
+            if (msg.action === 'fade-volume') return fadeToVolume(msg.target, msg);
+            if (msg.action === 'get-media-remaining') return getMediaRemaining();
+            if (msg.action === 'sleep-now') return sleepNow(msg.fadeMs);
+            if (msg.action === 'set-volume-cap') return setVolumeCap(msg.cap);
+            if (msg.action === 'set-master-volume') return setMasterVolume(msg.volume);
+            if (msg.action === 'page-navigated') return handleNavigation(msg.url);
+            if (msg.action === 'get-site-rule') return getSiteRule();
             if (msg.action === 'mute') return mute();
             if (msg.action === 'unmute') return unmute();
             if (msg.action === 'toggle-mute') return muted ? unmute() : mute();
             if (msg.action === 'toggle-lock') return lockActive ? unlockVolume() : lockVolume();
+            if (msg.action === 'lock') return lockVolume();
+            if (msg.action === 'unlock') return unlockVolume();
+            if (msg.action === 'get-limiter') return getLimiter();
+            if (msg.action === 'set-limiter') return setLimiter(msg.preset);
+            if (msg.action === 'get-eq') return getEq();
+            if (msg.action === 'set-eq') return setEq(msg.gains);
+            if (msg.action === 'set-eq-preset') return setEqPreset(msg.preset);
+            if (msg.action === 'save-eq-preset') return saveEqPreset(msg.name);
+            if (msg.action === 'delete-eq-preset') return deleteEqPreset(msg.name);
+            if (msg.action === 'get-stereo') return getStereo();
+            if (msg.action === 'set-stereo') return setStereo(msg);
+            if (msg.action === 'get-normalize') return getNormalize();
+            if (msg.action === 'set-normalize') return setNormalize(msg);
+            if (msg.action === 'get-media') return getMedia();
+            if (msg.action === 'get-diagnostics') return getDiagnostics();
+            if (msg.action === 'set-element-volume') return setElementVolume(msg.id, msg.volume);
+            if (msg.action === 'set-element-muted') return setElementMuted(msg.id, msg.muted);
+            if (msg.action === 'set-element-excluded') return setElementExcluded(msg.id, msg.excluded);
             return undefined;
         }
 
@@ -384,8 +1191,33 @@
             stepVolume,
             getVolume,
             getState,
+            getLimiter,
+            setLimiter,
+            getEq,
+            setEq,
+            setEqPreset,
+            saveEqPreset,
+            deleteEqPreset,
+            getStereo,
+            setStereo,
+            getNormalize,
+            setNormalize,
+            startMetering,
+            stopMetering,
+            getLevels,
+            getMedia,
+            getDiagnostics,
+            setElementVolume,
+            setElementMuted,
+            setElementExcluded,
             resetVolume,
             fadeToVolume,
+            getMediaRemaining,
+            sleepNow,
+            setVolumeCap,
+            setMasterVolume,
+            handleNavigation,
+            getSiteRule,
             mute,
             unmute,
             isMuted,
@@ -8,20 +8,97 @@
     root.VolumeState = api;
 })(typeof globalThis !== 'undefined' ? globalThis : this, function volumeStateFactory() {
     const STORAGE_PREFIX = 'vc:origin:';
+    const SETTING_PREFIX = 'vc:';
+    const MASTER_VOLUME_KEY = 'vc:masterVolume';
+    const LAST_USED_SETTING = 'lastUsed';
+    const REMEMBER_STATE_KEY = 'vc:rememberState';
+    const DEFAULT_REMEMBER_STATE = { mute: true, lock: true };
+    // Keys that describe this machine rather than the user's settings: sync
+    // bookkeeping and the sync switch itself, the storage schema version,
+    // per-tab runtime state and the pruned-sites history. They are neither
+    // synced nor carried by a settings export.
+    const LOCAL_ONLY_KEYS = [
+        'vc:syncSettings',
+        'vc:syncClock',
+        'vc:syncStatus',
+        'vc:schemaVersion',
+        'vc:sleepTimers',
+        'vc:duckState',
+        'vc:prunedSites'
+    ];
 
     function keyForOrigin(origin) {
         return `${STORAGE_PREFIX}${origin}`;
     }
 
+    function keyForSetting(setting, origin) {
+        return `${SETTING_PREFIX}${setting}:${origin}`;
+    }
+
+    function originFromKey(key) {
+        if (typeof key !== 'string' || !key.startsWith(STORAGE_PREFIX)) return null;
+        return key.slice(STORAGE_PREFIX.length) || null;
+    }
+
+    // Settings are keyed by origin; pages without one (about:, data:) get null.
+    function originOfUrl(url) {
+        try {
+            const { origin } = new URL(url);
+            return origin && origin !== 'null' ? origin : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
     function normalizeVolume(value) {
         const parsed = Number.parseInt(value, 10);
         if (!Number.isFinite(parsed)) return 100;
         return Math.max(0, Math.min(200, parsed));
     }
 
+    // A site's saved state lives in one record under its origin key. Storage
+    // schema 1 kept a bare volume number there, which is still read correctly.
+    // Mute and lock fields are only present while they are on.
+    function normalizeSiteRecord(value) {
+        if (!value || typeof value !== 'object') return { volume: normalizeVolume(value) };
+        const record = { volume: normalizeVolume(value.volume) };
+        if (value.muted === true) {
+            record.muted = true;
+            record.preMuteVolume = typeof value.preMuteVolume === 'undefined' ? record.volume : normalizeVolume(value.preMuteVolume);
+        }
+        if (value.locked === true) record.locked = true;
+        return record;
+    }
+
+    // Which per-site states survive a reload.
+    function normalizeRememberState(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        return {
+            mute: typeof settings.mute === 'boolean' ? settings.mute : DEFAULT_REMEMBER_STATE.mute,
+            lock: typeof settings.lock === 'boolean' ? settings.lock : DEFAULT_REMEMBER_STATE.lock
+        };
+    }
+
+    // The master level only scales down: boosting stays a per-site decision.
+    function normalizeMasterVolume(value) {
+        return Math.min(100, normalizeVolume(value));
+    }
+
     return {
         STORAGE_PREFIX,
+        SETTING_PREFIX,
+        MASTER_VOLUME_KEY,
+        LAST_USED_SETTING,
+        REMEMBER_STATE_KEY,
+        DEFAULT_REMEMBER_STATE,
+        LOCAL_ONLY_KEYS,
         keyForOrigin,
-        normalizeVolume
+        keyForSetting,
+        originFromKey,
+        originOfUrl,
+        normalizeVolume,
+        normalizeSiteRecord,
+        normalizeRememberState,
+        normalizeMasterVolume
     };
 });
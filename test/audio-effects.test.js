@@ -0,0 +1,182 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AudioEffects = require('../src/audio-effects.js');
+
+function createFakeContext() {
+  return {
+    createDynamicsCompressor() {
+      return {
+        threshold: { value: -24 },
+        knee: { value: 30 },
+        ratio: { value: 12 },
+        attack: { value: 0.003 },
+        release: { value: 0.25 }
+      };
+    },
+    createBiquadFilter() {
+      return { type: 'lowpass', frequency: { value: 350 }, gain: { value: 0 }, Q: { value: 1 } };
+    }
+  };
+}
+
+test('normalizeLimiterPreset accepts known presets and falls back to off', () => {
+  assert.equal(AudioEffects.normalizeLimiterPreset('gentle'), 'gentle');
+  assert.equal(AudioEffects.normalizeLimiterPreset('brickwall'), 'brickwall');
+  assert.equal(AudioEffects.normalizeLimiterPreset('toString'), 'off');
+  assert.equal(AudioEffects.normalizeLimiterPreset(undefined), 'off');
+});
+
+test('createLimiter returns null for the off preset', () => {
+  assert.equal(AudioEffects.createLimiter(createFakeContext(), 'off'), null);
+});
+
+test('createLimiter applies every preset parameter to the compressor', () => {
+  const node = AudioEffects.createLimiter(createFakeContext(), 'gentle');
+  const preset = AudioEffects.LIMITER_PRESETS.gentle;
+
+  assert.equal(node.threshold.value, preset.threshold);
+  assert.equal(node.knee.value, preset.knee);
+  assert.equal(node.ratio.value, preset.ratio);
+  assert.equal(node.attack.value, preset.attack);
+  assert.equal(node.release.value, preset.release);
+});
+
+test('normalizeEqGains pads, clamps and rounds band gains', () => {
+  assert.deepEqual(AudioEffects.normalizeEqGains([1.26, 99, -99]), [1.3, 12, -12, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(AudioEffects.normalizeEqGains('loud'), [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+});
+
+test('every built-in EQ preset has one gain per band', () => {
+  Object.values(AudioEffects.EQ_PRESETS).forEach(preset => {
+    assert.equal(preset.gains.length, AudioEffects.EQ_FREQUENCIES.length);
+  });
+});
+
+test('resolveEqPreset finds built-in and user presets', () => {
+  const userPresets = { Night: [2, 2, 2, 2, 2, 2, 2, 2, 2, 2] };
+  assert.deepEqual(AudioEffects.resolveEqPreset('trebleCut', userPresets), AudioEffects.EQ_PRESETS.trebleCut.gains);
+  assert.deepEqual(AudioEffects.resolveEqPreset('user:Night', userPresets), userPresets.Night);
+  assert.equal(AudioEffects.resolveEqPreset('user:Missing', userPresets), null);
+  assert.equal(AudioEffects.resolveEqPreset('constructor', userPresets), null);
+});
+
+test('normalizeUserPresets drops blank names and non-array curves', () => {
+  assert.deepEqual(AudioEffects.normalizeUserPresets({ ' ': [1], Talk: [3], Bad: 'x' }), {
+    Talk: [3, 0, 0, 0, 0, 0, 0, 0, 0, 0]
+  });
+  assert.deepEqual(AudioEffects.normalizeUserPresets(null), {});
+});
+
+test('createEqualizer builds shelving edges and peaking middle bands', () => {
+  const filters = AudioEffects.createEqualizer(createFakeContext(), AudioEffects.EQ_PRESETS.bassBoost.gains);
+
+  assert.equal(filters.length, AudioEffects.EQ_FREQUENCIES.length);
+  assert.equal(filters[0].type, 'lowshelf');
+  assert.equal(filters.at(-1).type, 'highshelf');
+  assert.equal(filters[4].type, 'peaking');
+  assert.equal(filters[4].frequency.value, 500);
+  assert.equal(filters[0].gain.value, 7);
+});
+
+test('normalizeStereo clamps balance and only accepts boolean flags', () => {
+  assert.deepEqual(AudioEffects.normalizeStereo({ balance: '-250', swap: 1, mono: true }), { balance: -100, swap: false, mono: true });
+  assert.deepEqual(AudioEffects.normalizeStereo(undefined), AudioEffects.DEFAULT_STEREO);
+});
+
+test('createStereoStage returns null for neutral settings', () => {
+  assert.equal(AudioEffects.createStereoStage({}, AudioEffects.DEFAULT_STEREO), null);
+});
+
+test('normalizeLoudnessSettings clamps target and maximum boost', () => {
+  assert.deepEqual(
+    AudioEffects.normalizeLoudnessSettings({ enabled: true, targetDb: -3, maxBoostDb: 40 }),
+    { enabled: true, targetDb: -10, maxBoostDb: 12 }
+  );
+  assert.deepEqual(AudioEffects.normalizeLoudnessSettings(null), AudioEffects.DEFAULT_LOUDNESS);
+});
+
+test('measureLevels reports peak and RMS of a sample window', () => {
+  const { peak, rms } = AudioEffects.measureLevels(new Float32Array([0.5, -1, 0.5, 0]));
+  assert.equal(peak, 1);
+  assert.equal(rms, Math.sqrt(1.5 / 4));
+});
+
+test('gainToDb and dbToGain round-trip and floor silence', () => {
+  assert.equal(AudioEffects.gainToDb(1), 0);
+  assert.equal(AudioEffects.gainToDb(0), -100);
+  assert.ok(Math.abs(AudioEffects.dbToGain(AudioEffects.gainToDb(0.25)) - 0.25) < 1e-9);
+});
+
+test('nextCorrection moves at most one step per tick within the allowed range', () => {
+  const settings = { enabled: true, targetDb: -20, maxBoostDb: 3 };
+  assert.equal(AudioEffects.nextCorrection(0, -40, settings), AudioEffects.LOUDNESS_STEP_DB);
+  assert.equal(AudioEffects.nextCorrection(3, -40, settings), 3);
+  assert.equal(AudioEffects.nextCorrection(-12, 0, settings), -12);
+  assert.equal(AudioEffects.nextCorrection(1, null, settings), 1);
+});
+
+test('isAboveGate ignores near-silent windows', () => {
+  assert.equal(AudioEffects.isAboveGate(-30), true);
+  assert.equal(AudioEffects.isAboveGate(-80), false);
+});
+
+function createRecordingParam(value) {
+  const events = [];
+  return {
+    value,
+    events,
+    cancelScheduledValues(time) { events.push(['cancel', time]); },
+    setValueAtTime(target, time) { events.push(['set', target, time]); },
+    linearRampToValueAtTime(target, time) { events.push(['linear', target, time]); },
+    exponentialRampToValueAtTime(target, time) { events.push(['exponential', target, time]); },
+    setTargetAtTime(target, time, timeConstant) { events.push(['target', target, time, timeConstant]); },
+    setValueCurveAtTime(curve, time, duration) { events.push(['curve', curve.length, time, duration]); }
+  };
+}
+
+test('normalizeFadeCurve accepts known curves and falls back to linear', () => {
+  assert.equal(AudioEffects.normalizeFadeCurve('exponential'), 'exponential');
+  assert.equal(AudioEffects.normalizeFadeCurve('equalPower'), 'equalPower');
+  assert.equal(AudioEffects.normalizeFadeCurve('cubic'), 'linear');
+  assert.equal(AudioEffects.normalizeFadeCurve(undefined), 'linear');
+});
+
+test('fadeCurveValue hits both endpoints for every curve', () => {
+  AudioEffects.FADE_CURVES.forEach(curve => {
+    assert.equal(AudioEffects.fadeCurveValue(curve, 80, 20, 0), 80);
+    assert.equal(AudioEffects.fadeCurveValue(curve, 80, 20, 1), 20);
+  });
+});
+
+test('fadeCurveValue shapes the midpoint per curve', () => {
+  assert.equal(AudioEffects.fadeCurveValue('linear', 0, 100, 0.5), 50);
+  assert.equal(AudioEffects.fadeCurveValue('exponential', 1, 100, 0.5), 10);
+  assert.equal(AudioEffects.fadeCurveValue('equalPower', 0, 100, 0.5), Math.sqrt(5000));
+});
+
+test('fadeCurveValue treats silence as a floor for exponential fades', () => {
+  const value = AudioEffects.fadeCurveValue('exponential', 100, 0, 0.5);
+  assert.ok(value > 0 && value < 5);
+  assert.equal(AudioEffects.fadeCurveValue('exponential', 0, 0, 0.5), 0);
+});
+
+test('scheduleGainFade anchors the start value and schedules the matching ramp', () => {
+  const linear = createRecordingParam(1);
+  AudioEffects.scheduleGainFade(linear, 1, 0.5, 10, 2, 'linear');
+  assert.deepEqual(linear.events, [['cancel', 10], ['set', 1, 10], ['linear', 0.5, 12]]);
+
+  const equalPower = createRecordingParam(1);
+  AudioEffects.scheduleGainFade(equalPower, 1, 0, 10, 2, 'equalPower');
+  assert.deepEqual(equalPower.events.at(-1), ['curve', 64, 10, 2]);
+
+  const instant = createRecordingParam(1);
+  AudioEffects.scheduleGainFade(instant, 1, 0.3, 10, 0, 'linear');
+  assert.deepEqual(instant.events.at(-1), ['set', 0.3, 10]);
+});
+
+test('holdParam freezes the current value and clears pending automation', () => {
+  const param = createRecordingParam(0.7);
+  AudioEffects.holdParam(param, 4);
+  assert.deepEqual(param.events, [['cancel', 4], ['set', 0.7, 4]]);
+});
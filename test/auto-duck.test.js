@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const AutoDuck = require('../src/auto-duck.js');
+
+test('normalizeDuckSettings falls back to defaults and clamps values', () => {
+  assert.deepEqual(AutoDuck.normalizeDuckSettings(), { enabled: true, level: 30, fadeMs: 400 });
+  assert.deepEqual(AutoDuck.normalizeDuckSettings({ enabled: false, level: 150, fadeMs: -5 }), { enabled: false, level: 100, fadeMs: 0 });
+  assert.equal(AutoDuck.normalizeDuckSettings({ fadeMs: 60000 }).fadeMs, AutoDuck.MAX_DUCK_FADE_MS);
+});
+
+test('duckTarget keeps the configured share of the tab volume', () => {
+  assert.equal(AutoDuck.duckTarget(80, { level: 25 }), 20);
+  assert.equal(AutoDuck.duckTarget(150, { level: 30 }), 45);
+  assert.equal(AutoDuck.duckTarget(0, { level: 30 }), 0);
+});
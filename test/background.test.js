@@ -1,32 +1,118 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
+const VolumeState = require('../src/volume-state.js');
+require('../src/storage-migrations.js');
+const SettingsSync = require('../src/settings-sync.js');
+require('../src/site-pruning.js');
+require('../src/quiet-hours.js');
+require('../src/auto-duck.js');
+
 function loadBackground() {
   const modulePath = require.resolve('../src/background.js');
   delete require.cache[modulePath];
   return require('../src/background.js');
 }
 
-function withMockBrowser(run) {
+function withMockBrowser(run, { frames = [{ frameId: 0 }], respond = async () => ({}), tabs = [], local = {} } = {}) {
   const original = global.browser;
   let listener;
   const textCalls = [];
   const colorCalls = [];
+  const titleCalls = [];
+  const sendCalls = [];
+  const alarms = new Map();
+  const session = new Map();
+  let alarmListener;
+  const updatedListeners = [];
+  let historyListener;
+  let storageListener;
+  let commandListener;
+  const sync = {};
 
   global.browser = {
     runtime: { onMessage: { addListener(cb) { listener = cb; } } },
+    commands: { onCommand: { addListener(cb) { commandListener = cb; } } },
     action: {
       async setBadgeText(payload) { textCalls.push(payload); },
-      async setBadgeBackgroundColor(payload) { colorCalls.push(payload); }
+      async setBadgeBackgroundColor(payload) { colorCalls.push(payload); },
+      async setTitle(payload) { titleCalls.push(payload); }
     },
     tabs: {
       onActivated: { addListener() {} },
-      onUpdated: { addListener() {} },
-      sendMessage: async () => ({})
+      onUpdated: { addListener(cb) { updatedListeners.push(cb); } },
+      query: async (filter = {}) => tabs.filter(tab => Object.entries(filter).every(([key, value]) => tab[key] === value)),
+      sendMessage: async (tabId, message, options) => {
+        sendCalls.push({ tabId, message, options });
+        return respond(message, options);
+      }
+    },
+    webNavigation: {
+      getAllFrames: async () => frames,
+      getFrame: async ({ frameId }) => frames.find(frame => frame.frameId === frameId) || null,
+      onHistoryStateUpdated: { addListener(cb) { historyListener = cb; } }
+    },
+    storage: {
+      local: {
+        async get(key) {
+          if (key === null) return structuredClone(local);
+          const keys = Array.isArray(key) ? key : [key];
+          return Object.fromEntries(keys.map(item => [item, local[item]]));
+        },
+        async set(payload) {
+          Object.assign(local, payload);
+        },
+        async remove(key) {
+          (Array.isArray(key) ? key : [key]).forEach(item => delete local[item]);
+        }
+      },
+      sync: {
+        async get() {
+          return structuredClone(sync);
+        },
+        async set(payload) {
+          Object.assign(sync, structuredClone(payload));
+        },
+        async remove(key) {
+          (Array.isArray(key) ? key : [key]).forEach(item => delete sync[item]);
+        }
+      },
+      onChanged: { addListener(cb) { storageListener = cb; } },
+      session: {
+        async get(key) {
+          return { [key]: session.get(key) };
+        },
+        async set(payload) {
+          Object.entries(payload).forEach(([key, value]) => session.set(key, structuredClone(value)));
+        }
+      }
+    },
+    alarms: {
+      create(name, info) {
+        alarms.set(name, info);
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      },
+      onAlarm: { addListener(cb) { alarmListener = cb; } }
     }
   };
 
-  return Promise.resolve(run({ listenerRef: () => listener, textCalls, colorCalls, exports: loadBackground() }))
+  return Promise.resolve(run({
+    listenerRef: () => listener,
+    alarmListenerRef: () => alarmListener,
+    updatedListeners,
+    historyListenerRef: () => historyListener,
+    storageListenerRef: () => storageListener,
+    commandListenerRef: () => commandListener,
+    sync,
+    textCalls,
+    colorCalls,
+    titleCalls,
+    sendCalls,
+    alarms,
+    exports: loadBackground()
+  }))
     .finally(() => {
       delete require.cache[require.resolve('../src/background.js')];
       global.browser = original;
@@ -64,3 +150,569 @@ test('update-badge clears badge text when volume is undefined', async () => {
     assert.deepEqual(textCalls[0], { text: '', tabId: 9 });
   });
 });
+
+test('update-badge shows the effective volume and explains it in the tooltip', async () => {
+  await withMockBrowser(async ({ listenerRef, textCalls, colorCalls, titleCalls, exports }) => {
+    await listenerRef()({ action: 'update-badge', volume: 160, effectiveVolume: 80 }, { tab: { id: 7 } });
+
+    assert.deepEqual(textCalls[0], { text: '80', tabId: 7 });
+    assert.equal(colorCalls[0].color, exports.BADGE_COLORS.accent);
+    assert.deepEqual(titleCalls[0], { title: 'Volume Control — site 160%, effective 80% with master volume', tabId: 7 });
+  });
+});
+
+test('update-badge shows a muted site as muted and notes a lock in the tooltip', async () => {
+  await withMockBrowser(async ({ listenerRef, textCalls, colorCalls, titleCalls, exports }) => {
+    await listenerRef()({ action: 'update-badge', volume: 70, effectiveVolume: 70, muted: true, locked: true }, { tab: { id: 7 } });
+
+    assert.deepEqual(textCalls[0], { text: 'mute', tabId: 7 });
+    assert.equal(colorCalls[0].color, exports.BADGE_COLORS.muted);
+    assert.equal(titleCalls[0].title, 'Volume Control — muted (site 70%), locked');
+  });
+});
+
+test('update-badge ignores reports from embedded frames', async () => {
+  await withMockBrowser(async ({ listenerRef, textCalls }) => {
+    const result = await listenerRef()({ action: 'update-badge', volume: 50 }, { tab: { id: 7 }, frameId: 3 });
+    assert.equal(result, undefined);
+    assert.equal(textCalls.length, 0);
+  });
+});
+
+test('volume reports date the last use of sites with a saved volume', async () => {
+  const recent = Date.now() - 60 * 1000;
+  const local = {
+    'vc:origin:https://example.com': 80,
+    'vc:origin:https://recent.example': 50,
+    'vc:lastUsed:https://recent.example': recent
+  };
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    const before = Date.now();
+    await listenerRef()({ action: 'update-badge', volume: 80 }, { tab: { id: 1, url: 'https://example.com/a' }, frameId: 0 });
+    await listenerRef()({ action: 'update-badge', volume: 50 }, { tab: { id: 2, url: 'https://recent.example/' }, frameId: 0 });
+    await listenerRef()({ action: 'update-badge', volume: 100 }, { tab: { id: 3, url: 'https://unsaved.example/' }, frameId: 0 });
+
+    assert.ok(local['vc:lastUsed:https://example.com'] >= before);
+    assert.equal(local['vc:lastUsed:https://recent.example'], recent, 'recent dates are not rewritten');
+    assert.equal('vc:lastUsed:https://unsaved.example' in local, false);
+  }, { local });
+});
+
+test('route-to-tab sends commands to every frame and returns the top frame reply', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 4 }, { frameId: 9 }];
+  const respond = async (message, { frameId }) => ({ ok: true, volume: message.volume, frameId });
+
+  await withMockBrowser(async ({ listenerRef, sendCalls }) => {
+    const res = await listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'set-volume', volume: 80 } }, {});
+
+    assert.deepEqual(sendCalls.map(call => call.options.frameId), [0, 4, 9]);
+    assert.ok(sendCalls.every(call => call.tabId === 5 && call.message.volume === 80));
+    assert.deepEqual(res, { ok: true, volume: 80, frameId: 0 });
+  }, { frames, respond });
+});
+
+test('route-to-tab ignores frames without a content script', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 2 }];
+  const respond = async (_message, { frameId }) => {
+    if (frameId === 2) throw new Error('Could not establish connection');
+    return { ok: true };
+  };
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    const res = await listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'reset-volume' } }, {});
+    assert.deepEqual(res, { ok: true });
+  }, { frames, respond });
+});
+
+test('route-to-tab rejects when the top frame cannot be reached', async () => {
+  const respond = async () => {
+    throw new Error('Could not establish connection');
+  };
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    await assert.rejects(listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'get-state' } }, {}));
+  }, { respond });
+});
+
+test('route-to-tab merges media from every frame and tags each element with its frame', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 6 }];
+  const respond = async (message, { frameId }) => {
+    if (message.action === 'get-media') {
+      return { elements: [{ id: 1, tag: frameId === 0 ? 'video' : 'audio' }] };
+    }
+    return { volume: 120, mediaCount: 1, hasMedia: true };
+  };
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    const media = await listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'get-media' } }, {});
+    assert.deepEqual(media.elements, [
+      { id: 1, tag: 'video', frameId: 0 },
+      { id: 1, tag: 'audio', frameId: 6 }
+    ]);
+
+    const state = await listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'get-state' } }, {});
+    assert.equal(state.volume, 120);
+    assert.equal(state.mediaCount, 2);
+    assert.equal(state.hasMedia, true);
+  }, { frames, respond });
+});
+
+test('route-to-tab toggles on the top frame and gives subframes the state it reached', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 2 }, { frameId: 5 }];
+  const top = { isMuted: true, isLocked: false };
+  const respond = async (message, options) => {
+    if (options.frameId !== 0) return { ok: true };
+    if (message.action === 'toggle-mute') top.isMuted = !top.isMuted;
+    if (message.action === 'toggle-lock') top.isLocked = !top.isLocked;
+    return message.action === 'get-state' ? { volume: 80, ...top } : { ok: true, isMuted: top.isMuted };
+  };
+
+  await withMockBrowser(async ({ listenerRef, sendCalls }) => {
+    const res = await listenerRef()({ action: 'route-to-tab', tabId: 7, message: { action: 'toggle-mute' } }, {});
+    await listenerRef()({ action: 'route-to-tab', tabId: 7, message: { action: 'toggle-lock' } }, {});
+
+    assert.deepEqual(res, { ok: true, isMuted: false });
+    assert.deepEqual(sendCalls.filter(call => call.options.frameId !== 0).map(call => [call.options.frameId, call.message]), [
+      [2, { action: 'unmute' }],
+      [5, { action: 'unmute' }],
+      [2, { action: 'lock' }],
+      [5, { action: 'lock' }]
+    ]);
+    assert.equal(sendCalls.filter(call => call.message.action.startsWith('toggle-')).length, 2);
+  }, { frames, respond });
+});
+
+test('route-to-tab sends per-element commands only to the frame that owns the element', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 6 }];
+  const respond = async message => ({ ok: true, id: message.id, volume: message.volume });
+
+  await withMockBrowser(async ({ listenerRef, sendCalls }) => {
+    const res = await listenerRef()({
+      action: 'route-to-tab',
+      tabId: 5,
+      message: { action: 'set-element-volume', id: 1, frameId: 6, volume: 40 }
+    }, {});
+
+    assert.equal(sendCalls.length, 1);
+    assert.deepEqual(sendCalls[0].options, { frameId: 6 });
+    assert.deepEqual(sendCalls[0].message, { action: 'set-element-volume', id: 1, volume: 40 });
+    assert.deepEqual(res, { ok: true, id: 1, volume: 40, frameId: 6 });
+  }, { frames, respond });
+});
+
+test('route-to-tab merges diagnostics from every frame', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 6 }];
+  const respond = async (_message, { frameId }) => ({
+    audioContext: frameId === 0 ? 'running' : 'suspended',
+    elements: [{ id: 1, status: frameId === 0 ? 'wired' : 'pending' }]
+  });
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    const res = await listenerRef()({ action: 'route-to-tab', tabId: 5, message: { action: 'get-diagnostics' } }, {});
+    assert.equal(res.audioContext, 'running');
+    assert.deepEqual(res.elements.map(item => [item.status, item.frameId]), [['wired', 0], ['pending', 6]]);
+  }, { frames, respond });
+});
+
+async function withFixedNow(now, run) {
+  const originalNow = Date.now;
+  Date.now = () => now;
+  try {
+    await run();
+  } finally {
+    Date.now = originalNow;
+  }
+}
+
+test('formatCountdown shows minutes, then hours and minutes', async () => {
+  await withMockBrowser(async ({ exports }) => {
+    assert.equal(exports.formatCountdown(5 * 1000), '1m');
+    assert.equal(exports.formatCountdown(29 * 60000 + 1), '30m');
+    assert.equal(exports.formatCountdown(90 * 60000), '1h30');
+  });
+});
+
+test('sleep-timer schedules the fade to end after N minutes and shows a countdown', async () => {
+  await withFixedNow(1000000, () => withMockBrowser(async ({ listenerRef, alarms, textCalls }) => {
+    const res = await listenerRef()({ action: 'sleep-timer', tabId: 7, minutes: 30, fadeMs: 60000 }, {});
+
+    assert.deepEqual(res, { ok: true, tabId: 7, endsAt: 1000000 + 30 * 60000, fadeMs: 60000, endOfMedia: false });
+    assert.deepEqual(alarms.get('vc-sleep:7'), { when: 1000000 + 29 * 60000 });
+    assert.deepEqual(alarms.get('vc-sleep-tick'), { periodInMinutes: 1 });
+    assert.deepEqual(textCalls.at(-1), { text: '30m', tabId: 7 });
+
+    const status = await listenerRef()({ action: 'get-sleep-timer', tabId: 7 }, {});
+    assert.equal(status.timer.endsAt, res.endsAt);
+  }));
+});
+
+test('sleep-timer at end of media waits for the longest playing element', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 3 }];
+  const respond = async (_message, { frameId }) => (frameId === 3 ? { ok: true, remainingMs: 120000 } : { ok: false, remainingMs: null });
+
+  await withFixedNow(0, () => withMockBrowser(async ({ listenerRef, alarms }) => {
+    const res = await listenerRef()({ action: 'sleep-timer', tabId: 7, endOfMedia: true, fadeMs: 10000 }, {});
+
+    assert.equal(res.ok, true);
+    assert.equal(res.endsAt, 120000);
+    assert.deepEqual(alarms.get('vc-sleep:7'), { when: 110000 });
+  }, { frames, respond }));
+});
+
+test('sleep-timer rejects a bad duration and end-of-media without playing media', async () => {
+  const respond = async () => ({ ok: false, remainingMs: null });
+
+  await withMockBrowser(async ({ listenerRef, alarms }) => {
+    assert.deepEqual(await listenerRef()({ action: 'sleep-timer', tabId: 7, minutes: 0 }, {}), { ok: false, reason: 'invalid-duration' });
+    assert.deepEqual(await listenerRef()({ action: 'sleep-timer', tabId: 7, endOfMedia: true }, {}), { ok: false, reason: 'no-media' });
+    assert.equal(alarms.size, 0);
+  }, { respond });
+});
+
+test('the sleep alarm fades every frame out and restores the volume badge', async () => {
+  const frames = [{ frameId: 0 }, { frameId: 3 }];
+  const respond = async message => (message.action === 'get-state' ? { volume: 80 } : { ok: true });
+
+  await withMockBrowser(async ({ listenerRef, alarmListenerRef, alarms, sendCalls, textCalls }) => {
+    await listenerRef()({ action: 'sleep-timer', tabId: 7, minutes: 10, fadeMs: 20000 }, {});
+    await alarmListenerRef()({ name: 'vc-sleep:7' });
+
+    const sleeps = sendCalls.filter(call => call.message.action === 'sleep-now');
+    assert.deepEqual(sleeps.map(call => call.options.frameId), [0, 3]);
+    assert.equal(sleeps[0].message.fadeMs, 20000);
+    assert.deepEqual(textCalls.at(-1), { text: '80', tabId: 7 });
+    assert.equal(alarms.size, 0);
+
+    const status = await listenerRef()({ action: 'get-sleep-timer', tabId: 7 }, {});
+    assert.equal(status.timer, null);
+  }, { frames, respond });
+});
+
+test('cancel-sleep-timer clears the alarm and volume reports own the badge again', async () => {
+  const respond = async () => ({ volume: 55 });
+
+  await withMockBrowser(async ({ listenerRef, alarms, textCalls, sendCalls }) => {
+    await listenerRef()({ action: 'sleep-timer', tabId: 7, minutes: 10 }, {});
+    await listenerRef()({ action: 'update-badge', volume: 90 }, { tab: { id: 7 } });
+    assert.equal(textCalls.at(-1).text, '10m');
+
+    const res = await listenerRef()({ action: 'cancel-sleep-timer', tabId: 7 }, {});
+
+    assert.deepEqual(res, { ok: true, cancelled: true });
+    assert.equal(alarms.size, 0);
+    assert.equal(sendCalls.some(call => call.message.action === 'sleep-now'), false);
+    assert.deepEqual(textCalls.at(-1), { text: '55', tabId: 7 });
+
+    await listenerRef()({ action: 'update-badge', volume: 90 }, { tab: { id: 7 } });
+    assert.deepEqual(textCalls.at(-1), { text: '90', tabId: 7 });
+  }, { respond });
+});
+
+test('quiet hours push the active cap to every tab and arm the next boundary', async () => {
+  const tabs = [{ id: 3 }, { id: 8 }];
+  const local = { 'vc:quietHours': [{ start: '00:00', end: '00:00', maxVolume: 150 }] };
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+
+  await withMockBrowser(async ({ exports, alarms, sendCalls }) => {
+    const res = await exports.applyQuietHours();
+
+    assert.deepEqual(res, { ok: true, cap: 100 });
+    assert.deepEqual(sendCalls.map(call => [call.tabId, call.message]), [
+      [3, { action: 'set-volume-cap', cap: 100 }],
+      [8, { action: 'set-volume-cap', cap: 100 }]
+    ]);
+    assert.deepEqual(alarms.get('vc-quiet-hours'), { when: midnight.getTime() });
+  }, { tabs, local });
+});
+
+test('quiet hours lift the cap and drop the alarm when no rule is enabled', async () => {
+  const local = { 'vc:quietHours': [{ start: '00:00', end: '00:00', maxVolume: 30, enabled: false }] };
+
+  await withMockBrowser(async ({ listenerRef, alarmListenerRef, alarms, sendCalls }) => {
+    alarms.set('vc-quiet-hours', { when: 1 });
+    await alarmListenerRef()({ name: 'vc-quiet-hours' });
+
+    assert.deepEqual(sendCalls.map(call => call.message), [{ action: 'set-volume-cap', cap: null }]);
+    assert.equal(alarms.has('vc-quiet-hours'), false);
+    assert.deepEqual(await listenerRef()({ action: 'get-volume-cap' }, { tab: { id: 4 } }), { ok: true, cap: null });
+  }, { tabs: [{ id: 4 }], local });
+});
+
+test('a priority tab becoming audible ducks the other audible tabs and restores them after', async () => {
+  const tabs = [
+    { id: 1, url: 'https://meet.example.com/call', audible: true },
+    { id: 2, url: 'https://music.example.org/', audible: true },
+    { id: 3, url: 'https://news.example.net/', audible: false }
+  ];
+  const local = { 'vc:priority:https://meet.example.com': true, 'vc:autoDuck': { level: 25, fadeMs: 300 } };
+  const volumes = { 2: 80 };
+  const respond = async message => {
+    if (message.action === 'fade-volume') volumes[2] = message.target;
+    return message.action === 'get-state' ? { volume: volumes[2] } : { ok: true };
+  };
+
+  await withMockBrowser(async ({ exports, sendCalls }) => {
+    await exports.handleAudibleChange(tabs[0]);
+
+    const fades = () => sendCalls.filter(call => call.message.action === 'fade-volume');
+    assert.deepEqual(fades().map(call => [call.tabId, call.message]), [
+      [2, { action: 'fade-volume', target: 20, durationMs: 300, persist: false }]
+    ]);
+
+    await exports.handleAudibleChange({ ...tabs[0], audible: false });
+
+    assert.deepEqual(fades().map(call => [call.tabId, call.message.target]), [[2, 20], [2, 80]]);
+  }, { tabs, local, respond });
+});
+
+test('a tab ducked during quiet hours comes back to its uncapped site level', async () => {
+  const tabs = [
+    { id: 1, url: 'https://meet.example.com/call', audible: true },
+    { id: 2, url: 'https://music.example.org/', audible: true }
+  ];
+  const local = { 'vc:priority:https://meet.example.com': true, 'vc:autoDuck': { level: 25, fadeMs: 300 } };
+  let siteVolume = 150;
+  const respond = async message => {
+    if (message.action === 'fade-volume') siteVolume = message.target;
+    return message.action === 'get-state' ? { volume: Math.min(siteVolume, 40), siteVolume } : { ok: true };
+  };
+
+  await withMockBrowser(async ({ exports, sendCalls }) => {
+    await exports.handleAudibleChange(tabs[0]);
+    await exports.handleAudibleChange({ ...tabs[0], audible: false });
+
+    const fades = sendCalls.filter(call => call.message.action === 'fade-volume');
+    assert.deepEqual(fades.map(call => [call.tabId, call.message.target]), [[2, 10], [2, 150]]);
+  }, { tabs, local, respond });
+});
+
+test('tabs that are not flagged as priority never duck others', async () => {
+  const tabs = [
+    { id: 1, url: 'https://video.example.com/', audible: true },
+    { id: 2, url: 'https://music.example.org/', audible: true }
+  ];
+
+  await withMockBrowser(async ({ exports, sendCalls }) => {
+    await exports.handleAudibleChange(tabs[0]);
+    assert.equal(sendCalls.length, 0);
+  }, { tabs });
+});
+
+test('a ducked tab whose volume the user changed is not restored', async () => {
+  const tabs = [
+    { id: 1, url: 'https://meet.example.com/', audible: true },
+    { id: 2, url: 'https://music.example.org/', audible: true }
+  ];
+  const local = { 'vc:priority:https://meet.example.com': true };
+  let volume = 100;
+  const respond = async message => (message.action === 'get-state' ? { volume } : { ok: true });
+
+  await withMockBrowser(async ({ updatedListeners, sendCalls }) => {
+    const onAudible = updatedListeners.at(-1);
+    await onAudible(1, { audible: true }, tabs[0]);
+    volume = 55;
+    await onAudible(1, { audible: false }, tabs[0]);
+
+    const fades = sendCalls.filter(call => call.message.action === 'fade-volume');
+    assert.deepEqual(fades.map(call => call.message.target), [30]);
+  }, { tabs, local, respond });
+});
+
+test('set-master-volume saves the level and pushes it to every tab', async () => {
+  const tabs = [{ id: 3 }, { id: 8 }];
+  const local = {};
+
+  await withMockBrowser(async ({ listenerRef, sendCalls }) => {
+    const res = await listenerRef()({ action: 'set-master-volume', volume: 140 }, {});
+
+    assert.deepEqual(res, { ok: true, masterVolume: 100 });
+    assert.equal(local['vc:masterVolume'], 100);
+    assert.deepEqual(sendCalls.map(call => [call.tabId, call.message]), [
+      [3, { action: 'set-master-volume', volume: 100 }],
+      [8, { action: 'set-master-volume', volume: 100 }]
+    ]);
+  }, { tabs, local });
+});
+
+test('get-top-origin answers embedded frames from the tab URL, then the top frame', async () => {
+  const frames = [{ frameId: 0, url: 'https://news.example.com/article' }, { frameId: 3 }];
+
+  await withMockBrowser(async ({ listenerRef }) => {
+    const ask = sender => listenerRef()({ action: 'get-top-origin' }, sender);
+
+    assert.deepEqual(await ask({ tab: { id: 4, url: 'https://blog.example.org/post' }, frameId: 3 }), { origin: 'https://blog.example.org' });
+    assert.deepEqual(await ask({ tab: { id: 4 }, frameId: 3 }), { origin: 'https://news.example.com' });
+    assert.deepEqual(await ask({}), { origin: null });
+  }, { frames });
+});
+
+test('history API navigations tell the frame to re-check its site rules', async () => {
+  await withMockBrowser(async ({ historyListenerRef, sendCalls }) => {
+    historyListenerRef()({ tabId: 4, frameId: 2, url: 'https://www.youtube.com/shorts/abc' });
+
+    assert.deepEqual(sendCalls, [{
+      tabId: 4,
+      message: { action: 'page-navigated', url: 'https://www.youtube.com/shorts/abc' },
+      options: { frameId: 2 }
+    }]);
+  });
+});
+
+test('with sync on, local edits are stamped and a batched push is scheduled', async () => {
+  const local = { 'vc:syncSettings': { enabled: true }, 'vc:origin:https://example.com': { volume: 140 } };
+
+  await withMockBrowser(async ({ storageListenerRef, listenerRef, alarms, sync }) => {
+    await storageListenerRef()({ 'vc:origin:https://example.com': { newValue: { volume: 140 } } }, 'local');
+    await listenerRef()({ action: 'sync-now' }, {});
+
+    assert.ok(local['vc:syncClock']['vc:origin:https://example.com'].t > 0);
+    assert.ok(alarms.has('vc-sync'));
+    assert.deepEqual(sync['vc:sync:index'], { chunks: 1 });
+    assert.deepEqual(sync['vc:sync:chunk:0'].s['https://example.com'].slice(1), [140]);
+    assert.equal(local['vc:syncStatus'].error, null);
+  }, { local });
+});
+
+test('with sync off nothing is stamped or pushed', async () => {
+  const local = { 'vc:origin:https://example.com': { volume: 140 } };
+
+  await withMockBrowser(async ({ storageListenerRef, listenerRef, alarms, sync, exports }) => {
+    await storageListenerRef()({ 'vc:origin:https://example.com': { newValue: { volume: 140 } } }, 'local');
+    const result = await exports.runSync();
+
+    assert.deepEqual(result, { ok: false, enabled: false });
+    assert.equal('vc:syncClock' in local, false);
+    assert.equal(alarms.has('vc-sync'), false);
+    assert.deepEqual(sync, {});
+  }, { local });
+});
+
+test('saving a site over the limit prunes the least recently used one into the history', async () => {
+  const local = { 'vc:sitePruning': { limit: 10 } };
+  for (let i = 0; i < 10; i += 1) {
+    local[`vc:origin:https://site-${i}.example`] = { volume: 60 };
+    local[`vc:lastUsed:https://site-${i}.example`] = 1000 + i;
+  }
+  local['vc:origin:https://new.example'] = { volume: 120 };
+
+  await withMockBrowser(async ({ exports }) => {
+    const result = await exports.pruneSites(['https://new.example']);
+
+    assert.deepEqual(result, { forgotten: [], pruned: ['https://site-0.example'] });
+    assert.equal('vc:origin:https://site-0.example' in local, false);
+    assert.equal('vc:lastUsed:https://site-0.example' in local, false);
+    assert.ok(local['vc:lastUsed:https://new.example'] > 1010, 'new site counts as used now');
+    assert.deepEqual(local['vc:prunedSites'].map(entry => [entry.origin, entry.record, entry.lastUsed]), [
+      ['https://site-0.example', { volume: 60 }, 1000]
+    ]);
+  }, { local });
+});
+
+test('pruning removes per-site settings and stays on this device when sync is on', async () => {
+  const local = { 'vc:sitePruning': { limit: 10 }, 'vc:syncSettings': { enabled: true } };
+  for (let i = 0; i < 10; i += 1) {
+    local[`vc:origin:https://site-${i}.example`] = { volume: 60 };
+    local[`vc:lastUsed:https://site-${i}.example`] = 1000 + i;
+  }
+  local['vc:eq:https://site-0.example'] = { preset: 'voice' };
+
+  await withMockBrowser(async ({ exports, storageListenerRef, listenerRef, sync }) => {
+    await exports.runSync();
+    local['vc:origin:https://new.example'] = { volume: 120 };
+    await exports.pruneSites(['https://new.example']);
+
+    assert.equal('vc:eq:https://site-0.example' in local, false);
+    assert.deepEqual(local['vc:prunedSites'][0].settings, { 'vc:eq:https://site-0.example': { preset: 'voice' } });
+    assert.deepEqual(local['vc:syncClock']['vc:origin:https://site-0.example'].pruned, true);
+
+    await storageListenerRef()({
+      'vc:origin:https://site-0.example': { oldValue: { volume: 60 } },
+      'vc:eq:https://site-0.example': { oldValue: { preset: 'voice' } },
+      'vc:origin:https://new.example': { newValue: { volume: 120 } }
+    }, 'local');
+    await listenerRef()({ action: 'sync-now' }, {});
+
+    const remote = SettingsSync.decodeItems(sync, VolumeState);
+    assert.deepEqual(remote['vc:origin:https://site-0.example'].value, { volume: 60 });
+    assert.deepEqual(remote['vc:eq:https://site-0.example'].value, { preset: 'voice' });
+    assert.deepEqual(remote['vc:origin:https://new.example'].value, { volume: 120 });
+    assert.equal('vc:origin:https://site-0.example' in local, false, 'not pulled back');
+  }, { local });
+});
+
+test('sites set back to 100% are forgotten without filling the pruned history', async () => {
+  const local = {
+    'vc:sitePruning': { forgetDefault: true },
+    'vc:origin:https://plain.example': { volume: 100 },
+    'vc:origin:https://muted.example': { volume: 100, muted: true, preMuteVolume: 100 }
+  };
+
+  await withMockBrowser(async ({ exports }) => {
+    const result = await exports.pruneSites();
+
+    assert.deepEqual(result, { forgotten: ['https://plain.example'], pruned: [] });
+    assert.deepEqual(Object.keys(local).filter(key => key.startsWith('vc:origin:')), ['vc:origin:https://muted.example']);
+    assert.equal('vc:prunedSites' in local, false);
+  }, { local });
+});
+
+test('keyboard commands are forwarded to every frame of the active tab', async () => {
+  const tabs = [{ id: 4, active: true, currentWindow: true }, { id: 5, active: false, currentWindow: true }];
+  const frames = [{ frameId: 0 }, { frameId: 3 }];
+
+  const respond = async message => (message.action === 'get-state' ? { volume: 40, siteVolume: 70, isMuted: true } : { ok: true });
+
+  await withMockBrowser(async ({ exports, sendCalls, commandListenerRef }) => {
+    assert.equal(typeof commandListenerRef(), 'function');
+    await exports.handleCommand('volume-down');
+    await exports.handleCommand('toggle-mute');
+    await exports.handleCommand('volume-preset-150');
+
+    assert.deepEqual(sendCalls.map(call => [call.tabId, call.options.frameId, call.message]), [
+      [4, 0, { action: 'step-volume', delta: -10 }],
+      [4, 0, { action: 'get-state' }],
+      [4, 3, { action: 'set-volume', volume: 70 }],
+      [4, 0, { action: 'toggle-mute' }],
+      [4, 0, { action: 'get-state' }],
+      [4, 3, { action: 'mute' }],
+      [4, 0, { action: 'set-volume', volume: 150 }],
+      [4, 3, { action: 'set-volume', volume: 150 }]
+    ]);
+  }, { tabs, frames, respond });
+});
+
+test('master volume commands step the saved level and push it to every tab', async () => {
+  const tabs = [{ id: 4, active: true, currentWindow: true }, { id: 5, active: false, currentWindow: true }];
+  const local = { 'vc:masterVolume': 95 };
+
+  await withMockBrowser(async ({ exports, sendCalls }) => {
+    assert.deepEqual(await exports.handleCommand('master-volume-up'), { ok: true, masterVolume: 100 });
+    await Promise.all([exports.handleCommand('master-volume-down'), exports.handleCommand('master-volume-down')]);
+
+    assert.equal(local['vc:masterVolume'], 80);
+    assert.deepEqual(sendCalls.map(call => [call.tabId, call.message]), [
+      [4, { action: 'set-master-volume', volume: 100 }],
+      [5, { action: 'set-master-volume', volume: 100 }],
+      [4, { action: 'set-master-volume', volume: 90 }],
+      [5, { action: 'set-master-volume', volume: 90 }],
+      [4, { action: 'set-master-volume', volume: 80 }],
+      [5, { action: 'set-master-volume', volume: 80 }]
+    ]);
+  }, { tabs, local });
+});
+
+test('a command on a page without the content script marks the badge instead of failing', async () => {
+  const tabs = [{ id: 4, active: true, currentWindow: true }];
+  const respond = async () => { throw new Error('Could not establish connection. Receiving end does not exist.'); };
+
+  await withMockBrowser(async ({ exports, textCalls, titleCalls }) => {
+    const result = await exports.handleCommand('volume-up');
+
+    assert.deepEqual(result, { ok: false, unreachable: true });
+    assert.deepEqual(textCalls, [{ text: '—', tabId: 4 }]);
+    assert.match(titleCalls[0].title, /not available/);
+    assert.deepEqual(await exports.handleCommand('unknown-command'), { ok: false });
+  }, { tabs, respond });
+});
@@ -1,28 +1,41 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
 
-test('content script uses webkitAudioContext fallback when AudioContext is unavailable', async () => {
-  const modulePath = require.resolve('../src/content-script.js');
-  const originals = {
-    window: global.window,
-    AudioContext: global.AudioContext,
-    browser: global.browser,
-    document: global.document,
-    location: global.location,
-    MutationObserver: global.MutationObserver,
-    AbortController: global.AbortController,
-    VolumeController: global.VolumeController,
-    VolumeState: global.VolumeState
-  };
+const MediaDiscovery = require('../src/media-discovery.js');
+const SiteRules = require('../src/site-rules.js');
+const Hotkeys = require('../src/hotkeys.js');
 
-  let capturedDeps = null;
-  let messageListener = null;
+const GLOBAL_NAMES = [
+  'window',
+  'AudioContext',
+  'browser',
+  'document',
+  'location',
+  'MutationObserver',
+  'AbortController',
+  'VolumeController',
+  'VolumeState',
+  'AudioEffects',
+  'MediaDiscovery',
+  'SiteRules',
+  'Hotkeys',
+  'setInterval',
+  'clearInterval'
+];
 
-  function FakeWebkitAudioContext() {
-    this.kind = 'webkit';
-  }
+async function withContentScript({ window = { AudioContext: function FakeAudioContext() {} }, controller = {} } = {}, run) {
+  const modulePath = require.resolve('../src/content-script.js');
+  const originals = Object.fromEntries(GLOBAL_NAMES.map(name => [name, global[name]]));
 
-  global.window = { webkitAudioContext: FakeWebkitAudioContext };
+  const captured = {
+    deps: null,
+    messageListener: null,
+    connectListener: null,
+    mutationCallback: null,
+    documentListeners: {}
+  };
+
+  global.window = window;
   global.AudioContext = undefined;
   global.browser = {
     storage: {
@@ -34,7 +47,12 @@ test('content script uses webkitAudioContext fallback when AudioContext is unava
     runtime: {
       onMessage: {
         addListener(listener) {
-          messageListener = listener;
+          captured.messageListener = listener;
+        }
+      },
+      onConnect: {
+        addListener(listener) {
+          captured.connectListener = listener;
         }
       }
     }
@@ -43,13 +61,16 @@ test('content script uses webkitAudioContext fallback when AudioContext is unava
     querySelectorAll() {
       return [];
     },
-    addEventListener() {},
+    addEventListener(name, listener) {
+      (captured.documentListeners[name] = captured.documentListeners[name] || []).push(listener);
+    },
     documentElement: {}
   };
-  global.location = { origin: 'https://example.com' };
+  global.location = { origin: 'https://example.com', hostname: 'example.com' };
   global.MutationObserver = class {
     constructor(callback) {
       this.callback = callback;
+      captured.mutationCallback = callback;
     }
     observe() {}
   };
@@ -60,14 +81,19 @@ test('content script uses webkitAudioContext fallback when AudioContext is unava
     abort() {}
   };
   global.VolumeState = {};
+  global.AudioEffects = {};
+  global.MediaDiscovery = MediaDiscovery;
+  global.SiteRules = SiteRules;
+  global.Hotkeys = Hotkeys;
   global.VolumeController = {
     createVolumeController(deps) {
-      capturedDeps = deps;
+      captured.deps = deps;
       return {
         init: async () => {},
         handleMessage: async () => undefined,
         resumeIfSuspended: async () => false,
-        notifyMediaMutation() {}
+        notifyMediaMutation() {},
+        ...controller
       };
     }
   };
@@ -76,20 +102,242 @@ test('content script uses webkitAudioContext fallback when AudioContext is unava
 
   try {
     require('../src/content-script.js');
-
-    assert.equal(typeof messageListener, 'function');
-    const audioContext = capturedDeps.createAudioContext();
-    assert.equal(audioContext.kind, 'webkit');
+    await run(captured);
   } finally {
     delete require.cache[modulePath];
-    global.window = originals.window;
-    global.AudioContext = originals.AudioContext;
-    global.browser = originals.browser;
-    global.document = originals.document;
-    global.location = originals.location;
-    global.MutationObserver = originals.MutationObserver;
-    global.AbortController = originals.AbortController;
-    global.VolumeController = originals.VolumeController;
-    global.VolumeState = originals.VolumeState;
+    Object.assign(global, originals);
   }
+}
+
+test('content script uses webkitAudioContext fallback when AudioContext is unavailable', async () => {
+  function FakeWebkitAudioContext() {
+    this.kind = 'webkit';
+  }
+
+  await withContentScript({ window: { webkitAudioContext: FakeWebkitAudioContext } }, async ({ deps, messageListener }) => {
+    assert.equal(typeof messageListener, 'function');
+    const audioContext = deps.createAudioContext();
+    assert.equal(audioContext.kind, 'webkit');
+  });
+});
+
+test('meter port streams levels until the popup disconnects', async () => {
+  const calls = [];
+  const intervals = new Map();
+  let nextId = 1;
+
+  await withContentScript({
+    controller: {
+      startMetering() { calls.push('start'); },
+      stopMetering() { calls.push('stop'); },
+      getLevels() { return { active: true, peak: 0.5, rms: 0.25, clipped: false }; }
+    }
+  }, async ({ connectListener }) => {
+    global.setInterval = (callback, delay) => {
+      const id = nextId;
+      nextId += 1;
+      intervals.set(id, { callback, delay });
+      return id;
+    };
+    global.clearInterval = id => intervals.delete(id);
+
+    const posted = [];
+    let disconnectListener = null;
+    connectListener({
+      name: 'vc-meter',
+      postMessage(message) { posted.push(message); },
+      onDisconnect: { addListener(listener) { disconnectListener = listener; } }
+    });
+
+    const [timer] = intervals.values();
+    timer.callback();
+    timer.callback();
+
+    assert.deepEqual(calls, ['start']);
+    assert.equal(posted.length, 2);
+    assert.equal(posted[0].peak, 0.5);
+
+    disconnectListener();
+
+    assert.deepEqual(calls, ['start', 'stop']);
+    assert.equal(intervals.size, 0);
+  });
+});
+
+test('ports with other names are ignored', async () => {
+  const calls = [];
+
+  await withContentScript({
+    controller: { startMetering() { calls.push('start'); } }
+  }, async ({ connectListener }) => {
+    connectListener({ name: 'something-else', onDisconnect: { addListener() {} } });
+    assert.deepEqual(calls, []);
+  });
+});
+
+test('getMediaElements finds media in shadow roots and observes each new root', async () => {
+  const observed = [];
+  const shadowVideo = { tagName: 'VIDEO' };
+  const shadow = { querySelectorAll: () => [shadowVideo] };
+  const host = { tagName: 'X-PLAYER', shadowRoot: shadow };
+
+  await withContentScript({}, async ({ deps }) => {
+    global.document.querySelectorAll = selector => (selector === '*' ? [host] : []);
+    global.MutationObserver.prototype.observe = root => observed.push(root);
+
+    assert.deepEqual(deps.getMediaElements(), [shadowVideo]);
+    assert.deepEqual(deps.getMediaElements(), [shadowVideo]);
+    assert.deepEqual(observed, [shadow]);
+  });
+});
+
+test('same-origin child frames defer to the parent instance', async () => {
+  const window = { AudioContext: function FakeAudioContext() {}, top: {}, frameElement: {} };
+
+  await withContentScript({ window }, async ({ deps, messageListener }) => {
+    assert.equal(deps, null);
+    assert.equal(messageListener, null);
+  });
+});
+
+test('embedded frames resolve settings to the top origin unless inheritance is off', async () => {
+  await withContentScript({}, async ({ deps }) => {
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://example.com');
+
+    global.location = {
+      origin: 'https://player.example.net',
+      ancestorOrigins: ['https://blog.example.org', 'https://news.example.com']
+    };
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://news.example.com');
+
+    global.browser.storage.local.get = async () => ({ 'vc:inheritTopVolume': false });
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://player.example.net');
+  });
+});
+
+test('embedded frames without ancestorOrigins ask the background for the top origin', async () => {
+  await withContentScript({}, async ({ deps }) => {
+    const sent = [];
+    global.browser.runtime.sendMessage = async message => {
+      sent.push(message);
+      return { origin: 'https://news.example.com' };
+    };
+
+    global.location = { origin: 'https://player.example.net' };
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://news.example.com');
+    assert.deepEqual(sent, [{ action: 'get-top-origin' }]);
+
+    global.location = { origin: 'https://player.example.net', ancestorOrigins: ['https://blog.example.org'] };
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://blog.example.org');
+
+    global.window.top = global.window;
+    assert.equal(await deps.resolveSettingsOrigin(), 'https://player.example.net');
+    assert.equal(sent.length, 1);
+  });
+});
+
+test('non-media DOM churn never reaches the controller', async () => {
+  const notified = [];
+  const text = { nodeType: 3 };
+  const createDiv = () => ({ tagName: 'DIV', querySelectorAll: () => [] });
+
+  await withContentScript({
+    controller: { notifyMediaMutation(elements) { notified.push(elements); } }
+  }, async ({ mutationCallback }) => {
+    for (let batch = 0; batch < 1000; batch += 1) {
+      mutationCallback([
+        { addedNodes: [createDiv(), text], removedNodes: [createDiv()] },
+        { addedNodes: [], removedNodes: [text] }
+      ]);
+    }
+    assert.equal(notified.length, 0);
+
+    const video = { tagName: 'VIDEO', querySelectorAll: () => [] };
+    const card = { tagName: 'ARTICLE', querySelectorAll: selector => (selector === 'audio, video' ? [video] : []) };
+    mutationCallback([{ addedNodes: [createDiv(), card], removedNodes: [] }]);
+
+    assert.deepEqual(notified, [[video]]);
+  });
+});
+
+test('the quiet-hours cap is fetched from the background on start', async () => {
+  await withContentScript({}, async ({ deps }) => {
+    const sent = [];
+    global.browser.runtime.sendMessage = async message => {
+      sent.push(message);
+      return { ok: true, cap: 40 };
+    };
+    assert.equal(await deps.resolveVolumeCap(), 40);
+    assert.deepEqual(sent, [{ action: 'get-volume-cap' }]);
+
+    global.browser.runtime.sendMessage = async () => { throw new Error('no background'); };
+    assert.equal(await deps.resolveVolumeCap(), null);
+  });
+});
+
+test('site rules match against the full page URL', async () => {
+  await withContentScript({}, async ({ deps }) => {
+    global.location = { origin: 'https://www.youtube.com', href: 'https://www.youtube.com/shorts/abc' };
+
+    assert.equal(deps.siteRules, SiteRules);
+    assert.equal(deps.getPageUrl(), 'https://www.youtube.com/shorts/abc');
+  });
+});
+
+function keydown(code, init = {}) {
+  const event = { code, altKey: false, ctrlKey: false, shiftKey: false, metaKey: false, repeat: false, target: { tagName: 'DIV' }, ...init };
+  event.defaultPrevented = false;
+  event.preventDefault = () => { event.defaultPrevented = true; };
+  event.stopPropagation = () => {};
+  return event;
+}
+
+async function pressKey(documentListeners, event) {
+  documentListeners.keydown.forEach(listener => listener(event));
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return event;
+}
+
+test('in-page hotkeys step, mute and reset the controller outside text fields', async () => {
+  const calls = [];
+  let muted = false;
+
+  await withContentScript({
+    controller: {
+      async stepVolume(delta) { calls.push(['step', delta]); },
+      isMuted() { return muted; },
+      async mute() { muted = true; calls.push(['mute']); },
+      async unmute() { muted = false; calls.push(['unmute']); },
+      async resetVolume() { calls.push(['reset']); }
+    }
+  }, async ({ documentListeners }) => {
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const up = await pressKey(documentListeners, keydown('ArrowUp', { altKey: true }));
+    await pressKey(documentListeners, keydown('ArrowDown', { altKey: true, shiftKey: true }));
+    await pressKey(documentListeners, keydown('KeyM', { altKey: true }));
+    await pressKey(documentListeners, keydown('KeyM', { altKey: true, repeat: true }));
+    await pressKey(documentListeners, keydown('KeyM', { altKey: true }));
+    await pressKey(documentListeners, keydown('Digit0', { altKey: true }));
+    const typed = await pressKey(documentListeners, keydown('ArrowUp', { altKey: true, target: { tagName: 'INPUT', type: 'search' } }));
+    const plain = await pressKey(documentListeners, keydown('KeyM'));
+
+    assert.deepEqual(calls, [['step', 5], ['step', -1], ['mute'], ['unmute'], ['reset']]);
+    assert.equal(up.defaultPrevented, true);
+    assert.equal(typed.defaultPrevented, false);
+    assert.equal(plain.defaultPrevented, false);
+  });
+});
+
+test('in-page hotkeys stay off on sites listed as disabled', async () => {
+  const calls = [];
+
+  await withContentScript({
+    controller: { async stepVolume(delta) { calls.push(delta); } }
+  }, async ({ documentListeners }) => {
+    global.browser.storage.local.get = async () => ({ 'vc:hotkeys': { disabledSites: ['example.com'] } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await pressKey(documentListeners, keydown('ArrowUp', { altKey: true }));
+    assert.deepEqual(calls, []);
+  });
 });
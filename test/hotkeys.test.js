@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Hotkeys = require('../src/hotkeys.js');
+
+function key(code, modifiers = {}) {
+  return { code, ctrlKey: false, altKey: false, shiftKey: false, metaKey: false, ...modifiers };
+}
+
+test('comboFromEvent uses the physical key in a fixed modifier order', () => {
+  assert.equal(Hotkeys.comboFromEvent(key('KeyM', { altKey: true, ctrlKey: true })), 'Ctrl+Alt+M');
+  assert.equal(Hotkeys.comboFromEvent(key('Digit0', { altKey: true })), 'Alt+0');
+  assert.equal(Hotkeys.comboFromEvent(key('ArrowUp', { altKey: true, shiftKey: true })), 'Alt+Shift+ArrowUp');
+  assert.equal(Hotkeys.comboFromEvent(key('AltLeft', { altKey: true })), null);
+});
+
+test('normalizeCombo requires Ctrl, Alt or Meta and canonicalises the rest', () => {
+  assert.equal(Hotkeys.normalizeCombo('shift + alt + m'), 'Alt+Shift+M');
+  assert.equal(Hotkeys.normalizeCombo('Meta+ArrowDown'), 'Meta+ArrowDown');
+  assert.equal(Hotkeys.normalizeCombo('M'), null);
+  assert.equal(Hotkeys.normalizeCombo('Shift+M'), null);
+  assert.equal(Hotkeys.normalizeCombo('Hyper+M'), null);
+  assert.equal(Hotkeys.normalizeCombo('Alt+Tab'), null);
+});
+
+test('normalizeHotkeys fills defaults, keeps cleared bindings and reduces sites to hosts', () => {
+  assert.deepEqual(Hotkeys.normalizeHotkeys(), Hotkeys.DEFAULT_HOTKEYS);
+
+  const settings = Hotkeys.normalizeHotkeys({
+    step: 80,
+    fineStep: 'x',
+    bindings: { volumeUp: 'ctrl+arrowup', toggleMute: '', resetVolume: 'R' },
+    disabledSites: ['https://www.YouTube.com/watch?v=1', 'youtube.com', 'not a host', 'www.youtube.com']
+  });
+
+  assert.equal(settings.step, Hotkeys.MAX_STEP);
+  assert.equal(settings.fineStep, 1);
+  assert.deepEqual(settings.bindings, {
+    volumeUp: 'Ctrl+ArrowUp',
+    volumeDown: 'Alt+ArrowDown',
+    toggleMute: '',
+    resetVolume: 'Alt+0'
+  });
+  assert.deepEqual(settings.disabledSites, ['www.youtube.com', 'youtube.com']);
+});
+
+test('matchHotkey steps by the fine step when Shift is added to a volume binding', () => {
+  const settings = Hotkeys.normalizeHotkeys({ step: 10, fineStep: 2 });
+
+  assert.deepEqual(Hotkeys.matchHotkey(settings, key('ArrowUp', { altKey: true })), { action: 'volumeUp', delta: 10 });
+  assert.deepEqual(Hotkeys.matchHotkey(settings, key('ArrowDown', { altKey: true, shiftKey: true })), { action: 'volumeDown', delta: -2 });
+  assert.deepEqual(Hotkeys.matchHotkey(settings, key('KeyM', { altKey: true })), { action: 'toggleMute', delta: undefined });
+  assert.equal(Hotkeys.matchHotkey(settings, key('KeyM', { altKey: true, shiftKey: true })), null);
+  assert.equal(Hotkeys.matchHotkey(settings, key('ArrowUp')), null);
+});
+
+test('text fields and editable content never trigger hotkeys', () => {
+  const editable = target => Hotkeys.isEditableTarget({ target });
+
+  assert.equal(editable({ tagName: 'INPUT', type: 'text' }), true);
+  assert.equal(editable({ tagName: 'INPUT' }), true);
+  assert.equal(editable({ tagName: 'input', type: 'range' }), true);
+  assert.equal(editable({ tagName: 'TEXTAREA' }), true);
+  assert.equal(editable({ tagName: 'DIV', isContentEditable: true }), true);
+  assert.equal(editable({ tagName: 'INPUT', type: 'checkbox' }), false);
+  assert.equal(editable({ tagName: 'VIDEO' }), false);
+  assert.equal(Hotkeys.isEditableTarget({ target: { tagName: 'CHAT-BOX' }, composedPath: () => [{ tagName: 'TEXTAREA' }] }), true);
+});
+
+test('a disabled site covers its subdomains', () => {
+  const settings = Hotkeys.normalizeHotkeys({ disabledSites: ['youtube.com'] });
+
+  assert.equal(Hotkeys.isSiteDisabled(settings, 'm.youtube.com'), true);
+  assert.equal(Hotkeys.isSiteDisabled(settings, 'notyoutube.com'), false);
+});
+
+test('findCommandClash catches browser shortcuts, including the fine step of volume bindings', () => {
+  const commands = [
+    { name: 'volume-up', description: 'Raise', shortcut: 'Alt+Shift+Up' },
+    { name: 'toggle-mute', description: 'Mute', shortcut: 'Command+Shift+M' },
+    { name: 'volume-preset-50', description: 'Preset', shortcut: '' }
+  ];
+
+  assert.equal(Hotkeys.comboFromShortcut('Alt+Shift+Up'), 'Alt+Shift+ArrowUp');
+  assert.equal(Hotkeys.comboFromShortcut('MacCtrl+Comma'), 'Ctrl+Comma');
+  assert.equal(Hotkeys.comboFromShortcut(''), null);
+
+  assert.equal(Hotkeys.findCommandClash('volumeUp', 'Alt+ArrowUp', commands).name, 'volume-up');
+  assert.equal(Hotkeys.findCommandClash('resetVolume', 'Alt+Shift+ArrowUp', commands).name, 'volume-up');
+  assert.equal(Hotkeys.findCommandClash('resetVolume', 'Alt+ArrowUp', commands), null);
+  assert.equal(Hotkeys.findCommandClash('toggleMute', 'Shift+Meta+M', commands).name, 'toggle-mute');
+  assert.equal(Hotkeys.findCommandClash('volumeUp', '', commands), null);
+});
+
+test('the default bindings and their fine step leave the manifest shortcuts free', () => {
+  const manifest = require('../manifest.json');
+  const commands = Object.entries(manifest.commands)
+    .map(([name, command]) => ({ name, shortcut: command.suggested_key && command.suggested_key.default }));
+
+  Hotkeys.HOTKEY_ACTIONS.forEach(action => {
+    assert.equal(Hotkeys.findCommandClash(action, Hotkeys.DEFAULT_HOTKEYS.bindings[action], commands), null, action);
+  });
+});
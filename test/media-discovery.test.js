@@ -0,0 +1,214 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MediaDiscovery = require('../src/media-discovery.js');
+
+function matchesSelector(el, selector) {
+  return selector === '*' || selector.split(',').some(part => part.trim() === el.tagName.toLowerCase());
+}
+
+function createRoot(name, elements = []) {
+  const root = {
+    name,
+    queries: [],
+    querySelectorAll(selector) {
+      root.queries.push(selector);
+      return elements.filter(el => matchesSelector(el, selector));
+    }
+  };
+  return root;
+}
+
+function createElement(tagName, props = {}) {
+  return { tagName, ...props };
+}
+
+// An added node whose subtree holds `descendants`, answering selectors like the DOM.
+function createSubtree(tagName, descendants = [], props = {}) {
+  return { ...createRoot(tagName, descendants), tagName, ...props };
+}
+
+test('isMediaElement matches audio and video regardless of case', () => {
+  assert.equal(MediaDiscovery.isMediaElement(createElement('VIDEO')), true);
+  assert.equal(MediaDiscovery.isMediaElement(createElement('audio')), true);
+  assert.equal(MediaDiscovery.isMediaElement(createElement('DIV')), false);
+  assert.equal(MediaDiscovery.isMediaElement({}), false);
+  assert.equal(MediaDiscovery.isMediaElement(null), false);
+});
+
+test('collectMediaElements returns media in document order', () => {
+  const video = createElement('VIDEO');
+  const audio = createElement('AUDIO');
+  const doc = createRoot('doc', [video, createElement('DIV'), audio]);
+
+  assert.deepEqual(MediaDiscovery.collectMediaElements(doc), [video, audio]);
+});
+
+test('collectMediaElements descends into open shadow roots, including nested ones', () => {
+  const inner = createElement('AUDIO');
+  const innerShadow = createRoot('inner-shadow', [inner]);
+  const shadowVideo = createElement('VIDEO');
+  const shadow = createRoot('shadow', [shadowVideo, createElement('X-INNER', { shadowRoot: innerShadow })]);
+  const host = createElement('X-PLAYER', { shadowRoot: shadow });
+  const doc = createRoot('doc', [host]);
+
+  assert.deepEqual(MediaDiscovery.collectMediaElements(doc), [shadowVideo, inner]);
+});
+
+test('collectMediaElements descends into same-origin frames', () => {
+  const frameVideo = createElement('VIDEO');
+  const frame = createElement('IFRAME', { contentDocument: createRoot('frame-doc', [frameVideo]) });
+  const doc = createRoot('doc', [frame]);
+
+  assert.deepEqual(MediaDiscovery.collectMediaElements(doc), [frameVideo]);
+});
+
+test('collectMediaElements skips cross-origin frames without throwing', () => {
+  const blocked = createElement('IFRAME', { contentDocument: null });
+  const throwing = createElement('IFRAME');
+  Object.defineProperty(throwing, 'contentDocument', {
+    get() {
+      throw new Error('SecurityError');
+    }
+  });
+  const video = createElement('VIDEO');
+  const doc = createRoot('doc', [blocked, throwing, video]);
+
+  assert.deepEqual(MediaDiscovery.collectMediaElements(doc), [video]);
+});
+
+test('collectMediaElements reports every root and frame to the hooks once', () => {
+  const shadow = createRoot('shadow', []);
+  const frameDoc = createRoot('frame-doc', []);
+  const host = createElement('X-PLAYER', { shadowRoot: shadow });
+  const frame = createElement('IFRAME', { contentDocument: frameDoc });
+  const doc = createRoot('doc', [host, frame]);
+  const roots = [];
+  const frames = [];
+
+  MediaDiscovery.collectMediaElements(doc, {
+    onRoot(root) { roots.push(root.name); },
+    onFrame(el) { frames.push(el); }
+  });
+
+  assert.deepEqual(roots, ['doc', 'shadow', 'frame-doc']);
+  assert.deepEqual(frames, [frame]);
+});
+
+test('collectAddedMedia finds added media, media and frames inside added subtrees and shadow roots', () => {
+  const direct = createSubtree('AUDIO');
+  const nested = createElement('VIDEO');
+  const shadowVideo = createElement('VIDEO');
+  const shadow = createRoot('shadow', [shadowVideo]);
+  const host = createSubtree('X-PLAYER', [], { shadowRoot: shadow });
+  const frameVideo = createElement('VIDEO');
+  const frame = createElement('IFRAME', { contentDocument: createRoot('frame-doc', [frameVideo]) });
+  const wrapper = createSubtree('DIV', [createElement('P'), nested, frame]);
+  const roots = [];
+  const frames = [];
+
+  const media = MediaDiscovery.collectAddedMedia([
+    { addedNodes: [direct, { nodeType: 3 }] },
+    { addedNodes: [wrapper, host] }
+  ], {
+    onRoot(root) { roots.push(root.name); },
+    onFrame(el) { frames.push(el); }
+  });
+
+  assert.deepEqual(media, [direct, nested, frameVideo, shadowVideo]);
+  assert.deepEqual(roots, ['frame-doc', 'shadow']);
+  assert.deepEqual(frames, [frame]);
+});
+
+test('collectAddedMedia runs one query per kind on each added node', () => {
+  const wrapper = createSubtree('DIV', [createElement('SPAN'), createElement('VIDEO')]);
+
+  MediaDiscovery.collectAddedMedia([{ addedNodes: [wrapper] }]);
+
+  assert.deepEqual(wrapper.queries, ['audio, video', 'iframe, frame', '*']);
+});
+
+test('a shadow host nested in an added wrapper is found and its root remembered', () => {
+  const doc = createRoot('doc', []);
+  const index = MediaDiscovery.createMediaIndex(doc);
+  assert.deepEqual(index.getMedia(), []);
+
+  const shadowVideo = createElement('VIDEO');
+  const shadow = createRoot('shadow', [shadowVideo]);
+  const player = createElement('X-PLAYER', { shadowRoot: shadow, isConnected: true, getRootNode: () => doc });
+  const wrapper = createSubtree('DIV', [createElement('SPAN'), player]);
+
+  assert.deepEqual(index.addRecords([{ addedNodes: [wrapper] }]), [shadowVideo]);
+  assert.deepEqual(index.getMedia(), [shadowVideo]);
+});
+
+test('collectAddedMedia ignores batches without media', () => {
+  const div = createSubtree('DIV', [createElement('SPAN')]);
+
+  assert.deepEqual(MediaDiscovery.collectAddedMedia([
+    { addedNodes: [div], removedNodes: [createElement('VIDEO')] },
+    { addedNodes: [] }
+  ]), []);
+});
+
+test('createMediaIndex walks the tree once, then only asks each known root for its media', () => {
+  const video = createElement('VIDEO');
+  const shadowVideo = createElement('VIDEO');
+  const frameAudio = createElement('AUDIO');
+  const shadow = createRoot('shadow', [shadowVideo]);
+  const frameDoc = createRoot('frame-doc', [frameAudio]);
+  const doc = createRoot('doc', [
+    createElement('X-PLAYER', { shadowRoot: shadow }),
+    createElement('IFRAME', { contentDocument: frameDoc }),
+    createElement('IFRAME', { contentDocument: frameDoc }),
+    video
+  ]);
+  const roots = [];
+  const index = MediaDiscovery.createMediaIndex(doc, {
+    onRoot(root) { roots.push(root.name); }
+  });
+
+  assert.deepEqual(index.getMedia(), [video, shadowVideo, frameAudio]);
+  assert.deepEqual(index.getMedia(), [video, shadowVideo, frameAudio]);
+  assert.deepEqual(roots, ['doc', 'shadow', 'frame-doc']);
+  [doc, shadow, frameDoc].forEach(root => {
+    assert.deepEqual(root.queries, ['*', 'audio, video', 'audio, video'], root.name);
+  });
+});
+
+test('createMediaIndex learns shadow roots from mutation records and forgets removed hosts', () => {
+  const doc = createRoot('doc', []);
+  const index = MediaDiscovery.createMediaIndex(doc);
+  assert.deepEqual(index.getMedia(), []);
+
+  const shadowVideo = createElement('VIDEO');
+  const host = createElement('X-PLAYER', {
+    shadowRoot: createRoot('shadow', [shadowVideo]),
+    isConnected: true,
+    getRootNode: () => doc,
+    querySelectorAll: () => []
+  });
+
+  assert.deepEqual(index.addRecords([{ addedNodes: [host] }]), [shadowVideo]);
+  assert.deepEqual(index.getMedia(), [shadowVideo]);
+
+  host.isConnected = false;
+  assert.deepEqual(index.getMedia(), []);
+});
+
+test('createMediaIndex follows a navigated frame and drops the roots of its old document', () => {
+  const oldVideo = createElement('VIDEO');
+  const newVideo = createElement('VIDEO');
+  const oldDoc = createRoot('old-doc', []);
+  const host = createElement('X-PLAYER', { shadowRoot: createRoot('old-shadow', [oldVideo]), getRootNode: () => oldDoc });
+  oldDoc.querySelectorAll = selector => (selector === '*' ? [host] : []);
+  const frame = createElement('IFRAME', { contentDocument: oldDoc, isConnected: true });
+  const doc = createRoot('doc', [frame]);
+  frame.getRootNode = () => doc;
+  const index = MediaDiscovery.createMediaIndex(doc);
+
+  assert.deepEqual(index.getMedia(), [oldVideo]);
+
+  frame.contentDocument = createRoot('new-doc', [newVideo]);
+  assert.deepEqual(index.getMedia(), [newVideo]);
+});
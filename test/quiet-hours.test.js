@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QuietHours = require('../src/quiet-hours.js');
+
+function at(day, time) {
+  // 2026-03-01 is a Sunday, so `day` doubles as the getDay() value.
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(2026, 2, 1 + day, hours, minutes);
+}
+
+test('parseTime accepts HH:MM and rejects anything else', () => {
+  assert.equal(QuietHours.parseTime('07:30'), 450);
+  assert.equal(QuietHours.parseTime('23:59'), 1439);
+  assert.equal(QuietHours.parseTime('24:00'), null);
+  assert.equal(QuietHours.parseTime('7:30'), null);
+  assert.equal(QuietHours.parseTime(undefined), null);
+});
+
+test('normalizeSchedule fills defaults and clamps values', () => {
+  const [rule] = QuietHours.normalizeSchedule([{ start: 'late', maxVolume: 500, days: [6, 1, 1, 9, 'x'] }, null]);
+
+  assert.deepEqual(rule, {
+    id: 'rule-1',
+    enabled: true,
+    start: '22:00',
+    end: '07:00',
+    days: [1, 6],
+    maxVolume: 200,
+    allowBoost: false
+  });
+  assert.deepEqual(QuietHours.normalizeSchedule('nope'), []);
+});
+
+test('overnight windows run past midnight and belong to the day they start on', () => {
+  const [rule] = QuietHours.normalizeSchedule([{ start: '22:00', end: '07:00', days: [5] }]);
+
+  assert.equal(QuietHours.isRuleActive(rule, at(5, '21:59')), false);
+  assert.equal(QuietHours.isRuleActive(rule, at(5, '22:00')), true);
+  assert.equal(QuietHours.isRuleActive(rule, at(6, '06:59')), true);
+  assert.equal(QuietHours.isRuleActive(rule, at(6, '07:00')), false);
+  assert.equal(QuietHours.isRuleActive(rule, at(5, '03:00')), false);
+});
+
+test('daytime windows and all-day windows', () => {
+  const [day, allDay] = QuietHours.normalizeSchedule([
+    { start: '09:00', end: '17:00' },
+    { start: '00:00', end: '00:00', days: [0] }
+  ]);
+
+  assert.equal(QuietHours.isRuleActive(day, at(2, '12:00')), true);
+  assert.equal(QuietHours.isRuleActive(day, at(2, '17:00')), false);
+  assert.equal(QuietHours.isRuleActive(allDay, at(0, '13:37')), true);
+  assert.equal(QuietHours.isRuleActive(allDay, at(1, '13:37')), false);
+});
+
+test('activeCap takes the lowest active cap and never boosts unless allowed', () => {
+  const rules = QuietHours.normalizeSchedule([
+    { start: '20:00', end: '08:00', maxVolume: 150 },
+    { start: '22:00', end: '07:00', maxVolume: 40 },
+    { start: '22:00', end: '07:00', maxVolume: 10, enabled: false }
+  ]);
+
+  assert.equal(QuietHours.activeCap(rules, at(1, '21:00')), 100);
+  assert.equal(QuietHours.activeCap(rules, at(1, '23:00')), 40);
+  assert.equal(QuietHours.activeCap(rules, at(1, '12:00')), null);
+
+  const boosted = QuietHours.normalizeSchedule([{ start: '20:00', end: '08:00', maxVolume: 150, allowBoost: true }]);
+  assert.equal(QuietHours.activeCap(boosted, at(1, '21:00')), 150);
+});
+
+test('nextBoundary returns the nearest start or end after now', () => {
+  const rules = QuietHours.normalizeSchedule([
+    { start: '22:00', end: '07:00' },
+    { start: '12:00', end: '13:00', enabled: false }
+  ]);
+
+  assert.equal(QuietHours.nextBoundary(rules, at(1, '10:00')), at(1, '22:00').getTime());
+  assert.equal(QuietHours.nextBoundary(rules, at(1, '22:00')), at(2, '07:00').getTime());
+  assert.equal(QuietHours.nextBoundary([], at(1, '10:00')), null);
+});
+
+test('nextBoundary wakes at midnight for day-limited rules, so all-day rules start and end on time', () => {
+  const rules = QuietHours.normalizeSchedule([{ start: '22:00', end: '22:00', days: [1], maxVolume: 30 }]);
+
+  assert.equal(QuietHours.nextBoundary(rules, at(0, '23:00')), at(1, '00:00').getTime());
+  assert.equal(QuietHours.activeCap(rules, at(1, '00:00')), 30);
+  assert.equal(QuietHours.nextBoundary(rules, at(1, '22:00')), at(2, '00:00').getTime());
+  assert.equal(QuietHours.activeCap(rules, at(2, '00:00')), null);
+});
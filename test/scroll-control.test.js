@@ -2,6 +2,9 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const { computeScrollDelta } = require('../src/scroll-control.js');
+const MediaDiscovery = require('../src/media-discovery.js');
+const SiteRules = require('../src/site-rules.js');
+const Hotkeys = require('../src/hotkeys.js');
 
 test('scroll up returns +5 delta', () => {
   assert.equal(computeScrollDelta({ deltaY: -10, shiftKey: false }), 5);
@@ -30,6 +33,10 @@ async function runIntegration(startVolume, deltaY) {
     AbortController: global.AbortController,
     VolumeController: global.VolumeController,
     VolumeState: global.VolumeState,
+    AudioEffects: global.AudioEffects,
+    MediaDiscovery: global.MediaDiscovery,
+    SiteRules: global.SiteRules,
+    Hotkeys: global.Hotkeys,
     ScrollControl: global.ScrollControl
   };
 
@@ -47,7 +54,8 @@ async function runIntegration(startVolume, deltaY) {
     },
     runtime: {
       sendMessage: async () => {},
-      onMessage: { addListener() {} }
+      onMessage: { addListener() {} },
+      onConnect: { addListener() {} }
     }
   };
   global.document = {
@@ -59,6 +67,10 @@ async function runIntegration(startVolume, deltaY) {
   global.MutationObserver = class { observe() {} };
   global.AbortController = class { constructor() { this.signal = {}; } abort() {} };
   global.ScrollControl = { computeScrollDelta };
+  global.AudioEffects = {};
+  global.MediaDiscovery = MediaDiscovery;
+  global.SiteRules = SiteRules;
+  global.Hotkeys = Hotkeys;
   global.VolumeState = {
     normalizeVolume(v) {
       const n = Number.parseInt(v, 10);
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SettingsSync = require('../src/settings-sync.js');
+const VolumeState = require('../src/volume-state.js');
+
+function createArea(initialValue) {
+  const store = new Map(Object.entries(initialValue || {}));
+  const writes = [];
+
+  return {
+    store,
+    writes,
+    async get(key) {
+      if (key === null) return structuredClone(Object.fromEntries(store));
+      const keys = Array.isArray(key) ? key : [key];
+      return structuredClone(Object.fromEntries(keys.map(item => [item, store.get(item)])));
+    },
+    async set(payload) {
+      writes.push(payload);
+      Object.entries(structuredClone(payload)).forEach(([key, value]) => store.set(key, value));
+    },
+    async remove(key) {
+      (Array.isArray(key) ? key : [key]).forEach(item => store.delete(item));
+    }
+  };
+}
+
+// Simulates the background stamping a local edit at `now`.
+async function edit(local, changes, now) {
+  const data = await local.get(SettingsSync.SYNC_CLOCK_KEY);
+  const clock = SettingsSync.normalizeClock(data[SettingsSync.SYNC_CLOCK_KEY], now);
+  const storageChanges = {};
+  for (const [key, value] of Object.entries(changes)) {
+    storageChanges[key] = { newValue: value };
+    if (typeof value === 'undefined') await local.remove(key);
+    else await local.set({ [key]: value });
+  }
+  const stamped = SettingsSync.stampChanges(clock, storageChanges, now, VolumeState);
+  await local.set({ [SettingsSync.SYNC_CLOCK_KEY]: stamped.clock });
+}
+
+function sync(local, remote, now) {
+  return SettingsSync.syncNow({ local, sync: remote, volumeState: VolumeState, now });
+}
+
+test('settings pushed from one device are pulled on another', async () => {
+  const remote = createArea();
+  const laptop = createArea();
+  const desktop = createArea({ 'vc:origin:https://news.example': { volume: 40 } });
+
+  await edit(laptop, { 'vc:origin:https://example.com': { volume: 140, locked: true }, 'vc:scrollControl': false }, 1000);
+  const pushed = await sync(laptop, remote, 1000);
+  const pulled = await sync(desktop, remote, 2000);
+  await sync(laptop, remote, 3000);
+
+  assert.equal(pushed.pushed, true);
+  assert.deepEqual(pulled.pulled, ['vc:origin:https://example.com', 'vc:scrollControl']);
+  assert.deepEqual(desktop.store.get('vc:origin:https://example.com'), { volume: 140, locked: true });
+  assert.equal(desktop.store.get('vc:scrollControl'), false);
+  assert.deepEqual(laptop.store.get('vc:origin:https://news.example'), { volume: 40 });
+});
+
+test('conflicting edits resolve key by key to the newest write', async () => {
+  const remote = createArea();
+  const laptop = createArea();
+  const desktop = createArea();
+
+  await edit(laptop, { 'vc:origin:https://a.example': { volume: 50 }, 'vc:origin:https://b.example': { volume: 60 } }, 1000);
+  await sync(laptop, remote, 1000);
+  await sync(desktop, remote, 1500);
+
+  await edit(laptop, { 'vc:origin:https://a.example': { volume: 70 } }, 2000);
+  await edit(desktop, { 'vc:origin:https://a.example': { volume: 20 }, 'vc:origin:https://b.example': { volume: 90 } }, 2500);
+  await edit(laptop, { 'vc:origin:https://b.example': { volume: 110 } }, 3000);
+
+  await sync(laptop, remote, 3100);
+  await sync(desktop, remote, 3200);
+  await sync(laptop, remote, 3300);
+
+  for (const device of [laptop, desktop]) {
+    assert.deepEqual(device.store.get('vc:origin:https://a.example'), { volume: 20 });
+    assert.deepEqual(device.store.get('vc:origin:https://b.example'), { volume: 110 });
+  }
+});
+
+test('pulled values are not stamped again as local edits', async () => {
+  const clock = { 'vc:origin:https://a.example': { t: 500, fp: JSON.stringify({ volume: 20 }) } };
+  const stamped = SettingsSync.stampChanges(clock, {
+    'vc:origin:https://a.example': { newValue: { volume: 20 } },
+    'vc:syncStatus': { newValue: {} },
+    'vc:lastUsed:https://a.example': { newValue: 1 }
+  }, 9000, VolumeState);
+
+  assert.equal(stamped.changed, false);
+  assert.deepEqual(stamped.clock, clock);
+});
+
+test('removals travel as tombstones', async () => {
+  const remote = createArea();
+  const laptop = createArea();
+  const desktop = createArea();
+
+  await edit(laptop, { 'vc:origin:https://gone.example': { volume: 30 } }, 1000);
+  await sync(laptop, remote, 1000);
+  await sync(desktop, remote, 1100);
+  await edit(laptop, { 'vc:origin:https://gone.example': undefined }, 2000);
+  await sync(laptop, remote, 2100);
+  await sync(desktop, remote, 2200);
+
+  assert.equal(desktop.store.has('vc:origin:https://gone.example'), false);
+});
+
+test('a key pruned on one device stays synced and only returns after a newer edit elsewhere', async () => {
+  const remote = createArea();
+  const laptop = createArea();
+  const desktop = createArea();
+  await edit(laptop, { 'vc:origin:https://old.example': { volume: 30 } }, 1000);
+  await sync(laptop, remote, 1000);
+  await sync(desktop, remote, 1100);
+
+  const data = await laptop.get(SettingsSync.SYNC_CLOCK_KEY);
+  const clock = SettingsSync.normalizeClock(data[SettingsSync.SYNC_CLOCK_KEY], 2000);
+  await laptop.set({ [SettingsSync.SYNC_CLOCK_KEY]: SettingsSync.markPruned(clock, ['vc:origin:https://old.example'], 2000, VolumeState) });
+  await edit(laptop, { 'vc:origin:https://old.example': undefined }, 2000);
+  await sync(laptop, remote, 2100);
+  await sync(desktop, remote, 2200);
+
+  assert.deepEqual(desktop.store.get('vc:origin:https://old.example'), { volume: 30 });
+  assert.equal(laptop.store.has('vc:origin:https://old.example'), false);
+
+  await edit(desktop, { 'vc:origin:https://old.example': { volume: 45 } }, 3000);
+  await sync(desktop, remote, 3100);
+  await sync(laptop, remote, 3200);
+
+  assert.deepEqual(laptop.store.get('vc:origin:https://old.example'), { volume: 45 });
+});
+
+test('a second round with nothing new does not write to sync', async () => {
+  const remote = createArea();
+  const laptop = createArea();
+  await edit(laptop, { 'vc:origin:https://a.example': { volume: 50 } }, 1000);
+  await sync(laptop, remote, 1000);
+
+  const result = await sync(laptop, remote, 2000);
+
+  assert.equal(result.pushed, false);
+  assert.equal(remote.writes.length, 1);
+});
+
+test('two devices that use sites in a different order settle without rewriting sync', async () => {
+  const remote = createArea();
+  const laptop = createArea({ 'vc:lastUsed:https://a.example': 2000, 'vc:lastUsed:https://b.example': 1000 });
+  const desktop = createArea({ 'vc:lastUsed:https://a.example': 1000, 'vc:lastUsed:https://b.example': 2000 });
+  await edit(laptop, { 'vc:origin:https://a.example': { volume: 50 }, 'vc:origin:https://b.example': { volume: 70 } }, 1000);
+  await sync(laptop, remote, 1000);
+  await sync(desktop, remote, 1100);
+
+  const writesBefore = remote.writes.length;
+  const rounds = [];
+  for (let round = 0; round < 6; round += 1) {
+    rounds.push(await sync(round % 2 === 0 ? laptop : desktop, remote, 2000 + round));
+  }
+
+  assert.deepEqual(rounds.map(result => [result.pushed, result.pulled.length]), Array(6).fill([false, 0]));
+  assert.equal(remote.writes.length, writesBefore);
+  assert.deepEqual(desktop.store.get('vc:origin:https://a.example'), { volume: 50 });
+});
+
+test('when the quota is full the least-used sites are left out of sync', () => {
+  const entries = { 'vc:scrollControl': { t: 1, value: false } };
+  const lastUsed = {};
+  for (let i = 0; i < 400; i += 1) {
+    const key = `vc:origin:https://site-${String(i).padStart(3, '0')}.example.com`;
+    entries[key] = { t: 1, value: { volume: 50 } };
+    lastUsed[key] = i;
+  }
+  const quota = { bytes: 8000, bytesPerItem: 2000, maxItems: 512 };
+
+  const { items, trimmed } = SettingsSync.encodeEntries(entries, lastUsed, VolumeState, quota);
+  const decoded = SettingsSync.decodeItems(items, VolumeState);
+
+  assert.ok(trimmed.length > 0);
+  assert.ok(trimmed.includes('vc:origin:https://site-000.example.com'), 'oldest site is trimmed');
+  assert.ok('vc:origin:https://site-399.example.com' in decoded, 'most recent site is kept');
+  assert.ok('vc:scrollControl' in decoded, 'settings are never trimmed first');
+  Object.entries(items).forEach(([key, value]) => {
+    assert.ok(key.length + JSON.stringify(value).length <= quota.bytesPerItem, `${key} fits one item`);
+  });
+  const total = Object.entries(items).reduce((sum, [key, value]) => sum + key.length + JSON.stringify(value).length, 0);
+  assert.ok(total <= quota.bytes);
+});
+
+test('bookkeeping, runtime state and last-used dates are never synced', () => {
+  ['vc:syncSettings', 'vc:syncClock', 'vc:syncStatus', 'vc:schemaVersion', 'vc:sleepTimers', 'vc:prunedSites', 'vc:sync:index', 'vc:lastUsed:https://a.example']
+    .forEach(key => assert.equal(SettingsSync.isSyncedKey(key, VolumeState), false, key));
+  ['vc:origin:https://a.example', 'vc:scrollControl', 'vc:eq:https://a.example']
+    .forEach(key => assert.equal(SettingsSync.isSyncedKey(key, VolumeState), true, key));
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SettingsTransfer = require('../src/settings-transfer.js');
+const VolumeState = require('../src/volume-state.js');
+
+function exportText(settings, overrides = {}) {
+  return JSON.stringify({ format: SettingsTransfer.EXPORT_FORMAT, version: SettingsTransfer.EXPORT_VERSION, settings, ...overrides });
+}
+
+test('buildExport includes every vc: setting with a schema version', () => {
+  const file = SettingsTransfer.buildExport({
+    'vc:origin:https://example.com': 140,
+    'vc:scrollControl': false,
+    'vc:eq:https://example.com': { preset: 'voice', gains: [] },
+    'vc:sleepTimers': { 7: {} },
+    'vc:syncSettings': { enabled: true },
+    'other:key': 1
+  }, new Date('2026-03-01T12:00:00Z'), VolumeState);
+
+  assert.equal(file.format, 'volume-control-settings');
+  assert.equal(file.version, SettingsTransfer.EXPORT_VERSION);
+  assert.equal(file.exportedAt, '2026-03-01T12:00:00.000Z');
+  assert.deepEqual(Object.keys(file.settings), [
+    'vc:eq:https://example.com',
+    'vc:origin:https://example.com',
+    'vc:scrollControl'
+  ]);
+});
+
+test('parseExport rejects files that are not usable exports', () => {
+  assert.equal(SettingsTransfer.parseExport('{oops', VolumeState).ok, false);
+  assert.equal(SettingsTransfer.parseExport(JSON.stringify({ settings: {} }), VolumeState).ok, false);
+  assert.equal(SettingsTransfer.parseExport(exportText({}, { version: 0 }), VolumeState).ok, false);
+  assert.match(SettingsTransfer.parseExport(exportText({}, { version: 99 }), VolumeState).error, /newer version/);
+  assert.equal(SettingsTransfer.parseExport(exportText([]), VolumeState).ok, false);
+});
+
+test('parseExport normalises volumes and skips invalid entries', () => {
+  const result = SettingsTransfer.parseExport(exportText({
+    'vc:origin:https://loud.example': { volume: 450 },
+    'vc:origin:https://text.example': { volume: '80' },
+    'vc:origin:https://bad.example': { volume: 'loud' },
+    'vc:masterVolume': 150,
+    'vc:lastUsed:https://loud.example': 'yesterday',
+    'vc:scrollControl': false,
+    'vc:duckState': {},
+    'foreign:key': 1
+  }), VolumeState);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.settings, {
+    'vc:masterVolume': 100,
+    'vc:origin:https://loud.example': { volume: 200 },
+    'vc:origin:https://text.example': { volume: 80 },
+    'vc:scrollControl': false
+  });
+  assert.deepEqual(result.skipped, [
+    'foreign:key',
+    'vc:duckState',
+    'vc:lastUsed:https://loud.example',
+    'vc:origin:https://bad.example'
+  ]);
+});
+
+test('version 1 files with bare volume numbers are upgraded to site records', () => {
+  const result = SettingsTransfer.parseExport(exportText({
+    'vc:origin:https://example.com': 140,
+    'vc:schemaVersion': 1
+  }, { version: 1 }), VolumeState);
+
+  assert.deepEqual(result.settings, { 'vc:origin:https://example.com': { volume: 140 } });
+  assert.deepEqual(result.skipped, ['vc:schemaVersion']);
+});
+
+test('planImport in merge mode adds and changes but keeps other settings', () => {
+  const current = {
+    'vc:origin:https://a.example': 50,
+    'vc:origin:https://b.example': 120,
+    'vc:scrollControl': true
+  };
+  const plan = SettingsTransfer.planImport(current, {
+    'vc:origin:https://a.example': 50,
+    'vc:origin:https://b.example': 90,
+    'vc:origin:https://c.example': 30
+  }, 'merge', VolumeState);
+
+  assert.deepEqual(plan.changes, [
+    { key: 'vc:origin:https://b.example', type: 'change', from: 120, to: 90 },
+    { key: 'vc:origin:https://c.example', type: 'add', to: 30 }
+  ]);
+  assert.deepEqual(plan.set, { 'vc:origin:https://b.example': 90, 'vc:origin:https://c.example': 30 });
+  assert.deepEqual(plan.remove, []);
+});
+
+test('planImport in replace mode removes settings missing from the file', () => {
+  const current = {
+    'vc:origin:https://a.example': 50,
+    'vc:scrollControl': true,
+    'vc:sleepTimers': {},
+    'vc:syncSettings': { enabled: true }
+  };
+  const plan = SettingsTransfer.planImport(current, { 'vc:origin:https://a.example': 50 }, 'replace', VolumeState);
+
+  assert.deepEqual(plan.changes, [{ key: 'vc:scrollControl', type: 'remove', from: true }]);
+  assert.deepEqual(plan.remove, ['vc:scrollControl']);
+});
+
+test('the sync switch and other machine-local keys are never imported', () => {
+  const result = SettingsTransfer.parseExport(exportText({
+    'vc:origin:https://example.com': 80,
+    'vc:syncSettings': { enabled: true },
+    'vc:prunedSites': []
+  }), VolumeState);
+
+  assert.deepEqual(Object.keys(result.settings), ['vc:origin:https://example.com']);
+  assert.deepEqual(result.skipped, ['vc:prunedSites', 'vc:syncSettings']);
+});
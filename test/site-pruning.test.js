@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SitePruning = require('../src/site-pruning.js');
+const VolumeState = require('../src/volume-state.js');
+
+function sites(count) {
+  const data = {};
+  for (let i = 0; i < count; i += 1) {
+    const origin = `https://site-${String(i).padStart(2, '0')}.example`;
+    data[VolumeState.keyForOrigin(origin)] = { volume: 50 };
+    data[VolumeState.keyForSetting(VolumeState.LAST_USED_SETTING, origin)] = 1000 + i;
+  }
+  return data;
+}
+
+test('normalizePruneSettings clamps the limit and defaults forgetting off', () => {
+  assert.deepEqual(SitePruning.normalizePruneSettings(), { limit: 500, forgetDefault: false });
+  assert.deepEqual(SitePruning.normalizePruneSettings({ limit: 2, forgetDefault: true }), { limit: 10, forgetDefault: true });
+  assert.equal(SitePruning.normalizePruneSettings({ limit: '99999' }).limit, 10000);
+});
+
+test('planPrune drops the least recently used sites over the limit', () => {
+  const data = sites(12);
+  data['vc:origin:https://undated.example'] = 80;
+  data['vc:scrollControl'] = false;
+
+  const plan = SitePruning.planPrune(data, { limit: 10, forgetDefault: false }, VolumeState);
+
+  assert.deepEqual(plan.forgotten, []);
+  assert.deepEqual(plan.pruned, [
+    { origin: 'https://site-01.example', record: { volume: 50 }, settings: {}, lastUsed: 1001 },
+    { origin: 'https://site-00.example', record: { volume: 50 }, settings: {}, lastUsed: 1000 },
+    { origin: 'https://undated.example', record: { volume: 80 }, settings: {}, lastUsed: null }
+  ]);
+});
+
+test('a pruned site takes its per-site settings with it, and they count as a site', () => {
+  const data = sites(10);
+  data['vc:eq:https://site-00.example'] = { preset: 'voice' };
+  data['vc:priority:https://site-00.example'] = true;
+  data['vc:stereo:https://eq-only.example'] = { balance: 20 };
+  data['vc:eqPresets'] = [];
+
+  const plan = SitePruning.planPrune(data, { limit: 10, forgetDefault: false }, VolumeState);
+
+  assert.deepEqual(plan.pruned.map(site => [site.origin, site.record, site.settings]), [
+    ['https://eq-only.example', null, { 'vc:stereo:https://eq-only.example': { balance: 20 } }]
+  ]);
+
+  const tighter = SitePruning.planPrune(data, { limit: 9, forgetDefault: false }, VolumeState);
+  const site = tighter.pruned.find(entry => entry.origin === 'https://site-00.example');
+  assert.deepEqual(SitePruning.siteKeys(site, VolumeState), [
+    'vc:origin:https://site-00.example',
+    'vc:lastUsed:https://site-00.example',
+    'vc:eq:https://site-00.example',
+    'vc:priority:https://site-00.example'
+  ]);
+});
+
+test('planPrune forgets plain 100% sites only when asked to', () => {
+  const data = {
+    'vc:origin:https://plain.example': { volume: 100 },
+    'vc:origin:https://legacy.example': 100,
+    'vc:origin:https://locked.example': { volume: 100, locked: true },
+    'vc:origin:https://tuned.example': { volume: 100 },
+    'vc:eq:https://tuned.example': { preset: 'voice' },
+    'vc:origin:https://loud.example': { volume: 150 }
+  };
+
+  assert.deepEqual(SitePruning.planPrune(data, { limit: 10, forgetDefault: false }, VolumeState).forgotten, []);
+  assert.deepEqual(SitePruning.planPrune(data, { limit: 10, forgetDefault: true }, VolumeState).forgotten, [
+    'https://legacy.example',
+    'https://plain.example'
+  ]);
+});
+
+test('addPrunedSites keeps the newest entries first without duplicates', () => {
+  const history = [{ origin: 'https://a.example', record: { volume: 40 }, lastUsed: 1, prunedAt: 10 }];
+  const next = SitePruning.addPrunedSites(history, [
+    { origin: 'https://a.example', record: { volume: 60 }, lastUsed: 2 },
+    { origin: 'https://b.example', record: { volume: 70 }, lastUsed: null }
+  ], 20);
+
+  assert.deepEqual(next.map(entry => [entry.origin, entry.record.volume, entry.prunedAt]), [
+    ['https://a.example', 60, 20],
+    ['https://b.example', 70, 20]
+  ]);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const SiteRules = require('../src/site-rules.js');
+
+function rules(...patterns) {
+  return SiteRules.normalizeRules(patterns.map((pattern, index) => ({ id: `r${index}`, pattern })));
+}
+
+function matchId(list, href) {
+  const rule = SiteRules.matchRule(list, href);
+  return rule ? rule.id : null;
+}
+
+test('parsePattern recognises hosts, path prefixes and globs', () => {
+  assert.deepEqual(SiteRules.parsePattern('YouTube.com'), { kind: 'host', host: 'youtube.com', hostLiteral: 11, pathLiteral: 0 });
+  assert.deepEqual(SiteRules.parsePattern('https://youtube.com/shorts/'), {
+    kind: 'prefix',
+    host: 'youtube.com',
+    path: '/shorts',
+    hostLiteral: 11,
+    pathLiteral: 7
+  });
+  assert.equal(SiteRules.parsePattern('*.example.com/live/*').kind, 'glob');
+  assert.equal(SiteRules.parsePattern(''), null);
+  assert.equal(SiteRules.parsePattern('/watch'), null);
+  assert.equal(SiteRules.parsePattern('you tube.com'), null);
+});
+
+test('host rules cover subdomains but not look-alike hosts', () => {
+  const list = rules('youtube.com');
+
+  assert.equal(matchId(list, 'https://www.youtube.com/watch?v=1'), 'r0');
+  assert.equal(matchId(list, 'https://youtube.com/'), 'r0');
+  assert.equal(matchId(list, 'https://notyoutube.com/'), null);
+});
+
+test('path prefixes match whole segments', () => {
+  const list = rules('youtube.com/shorts');
+
+  assert.equal(matchId(list, 'https://www.youtube.com/shorts'), 'r0');
+  assert.equal(matchId(list, 'https://www.youtube.com/shorts/abc'), 'r0');
+  assert.equal(matchId(list, 'https://www.youtube.com/shortsy'), null);
+});
+
+test('globs match the host alone, or host and path when they contain a slash', () => {
+  const list = rules('*.example.com', 'news.example.org/*/video');
+
+  assert.equal(matchId(list, 'https://a.b.example.com/x'), 'r0');
+  assert.equal(matchId(list, 'https://example.com/'), null);
+  assert.equal(matchId(list, 'https://news.example.org/world/video'), 'r1');
+  assert.equal(matchId(list, 'https://news.example.org/world/text'), null);
+});
+
+test('the most specific matching rule wins regardless of order', () => {
+  const list = rules('*.youtube.com/*', 'youtube.com', 'youtube.com/shorts', 'm.youtube.com');
+
+  assert.equal(matchId(list, 'https://www.youtube.com/shorts/abc'), 'r2');
+  assert.equal(matchId(list, 'https://www.youtube.com/watch?v=1'), 'r1');
+  assert.equal(matchId(list, 'https://m.youtube.com/feed'), 'r3');
+  assert.equal(matchId(list, 'https://m.youtube.com/shorts/abc'), 'r2');
+});
+
+test('a path glob on any host is more specific than a bare host', () => {
+  assert.equal(matchId(rules('youtube.com', '*/live/*'), 'https://youtube.com/live/1'), 'r1');
+});
+
+test('a path prefix beats an equally long glob, and earlier rules win exact ties', () => {
+  assert.equal(matchId(rules('example.com/a*', 'example.com/ab'), 'https://example.com/ab'), 'r1');
+  assert.equal(matchId(rules('example.com/live', 'example.com/live/'), 'https://example.com/live/1'), 'r0');
+});
+
+test('disabled rules and unparsable URLs never match', () => {
+  const list = SiteRules.normalizeRules([{ pattern: 'example.com', enabled: false }]);
+
+  assert.equal(SiteRules.matchRule(list, 'https://example.com/'), null);
+  assert.equal(SiteRules.matchRule(rules('example.com'), 'not a url'), null);
+});
+
+test('normalizeRules keeps only the settings a rule sets', () => {
+  const [rule] = SiteRules.normalizeRules([{ pattern: ' example.com/watch ', volume: '250', muted: true }, { pattern: 7 }]);
+
+  assert.deepEqual(rule, {
+    id: 'site-rule-1',
+    pattern: 'example.com/watch',
+    enabled: true,
+    volume: 200,
+    eqPreset: null,
+    muted: true,
+    locked: null
+  });
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const StorageMigrations = require('../src/storage-migrations.js');
+const VolumeState = require('../src/volume-state.js');
+
+function createStorage(initialValue) {
+  const store = new Map(Object.entries(initialValue || {}));
+  const writes = [];
+
+  return {
+    store,
+    writes,
+    async get(key) {
+      if (key === null) return Object.fromEntries(store);
+      const keys = Array.isArray(key) ? key : [key];
+      return Object.fromEntries(keys.map(item => [item, store.get(item)]));
+    },
+    async set(payload) {
+      writes.push(payload);
+      Object.entries(payload).forEach(([key, value]) => store.set(key, value));
+    },
+    async remove(key) {
+      store.delete(key);
+    }
+  };
+}
+
+test('the schema version is the newest migration', () => {
+  assert.equal(StorageMigrations.SCHEMA_VERSION, StorageMigrations.MIGRATIONS.at(-1).version);
+  StorageMigrations.MIGRATIONS.forEach((migration, index) => {
+    assert.equal(migration.version, index + 2, 'migrations are consecutive and start at 2');
+  });
+});
+
+test('unversioned storage has its bare site volumes upgraded to records', async () => {
+  const storage = createStorage({
+    'vc:origin:https://example.com': 140,
+    'vc:origin:https://legacy.example': '70',
+    'vc:origin:https://done.example': { volume: 30 },
+    'vc:scrollControl': false,
+    'vc:eq:https://example.com': { preset: 'voice', gains: [] }
+  });
+
+  const result = await StorageMigrations.runMigrations(storage, VolumeState);
+
+  assert.deepEqual(result, {
+    ok: true,
+    from: 1,
+    to: StorageMigrations.SCHEMA_VERSION,
+    updated: ['vc:origin:https://example.com', 'vc:origin:https://legacy.example']
+  });
+  assert.deepEqual(storage.store.get('vc:origin:https://example.com'), { volume: 140 });
+  assert.deepEqual(storage.store.get('vc:origin:https://legacy.example'), { volume: 70 });
+  assert.deepEqual(storage.store.get('vc:origin:https://done.example'), { volume: 30 });
+  assert.equal(storage.store.get('vc:scrollControl'), false);
+  assert.equal(storage.store.get(StorageMigrations.SCHEMA_VERSION_KEY), StorageMigrations.SCHEMA_VERSION);
+});
+
+test('current storage is left alone after a single version read', async () => {
+  const storage = createStorage({
+    [StorageMigrations.SCHEMA_VERSION_KEY]: StorageMigrations.SCHEMA_VERSION,
+    'vc:origin:https://example.com': 140
+  });
+
+  const result = await StorageMigrations.runMigrations(storage, VolumeState);
+
+  assert.deepEqual(result.updated, []);
+  assert.equal(storage.writes.length, 0);
+  assert.equal(storage.store.get('vc:origin:https://example.com'), 140);
+});
+
+test('storage written by a newer build is not downgraded', async () => {
+  const newer = StorageMigrations.SCHEMA_VERSION + 1;
+  const storage = createStorage({ [StorageMigrations.SCHEMA_VERSION_KEY]: newer });
+
+  const result = await StorageMigrations.runMigrations(storage, VolumeState);
+
+  assert.equal(result.from, newer);
+  assert.equal(storage.writes.length, 0);
+});
+
+test('a fresh install is stamped with the current version', async () => {
+  const storage = createStorage();
+
+  await StorageMigrations.runMigrations(storage, VolumeState);
+
+  assert.deepEqual(storage.writes, [{ [StorageMigrations.SCHEMA_VERSION_KEY]: StorageMigrations.SCHEMA_VERSION }]);
+});
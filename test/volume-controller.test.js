@@ -2,6 +2,10 @@ const test = require('node:test');
 const assert = require('node:assert/strict');
 
 const { createVolumeController } = require('../src/volume-controller.js');
+const AudioEffects = require('../src/audio-effects.js');
+const MediaDiscovery = require('../src/media-discovery.js');
+const VolumeState = require('../src/volume-state.js');
+const SiteRules = require('../src/site-rules.js');
 
 function createStorage(initialValue, options = {}) {
   const store = new Map(Object.entries(initialValue || {}));
@@ -18,7 +22,8 @@ function createStorage(initialValue, options = {}) {
     async get(key) {
       getCount += 1;
       if (options.failGet) throw new Error('get failed');
-      return { [key]: store.get(key) };
+      const keys = Array.isArray(key) ? key : [key];
+      return Object.fromEntries(keys.map(item => [item, store.get(item)]));
     },
     async set(payload) {
       if (options.failSet) throw new Error('set failed');
@@ -45,15 +50,78 @@ function createMedia(overrides = {}) {
   };
 }
 
+function createFakeNode(props = {}) {
+  return {
+    ...props,
+    connections: [],
+    connect(target, output = 0, input = 0) {
+      this.connectedTarget = target;
+      this.connections.push({ target, output, input });
+    },
+    disconnect(target) {
+      if (typeof target === 'undefined') {
+        this.connectedTarget = null;
+        this.connections = [];
+        return;
+      }
+      this.connections = this.connections.filter(item => item.target !== target);
+      if (this.connectedTarget === target) this.connectedTarget = null;
+    }
+  };
+}
+
+function createFakeParam(value) {
+  return {
+    value,
+    events: [],
+    cancelScheduledValues(time) {
+      this.events.push(['cancel', time]);
+    },
+    setValueAtTime(target, time) {
+      this.events.push(['set', target, time]);
+    },
+    linearRampToValueAtTime(target, time) {
+      this.events.push(['linear', target, time]);
+    },
+    exponentialRampToValueAtTime(target, time) {
+      this.events.push(['exponential', target, time]);
+    },
+    setTargetAtTime(target, time, timeConstant) {
+      this.events.push(['target', target, time, timeConstant]);
+    },
+    setValueCurveAtTime(curve, time, duration) {
+      this.events.push(['curve', Array.from(curve), time, duration]);
+    }
+  };
+}
+
 function createAudioHarness({ initialState = 'running' } = {}) {
   const sourceCalls = [];
   const resumeCalls = [];
+  const gainNodes = [];
+  const compressorNodes = [];
+  const filterNodes = [];
+  const stereoNodes = [];
+  const analyserNodes = [];
+  let analyserLevel = 0;
   let contextCount = 0;
+  let currentTime = 2;
   let currentState = initialState;
 
   return {
     sourceCalls,
     resumeCalls,
+    gainNodes,
+    compressorNodes,
+    filterNodes,
+    stereoNodes,
+    analyserNodes,
+    setAnalyserLevel(value) {
+      analyserLevel = value;
+    },
+    setCurrentTime(value) {
+      currentTime = value;
+    },
     get contextCount() {
       return contextCount;
     },
@@ -62,6 +130,9 @@ function createAudioHarness({ initialState = 'running' } = {}) {
       const destination = { id: 'destination' };
       return {
         destination,
+        get currentTime() {
+          return currentTime;
+        },
         get state() {
           return currentState;
         },
@@ -69,18 +140,66 @@ function createAudioHarness({ initialState = 'running' } = {}) {
           currentState = value;
         },
         createGain() {
-          return {
-            gain: { value: 1 },
-            connect(target) {
-              this.connectedTarget = target;
+          const node = createFakeNode({ gain: createFakeParam(1) });
+          gainNodes.push(node);
+          return node;
+        },
+        createDynamicsCompressor() {
+          const node = createFakeNode({
+            threshold: { value: -24 },
+            knee: { value: 30 },
+            ratio: { value: 12 },
+            attack: { value: 0.003 },
+            release: { value: 0.25 }
+          });
+          compressorNodes.push(node);
+          return node;
+        },
+        createBiquadFilter() {
+          const node = createFakeNode({
+            type: 'lowpass',
+            frequency: { value: 350 },
+            gain: { value: 0 },
+            Q: { value: 1 }
+          });
+          filterNodes.push(node);
+          return node;
+        },
+        createChannelSplitter(channels) {
+          const node = createFakeNode({ kind: 'splitter', channels });
+          stereoNodes.push(node);
+          return node;
+        },
+        createChannelMerger(channels) {
+          const node = createFakeNode({ kind: 'merger', channels });
+          stereoNodes.push(node);
+          return node;
+        },
+        createStereoPanner() {
+          const node = createFakeNode({ kind: 'panner', pan: { value: 0 } });
+          stereoNodes.push(node);
+          return node;
+        },
+        createAnalyser() {
+          const node = createFakeNode({
+            kind: 'analyser',
+            fftSize: 2048,
+            getFloatTimeDomainData(buffer) {
+              buffer.fill(analyserLevel);
             }
-          };
+          });
+          analyserNodes.push(node);
+          return node;
         },
         createMediaElementSource(element) {
           sourceCalls.push(element);
+          if (element.rejectSource) throw new Error('InvalidStateError');
           return {
             connect(target) {
               this.connectedTarget = target;
+            },
+            disconnect() {
+              this.connectedTarget = null;
             }
           };
         },
@@ -99,35 +218,58 @@ function createController({
   media = [],
   origin = 'https://example.com',
   persistedVolume,
+  persistedSettings = {},
   storageOptions,
   audioOptions,
-  autoRunScheduled = false
+  autoRunScheduled = false,
+  resolveSettingsOrigin,
+  resolveVolumeCap,
+  notifyBadge,
+  pageUrl = `${origin}/`
 } = {}) {
   const storageKey = `vc:origin:${origin}`;
   const storage = createStorage(
-    typeof persistedVolume === 'undefined' ? {} : { [storageKey]: persistedVolume },
+    typeof persistedVolume === 'undefined' ? persistedSettings : { ...persistedSettings, [storageKey]: persistedVolume },
     storageOptions
   );
   const audio = createAudioHarness(audioOptions);
   const scheduledTasks = [];
   let nextTimerId = 1;
+  let mediaListCalls = 0;
   const controller = createVolumeController({
     volumeState: {
+      MASTER_VOLUME_KEY: 'vc:masterVolume',
+      REMEMBER_STATE_KEY: 'vc:rememberState',
       keyForOrigin(value) {
         return `vc:origin:${value}`;
       },
+      keyForSetting(setting, value) {
+        return `vc:${setting}:${value}`;
+      },
       normalizeVolume(value) {
         const parsed = Number.parseInt(value, 10);
         if (!Number.isFinite(parsed)) return 100;
         return Math.max(0, Math.min(200, parsed));
+      },
+      normalizeSiteRecord: VolumeState.normalizeSiteRecord,
+      normalizeRememberState: VolumeState.normalizeRememberState,
+      normalizeMasterVolume(value) {
+        return Math.min(100, this.normalizeVolume(value));
       }
     },
+    audioEffects: AudioEffects,
     origin,
     getMediaElements() {
+      mediaListCalls += 1;
       return media;
     },
     storage,
     createAudioContext: () => audio.createAudioContext(),
+    resolveSettingsOrigin,
+    resolveVolumeCap,
+    notifyBadge,
+    siteRules: SiteRules,
+    getPageUrl: () => pageUrl,
     scheduleTask(callback, delay) {
       const id = nextTimerId;
       nextTimerId += 1;
@@ -144,7 +286,7 @@ function createController({
     }
   });
 
-  return { controller, storage, audio, scheduledTasks, storageKey };
+  return { controller, storage, audio, scheduledTasks, storageKey, mediaListCalls: () => mediaListCalls };
 }
 
 test('init loads persisted origin volume and applies native volume', async () => {
@@ -363,6 +505,17 @@ test('notifyMediaMutation debounces re-application to the latest scheduled task'
   assert.equal(newMedia.volume, 0.25);
 });
 
+test('init reads the site record and rewrites it as a record', async () => {
+  const media = [createMedia()];
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: { volume: 130 } });
+
+  await controller.init();
+  assert.equal(controller.getVolume().volume, 130);
+
+  await controller.setVolume(90);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 90 } });
+});
+
 test('init is idempotent and only loads persisted state once', async () => {
   const media = [createMedia()];
   const { controller, storage, audio } = createController({ media, persistedVolume: 60 });
@@ -380,7 +533,7 @@ test('init is idempotent and only loads persisted state once', async () => {
 
 test('mute() sets volume to 0 and retains pre-mute level', async () => {
   const media = [createMedia()];
-  const { controller, storage } = createController({ media, persistedVolume: 50 });
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: 50 });
 
   await controller.init();
   const result = await controller.mute();
@@ -390,12 +543,12 @@ test('mute() sets volume to 0 and retains pre-mute level', async () => {
   assert.equal(controller.getVolume().isMuted, true);
   assert.equal(controller.getVolume().preMuteVolume, 50);
   assert.equal(controller.getVolume().volume, 50);
-  assert.equal(storage.writes.length, 0);
+  assert.deepEqual(storage.writes, [{ [storageKey]: { volume: 50, muted: true, preMuteVolume: 50 } }]);
 });
 
-test('unmute() restores pre-mute volume without touching storage', async () => {
+test('unmute() restores pre-mute volume and clears the saved mute', async () => {
   const media = [createMedia()];
-  const { controller, storage } = createController({ media, persistedVolume: 50 });
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: 50 });
 
   await controller.init();
   await controller.mute();
@@ -405,7 +558,7 @@ test('unmute() restores pre-mute volume without touching storage', async () => {
   assert.equal(media[0].volume, 0.5);
   assert.equal(controller.getVolume().isMuted, false);
   assert.equal(controller.getVolume().volume, 50);
-  assert.equal(storage.writes.length, 0);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 50 } });
 });
 
 test('calling mute() twice does not overwrite the saved pre-mute level', async () => {
@@ -422,7 +575,7 @@ test('calling mute() twice does not overwrite the saved pre-mute level', async (
 
 test('setVolume() while muted updates the pre-mute level, not the active gain', async () => {
   const media = [createMedia()];
-  const { controller, storage } = createController({ media, persistedVolume: 40 });
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: 40 });
 
   await controller.init();
   await controller.mute();
@@ -433,12 +586,12 @@ test('setVolume() while muted updates the pre-mute level, not the active gain',
   assert.equal(controller.getVolume().volume, 80);
   assert.equal(controller.getVolume().preMuteVolume, 80);
   assert.equal(controller.getVolume().isMuted, true);
-  assert.equal(storage.writes.length, 0);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 40, muted: true, preMuteVolume: 80 } });
 });
 
-test('unmute() after setVolume while muted applies the new volume', async () => {
+test('unmute() after setVolume while muted applies and saves the new volume', async () => {
   const media = [createMedia()];
-  const { controller, storage } = createController({ media, persistedVolume: 40 });
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: 40 });
 
   await controller.init();
   await controller.mute();
@@ -448,7 +601,7 @@ test('unmute() after setVolume while muted applies the new volume', async () =>
   assert.equal(media[0].volume, 0.8);
   assert.equal(controller.getVolume().volume, 80);
   assert.equal(controller.getVolume().isMuted, false);
-  assert.equal(storage.writes.length, 0);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 80 } });
 });
 
 test('handleMessage routes mute, unmute, and toggle-mute actions', async () => {
@@ -651,7 +804,20 @@ test('get-state returns volume, hasMedia, isMuted and preMuteVolume when not mut
   const { controller } = createController({ media, persistedVolume: 66 });
   await controller.init();
   const res = await controller.handleMessage({ action: 'get-state' });
-  assert.deepEqual(res, { volume: 66, hasMedia: true, mediaCount: 1, isMuted: false, preMuteVolume: 100, isLocked: false });
+  assert.deepEqual(res, {
+    volume: 66,
+    hasMedia: true,
+    mediaCount: 1,
+    isMuted: false,
+    preMuteVolume: 100,
+    isLocked: false,
+    siteVolume: 66,
+    normalize: { enabled: false, targetDb: -20, maxBoostDb: 6, correctionDb: 0 },
+    volumeCap: null,
+    masterVolume: 100,
+    effectiveVolume: 66,
+    siteRule: null
+  });
 });
 
 test('get-state reflects muted=true and correct preMuteVolume after muting', async () => {
@@ -679,7 +845,7 @@ test('fadeToVolume transitions to target volume and persists the final value', a
   const res = await controller.fadeToVolume(140, { steps: 4, intervalMs: 1 });
   assert.deepEqual(res, { ok: true, volume: 140 });
   assert.equal(controller.getVolume().volume, 140);
-  assert.deepEqual(storage.writes.at(-1), { [storageKey]: 140 });
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 140 } });
 });
 
 test('fade-volume message routes to fadeToVolume with provided options', async () => {
@@ -731,6 +897,14 @@ test('toggle-lock message toggles the lock state and returns current isLocked',
   assert.deepEqual(r2, { ok: true, isLocked: false });
 });
 
+test('lock and unlock messages set the lock state whatever it was', async () => {
+  const { controller } = createController({ persistedVolume: 50 });
+  await controller.init();
+  assert.deepEqual(await controller.handleMessage({ action: 'lock' }), { ok: true, isLocked: true });
+  assert.deepEqual(await controller.handleMessage({ action: 'lock' }), { ok: true, isLocked: true });
+  assert.deepEqual(await controller.handleMessage({ action: 'unlock' }), { ok: true, isLocked: false });
+});
+
 test('setVolume while locked still updates desiredVolume and re-applies the lock', async () => {
   const media = [createMedia()];
   const { controller } = createController({ media, persistedVolume: 40 });
@@ -808,3 +982,1304 @@ test('starting a new fade cancels the previous in-flight fade', async () => {
   await Promise.all([fade1, fade2]);
   assert.equal(controller.getVolume().volume, 60);
 });
+
+// ─── Ramped fades ────────────────────────────────────────────────────────────
+
+test('fadeToVolume ramps the origin gain when every element is wired', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller, audio, scheduledTasks, storage, storageKey } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+  const originGain = audio.gainNodes[0].gain;
+
+  const fade = controller.fadeToVolume(50, { durationMs: 400 });
+  await Promise.resolve();
+
+  assert.deepEqual(originGain.events, [
+    ['cancel', 2],
+    ['set', 1.5, 2],
+    ['linear', 0.5, 2.4]
+  ]);
+  const wait = scheduledTasks.at(-1);
+  assert.equal(wait.delay, 400);
+
+  await wait.callback();
+  const res = await fade;
+
+  assert.deepEqual(res, { ok: true, volume: 50 });
+  assert.equal(originGain.value, 0.5);
+  assert.equal(media[0].volume, 1);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 50 } });
+});
+
+test('fade-volume selects exponential, setTargetAtTime and equal-power automation by curve', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller, audio, scheduledTasks } = createController({ media, persistedVolume: 200 });
+  await controller.init();
+  const originGain = audio.gainNodes[0].gain;
+
+  const runFade = async message => {
+    originGain.events = [];
+    const fade = controller.handleMessage({ action: 'fade-volume', durationMs: 1000, ...message });
+    await Promise.resolve();
+    const events = originGain.events.slice();
+    await scheduledTasks.at(-1).callback();
+    await fade;
+    return events;
+  };
+
+  const exponential = await runFade({ target: 100, curve: 'exponential' });
+  assert.deepEqual(exponential.at(-1), ['exponential', 1, 3]);
+
+  const toSilence = await runFade({ target: 0, curve: 'exponential' });
+  assert.deepEqual(toSilence.slice(-2), [['target', 0, 2, 1 / 4.6], ['set', 0, 3]]);
+
+  const equalPower = await runFade({ target: 100, curve: 'equalPower' });
+  const [kind, points, start, duration] = equalPower.at(-1);
+  assert.equal(kind, 'curve');
+  assert.equal(start, 2);
+  assert.equal(duration, 1);
+  assert.equal(points[0], 0);
+  assert.equal(points.at(-1), 1);
+  assert.ok(points[32] > 0.5 * points.at(-1), 'equal-power rises faster than linear');
+});
+
+test('fadeToVolume keeps the stepped path when some element is on the native path', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' }), createMedia({ src: 'https://cdn.example.net/b.mp4' })];
+  const { controller, audio, scheduledTasks } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+  const originGain = audio.gainNodes[0].gain;
+
+  const fade = controller.fadeToVolume(60, { durationMs: 90, curve: 'linear' });
+  for (let step = 0; step < 2; step += 1) {
+    await Promise.resolve();
+    const task = scheduledTasks.at(-1);
+    assert.equal(task.delay, 30);
+    await task.callback();
+  }
+  await fade;
+
+  assert.deepEqual(originGain.events, []);
+  assert.equal(controller.getVolume().volume, 60);
+  assert.equal(media[1].volume, 0.6);
+});
+
+test('stepped fades follow the selected curve', async () => {
+  const { controller, scheduledTasks } = createController({ media: [createMedia()], persistedVolume: 100 });
+  await controller.init();
+  const levels = [];
+
+  const fade = controller.fadeToVolume(0, { steps: 4, intervalMs: 10, curve: 'equalPower' });
+  for (let step = 0; step < 3; step += 1) {
+    await Promise.resolve();
+    levels.push(controller.getVolume().volume);
+    await scheduledTasks.at(-1).callback();
+  }
+  await fade;
+  levels.push(controller.getVolume().volume);
+
+  assert.deepEqual(levels, [87, 71, 50, 0]);
+});
+
+test('setVolume during a ramp cancels the automation and wins', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller, audio, scheduledTasks } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+  const originGain = audio.gainNodes[0].gain;
+
+  const fade = controller.fadeToVolume(50, { durationMs: 400 });
+  await Promise.resolve();
+  const wait = scheduledTasks.at(-1);
+
+  await controller.setVolume(120);
+  assert.deepEqual(originGain.events.slice(-2), [['cancel', 2], ['set', 1.5, 2]]);
+  assert.equal(originGain.value, 1.2);
+
+  await wait.callback();
+  await fade;
+
+  assert.equal(controller.getVolume().volume, 120);
+  assert.equal(originGain.value, 1.2);
+});
+
+test('muting mid-ramp remembers the level reached, not the fade target', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller, audio, scheduledTasks } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+
+  const fade = controller.fadeToVolume(0, { durationMs: 400, curve: 'linear' });
+  await Promise.resolve();
+  const wait = scheduledTasks.at(-1);
+  assert.equal(controller.getVolume().volume, 150);
+
+  audio.setCurrentTime(2.2);
+  await controller.mute();
+  await wait.callback();
+  await fade;
+
+  const res = await controller.unmute();
+  assert.equal(res.volume, 75);
+  assert.equal(audio.gainNodes[0].gain.value, 0.75);
+});
+
+test('media changes during a ramp do not overwrite the ramping gain', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller, audio, scheduledTasks } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+  const originGain = audio.gainNodes[0].gain;
+
+  const fade = controller.fadeToVolume(50, { durationMs: 400 });
+  await Promise.resolve();
+  const wait = scheduledTasks.at(-1);
+  await controller.handleMediaChange();
+
+  assert.equal(originGain.value, 1.5);
+
+  await wait.callback();
+  await fade;
+  assert.equal(originGain.value, 0.5);
+});
+
+// ─── Sleep timer ─────────────────────────────────────────────────────────────
+
+test('sleepNow fades to silence, pauses media and restores the saved volume', async () => {
+  const paused = [];
+  const media = [createMedia({ pause() { paused.push('a'); } }), createMedia({ pause() { paused.push('b'); } })];
+  const { controller, storage, storageKey } = createController({ media, persistedVolume: 80, autoRunScheduled: true });
+  await controller.init();
+
+  const res = await controller.handleMessage({ action: 'sleep-now', fadeMs: 90 });
+
+  assert.deepEqual(res, { ok: true, volume: 80, paused: true });
+  assert.deepEqual(paused, ['a', 'b']);
+  assert.equal(controller.getVolume().volume, 80);
+  assert.equal(media[0].volume, 0.8);
+  assert.ok(storage.writes.every(write => !write[storageKey] || write[storageKey].volume !== 0), 'silence is never persisted');
+});
+
+test('sleepNow does not pause when the fade is interrupted', async () => {
+  const paused = [];
+  const media = [createMedia({ pause() { paused.push('a'); } })];
+  const { controller, scheduledTasks } = createController({ media, persistedVolume: 80 });
+  await controller.init();
+
+  const sleeping = controller.sleepNow(300);
+  await Promise.resolve();
+  await controller.setVolume(60);
+  for (const task of scheduledTasks.filter(item => !item.cleared)) {
+    await task.callback();
+  }
+  const res = await sleeping;
+
+  assert.equal(res.ok, false);
+  assert.deepEqual(paused, []);
+  assert.equal(controller.getVolume().volume, 60);
+});
+
+test('get-media-remaining reports the longest time left on playing media', async () => {
+  const media = [
+    createMedia({ paused: false, duration: 600, currentTime: 540, playbackRate: 2 }),
+    createMedia({ paused: false, duration: 100, currentTime: 90 }),
+    createMedia({ paused: true, duration: 3600, currentTime: 0 }),
+    createMedia({ paused: false, duration: Infinity, currentTime: 10 })
+  ];
+  const { controller } = createController({ media });
+  await controller.init();
+
+  assert.deepEqual(await controller.handleMessage({ action: 'get-media-remaining' }), { ok: true, remainingMs: 30000 });
+});
+
+test('get-media-remaining fails when nothing with an end is playing', async () => {
+  const { controller } = createController({ media: [createMedia({ paused: true, duration: 60 })] });
+  await controller.init();
+
+  assert.deepEqual(controller.getMediaRemaining(), { ok: false, remainingMs: null });
+});
+
+// ─── Per-element mixer ───────────────────────────────────────────────────────
+
+test('get-media lists every element with a stable id and its playback details', async () => {
+  const media = [
+    createMedia({ tagName: 'VIDEO', currentSrc: 'https://example.com/bg.mp4', duration: 30, paused: false }),
+    createMedia({ tagName: 'AUDIO', src: 'https://example.com/ping.mp3', duration: NaN, paused: true })
+  ];
+  const { controller } = createController({ media });
+  await controller.init();
+
+  const first = await controller.handleMessage({ action: 'get-media' });
+  const second = await controller.handleMessage({ action: 'get-media' });
+
+  assert.deepEqual(first.elements[0], {
+    id: 1,
+    tag: 'video',
+    src: 'https://example.com/bg.mp4',
+    duration: 30,
+    paused: false,
+    volume: 100,
+    muted: false,
+    excluded: false,
+    wired: false
+  });
+  assert.equal(first.elements[1].duration, null);
+  assert.equal(first.elements[1].paused, true);
+  assert.deepEqual(second.elements.map(item => item.id), [1, 2]);
+});
+
+test('set-element-volume stacks on top of the origin volume on the native path', async () => {
+  const media = [createMedia(), createMedia()];
+  const { controller } = createController({ media, persistedVolume: 80 });
+  await controller.init();
+  const { elements } = controller.getMedia();
+
+  const res = await controller.handleMessage({ action: 'set-element-volume', id: elements[0].id, volume: 50 });
+
+  assert.equal(res.ok, true);
+  assert.equal(res.volume, 50);
+  assert.equal(media[0].volume, 0.4);
+  assert.equal(media[1].volume, 0.8);
+});
+
+test('per-element boost above 100% wires only that element through its own gain node', async () => {
+  const media = [
+    createMedia({ currentSrc: 'https://example.com/podcast.mp3' }),
+    createMedia({ currentSrc: 'https://example.com/ding.mp3' })
+  ];
+  const { controller, audio } = createController({ media, persistedVolume: 80 });
+  await controller.init();
+  const { elements } = controller.getMedia();
+
+  await controller.setElementVolume(elements[0].id, 200);
+
+  assert.deepEqual(audio.sourceCalls, [media[0]]);
+  assert.equal(media[0].volume, 1);
+  assert.equal(media[1].volume, 0.8);
+  assert.equal(controller.getMedia().elements[0].wired, true);
+});
+
+test('element gain node follows per-element volume and mute on the GainNode path', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(150);
+  const [{ id }] = controller.getMedia().elements;
+  const [originGain, elementGain] = audio.gainNodes;
+
+  await controller.setElementVolume(id, 50);
+  assert.equal(originGain.gain.value, 1.5);
+  assert.equal(elementGain.gain.value, 0.5);
+  assert.equal(elementGain.connectedTarget, originGain);
+  assert.equal(media[0].volume, 1);
+
+  await controller.setElementMuted(id, true);
+  assert.equal(elementGain.gain.value, 0);
+  assert.equal(controller.getMedia().elements[0].muted, true);
+});
+
+test('excluding a wired element routes it around the origin gain', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(150);
+  const [{ id }] = controller.getMedia().elements;
+  const [originGain, elementGain] = audio.gainNodes;
+
+  await controller.setElementExcluded(id, true);
+  assert.equal(elementGain.connectedTarget.id, 'destination');
+  assert.equal(elementGain.gain.value, 1);
+
+  await controller.setElementExcluded(id, false);
+  assert.equal(elementGain.connectedTarget, originGain);
+});
+
+test('excluded elements are left untouched by origin volume changes', async () => {
+  const media = [createMedia({ volume: 0.9 }), createMedia()];
+  const { controller } = createController({ media });
+  await controller.init();
+  const { elements } = controller.getMedia();
+
+  await controller.handleMessage({ action: 'set-element-excluded', id: elements[0].id, excluded: true });
+  await controller.setVolume(30);
+
+  assert.equal(media[0].volume, 1);
+  assert.equal(media[1].volume, 0.3);
+  assert.equal(controller.getMedia().elements[0].excluded, true);
+});
+
+test('element actions report ok: false for unknown ids', async () => {
+  const { controller } = createController({ media: [createMedia()] });
+  await controller.init();
+
+  assert.deepEqual(await controller.setElementVolume(99, 50), { ok: false, id: 99 });
+});
+
+// ─── Limiter ─────────────────────────────────────────────────────────────────
+
+test('limiter defaults to off and leaves the gain node wired to the destination', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(180);
+
+  assert.deepEqual(await controller.handleMessage({ action: 'get-limiter' }), {
+    preset: 'off',
+    presets: ['off', 'gentle', 'brickwall']
+  });
+  assert.equal(audio.compressorNodes.length, 0);
+  assert.equal(audio.gainNodes[0].connectedTarget.id, 'destination');
+});
+
+test('set-limiter inserts a configured compressor between the gain node and the destination', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio, storage } = createController({ media });
+  await controller.init();
+  await controller.setVolume(180);
+
+  const res = await controller.handleMessage({ action: 'set-limiter', preset: 'brickwall' });
+  const [limiter] = audio.compressorNodes;
+
+  assert.deepEqual(res, { ok: true, preset: 'brickwall' });
+  assert.equal(audio.gainNodes[0].connectedTarget, limiter);
+  assert.equal(limiter.connectedTarget.id, 'destination');
+  assert.equal(limiter.threshold.value, AudioEffects.LIMITER_PRESETS.brickwall.threshold);
+  assert.equal(limiter.ratio.value, AudioEffects.LIMITER_PRESETS.brickwall.ratio);
+  assert.deepEqual(storage.writes.at(-1), { 'vc:limiter:https://example.com': 'brickwall' });
+});
+
+test('switching the limiter off removes it from the chain', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(180);
+  await controller.setLimiter('gentle');
+
+  await controller.setLimiter('off');
+
+  assert.equal(audio.gainNodes[0].connectedTarget.id, 'destination');
+  assert.equal(audio.compressorNodes[0].connectedTarget, null);
+});
+
+test('persisted limiter preset is restored and applied once boost creates the context', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({
+    media,
+    persistedVolume: 150,
+    persistedSettings: { 'vc:limiter:https://example.com': 'gentle' }
+  });
+
+  await controller.init();
+
+  assert.equal(controller.getLimiter().preset, 'gentle');
+  assert.equal(audio.compressorNodes.length, 1);
+  assert.equal(audio.gainNodes[0].connectedTarget, audio.compressorNodes[0]);
+  assert.equal(audio.compressorNodes[0].threshold.value, AudioEffects.LIMITER_PRESETS.gentle.threshold);
+});
+
+test('unknown limiter presets fall back to off', async () => {
+  const { controller } = createController();
+  await controller.init();
+
+  assert.deepEqual(await controller.setLimiter('extreme'), { ok: true, preset: 'off' });
+});
+
+// ─── Equalizer ───────────────────────────────────────────────────────────────
+
+test('get-eq reports a flat curve, band frequencies and built-in presets by default', async () => {
+  const { controller } = createController();
+  await controller.init();
+
+  const res = await controller.handleMessage({ action: 'get-eq' });
+
+  assert.equal(res.preset, 'flat');
+  assert.deepEqual(res.gains, [0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  assert.deepEqual(res.frequencies, AudioEffects.EQ_FREQUENCIES);
+  assert.deepEqual(res.presets.map(item => item.id), ['flat', 'voice', 'bassBoost', 'trebleCut']);
+});
+
+test('a non-flat EQ wires media even at volumes up to 100%', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/talk.mp3' })];
+  const { controller, audio } = createController({ media, persistedVolume: 60 });
+  await controller.init();
+
+  await controller.handleMessage({ action: 'set-eq-preset', preset: 'voice' });
+
+  assert.deepEqual(audio.sourceCalls, [media[0]]);
+  assert.equal(media[0].volume, 1);
+  assert.equal(audio.gainNodes[0].gain.value, 0.6);
+  assert.equal(audio.filterNodes.length, AudioEffects.EQ_FREQUENCIES.length);
+  assert.equal(audio.gainNodes[0].connectedTarget, audio.filterNodes[0]);
+  assert.equal(audio.filterNodes.at(-1).connectedTarget.id, 'destination');
+  assert.deepEqual(audio.filterNodes.map(node => node.gain.value), AudioEffects.EQ_PRESETS.voice.gains);
+});
+
+test('EQ sits in front of the limiter in the processing chain', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/talk.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+
+  await controller.setLimiter('gentle');
+  await controller.setEqPreset('bassBoost');
+
+  assert.equal(audio.filterNodes.at(-1).connectedTarget, audio.compressorNodes[0]);
+  assert.equal(audio.compressorNodes[0].connectedTarget.id, 'destination');
+});
+
+test('set-eq clamps custom gains and persists them per origin', async () => {
+  const { controller, storage } = createController();
+  await controller.init();
+
+  const res = await controller.handleMessage({ action: 'set-eq', gains: [20, -20, 3.25, 'x'] });
+
+  assert.deepEqual(res.gains, [12, -12, 3.3, 0, 0, 0, 0, 0, 0, 0]);
+  assert.equal(res.preset, 'custom');
+  assert.deepEqual(storage.writes.at(-1), {
+    'vc:eq:https://example.com': { preset: 'custom', gains: [12, -12, 3.3, 0, 0, 0, 0, 0, 0, 0] }
+  });
+});
+
+test('persisted EQ is restored on init', async () => {
+  const gains = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  const { controller } = createController({
+    persistedSettings: { 'vc:eq:https://example.com': { preset: 'custom', gains } }
+  });
+
+  await controller.init();
+
+  assert.deepEqual(controller.getEq().gains, gains);
+  assert.equal(controller.getEq().preset, 'custom');
+});
+
+test('user presets can be saved, selected and deleted', async () => {
+  const { controller, storage } = createController();
+  await controller.init();
+  await controller.setEq([4, 4, 0, 0, 0, 0, 0, 0, -4, -4]);
+
+  const saved = await controller.handleMessage({ action: 'save-eq-preset', name: ' Podcast ' });
+  assert.equal(saved.preset, 'user:Podcast');
+  assert.deepEqual(saved.presets.at(-1), { id: 'user:Podcast', label: 'Podcast', builtIn: false });
+  assert.deepEqual(storage.writes.find(write => 'vc:eqPresets' in write), {
+    'vc:eqPresets': { Podcast: [4, 4, 0, 0, 0, 0, 0, 0, -4, -4] }
+  });
+
+  await controller.setEqPreset('flat');
+  const selected = await controller.setEqPreset('user:Podcast');
+  assert.deepEqual(selected.gains, [4, 4, 0, 0, 0, 0, 0, 0, -4, -4]);
+
+  const deleted = await controller.handleMessage({ action: 'delete-eq-preset', name: 'Podcast' });
+  assert.equal(deleted.preset, 'custom');
+  assert.equal(deleted.presets.some(item => item.id === 'user:Podcast'), false);
+});
+
+test('unknown EQ presets are rejected without changing the curve', async () => {
+  const { controller } = createController();
+  await controller.init();
+
+  assert.deepEqual(await controller.setEqPreset('loudness'), { ok: false, preset: 'loudness' });
+  assert.equal(controller.getEq().preset, 'flat');
+});
+
+// ─── Stereo ──────────────────────────────────────────────────────────────────
+
+test('get-stereo reports neutral balance, swap and mono by default', async () => {
+  const { controller } = createController();
+  await controller.init();
+
+  assert.deepEqual(await controller.handleMessage({ action: 'get-stereo' }), { balance: 0, swap: false, mono: false });
+});
+
+test('balance wires media at normal volume and inserts a stereo panner', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/lecture.mp4' })];
+  const { controller, audio, storage } = createController({ media, persistedVolume: 100 });
+  await controller.init();
+
+  const res = await controller.handleMessage({ action: 'set-stereo', balance: -40 });
+  const panner = audio.stereoNodes.find(node => node.kind === 'panner');
+
+  assert.deepEqual(res, { ok: true, balance: -40, swap: false, mono: false });
+  assert.deepEqual(audio.sourceCalls, [media[0]]);
+  assert.equal(panner.pan.value, -0.4);
+  assert.equal(audio.gainNodes[0].connectedTarget, panner);
+  assert.equal(panner.connectedTarget.id, 'destination');
+  assert.deepEqual(storage.writes.at(-1), { 'vc:stereo:https://example.com': { balance: -40, swap: false, mono: false } });
+});
+
+test('channel swap crosses the splitter outputs into the merger', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/lecture.mp4' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+
+  await controller.setStereo({ swap: true });
+  const splitter = audio.stereoNodes.find(node => node.kind === 'splitter');
+  const merger = audio.stereoNodes.find(node => node.kind === 'merger');
+
+  assert.deepEqual(splitter.connections.map(({ output, input }) => [output, input]), [[0, 1], [1, 0]]);
+  assert.equal(audio.gainNodes[0].connectedTarget, splitter);
+  assert.equal(merger.connectedTarget.id, 'destination');
+});
+
+test('mono downmix uses a single-channel gain node and keeps the previous balance', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/lecture.mp4' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setStereo({ balance: 20 });
+
+  const res = await controller.setStereo({ mono: true, swap: true });
+  const downmix = audio.gainNodes.find(node => node.channelCount === 1);
+
+  assert.deepEqual(res, { ok: true, balance: 20, swap: true, mono: true });
+  assert.equal(downmix.channelCountMode, 'explicit');
+  assert.equal(audio.gainNodes[0].connectedTarget, downmix);
+  assert.equal(audio.stereoNodes.some(node => node.kind === 'splitter'), false);
+});
+
+test('stereo processing still skips cross-origin media without CORS', async () => {
+  const media = [createMedia({ currentSrc: 'https://cdn.example.net/remote.mp4' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+
+  await controller.setStereo({ mono: true });
+
+  assert.equal(audio.sourceCalls.length, 0);
+  assert.equal(media[0].volume, 1);
+});
+
+test('persisted stereo settings are restored on init', async () => {
+  const { controller } = createController({
+    persistedSettings: { 'vc:stereo:https://example.com': { balance: 150, swap: true, mono: 'yes' } }
+  });
+
+  await controller.init();
+
+  assert.deepEqual(controller.getStereo(), { balance: 100, swap: true, mono: false });
+});
+
+// ─── Loudness normalization ──────────────────────────────────────────────────
+
+async function enableNormalization(options = {}) {
+  const media = [createMedia({ currentSrc: 'https://example.com/episode.mp4' })];
+  const harness = createController({ media, ...options });
+  await harness.controller.init();
+  await harness.controller.setNormalize({ enabled: true, targetDb: -20, maxBoostDb: 6 });
+  const loudnessGain = harness.audio.gainNodes[1];
+  return { ...harness, media, loudnessGain };
+}
+
+async function runLoudnessTicks(scheduledTasks, count) {
+  for (let i = 0; i < count; i += 1) {
+    const task = scheduledTasks.filter(item => !item.cleared && item.delay === 200).at(-1);
+    task.cleared = true;
+    await task.callback();
+  }
+}
+
+test('normalize is off by default and reported through get-state', async () => {
+  const { controller } = createController();
+  await controller.init();
+
+  assert.deepEqual(controller.getState().normalize, { enabled: false, targetDb: -20, maxBoostDb: 6, correctionDb: 0 });
+});
+
+test('enabling normalize wires media and taps an analyser on the origin gain output', async () => {
+  const { controller, audio, media, loudnessGain, storage } = await enableNormalization();
+
+  assert.deepEqual(audio.sourceCalls, [media[0]]);
+  assert.equal(audio.analyserNodes.length, 1);
+  assert.deepEqual(audio.gainNodes[0].connections.map(item => item.target), [loudnessGain, audio.analyserNodes[0]]);
+  assert.equal(loudnessGain.connectedTarget.id, 'destination');
+  assert.equal(controller.getNormalize().enabled, true);
+  assert.deepEqual(storage.writes.at(-1), {
+    'vc:normalize:https://example.com': { enabled: true, targetDb: -20, maxBoostDb: 6 }
+  });
+});
+
+test('quiet material is boosted slowly and never beyond the maximum boost', async () => {
+  const { controller, audio, scheduledTasks, loudnessGain } = await enableNormalization();
+  audio.setAnalyserLevel(0.01);
+
+  await runLoudnessTicks(scheduledTasks, 1);
+  assert.equal(controller.getState().normalize.correctionDb, 0.5);
+
+  await runLoudnessTicks(scheduledTasks, 30);
+  assert.equal(controller.getState().normalize.correctionDb, 6);
+  assert.equal(loudnessGain.gain.value, AudioEffects.dbToGain(6));
+});
+
+test('loud material is attenuated toward the target level', async () => {
+  const { controller, audio, scheduledTasks } = await enableNormalization();
+  audio.setAnalyserLevel(0.5);
+
+  await runLoudnessTicks(scheduledTasks, 4);
+
+  assert.equal(controller.getNormalize().correctionDb, -2);
+});
+
+test('measurement compensates for the origin volume so the slider is not undone', async () => {
+  const { controller, audio, scheduledTasks } = await enableNormalization({ persistedVolume: 50 });
+  audio.setAnalyserLevel(0.05);
+
+  await runLoudnessTicks(scheduledTasks, 40);
+
+  assert.ok(Math.abs(controller.getNormalize().correctionDb) <= AudioEffects.LOUDNESS_STEP_DB);
+  assert.equal(audio.gainNodes[0].gain.value, 0.5);
+});
+
+test('silence holds the current correction', async () => {
+  const { controller, audio, scheduledTasks } = await enableNormalization();
+  audio.setAnalyserLevel(0.01);
+  await runLoudnessTicks(scheduledTasks, 2);
+
+  audio.setAnalyserLevel(0);
+  await runLoudnessTicks(scheduledTasks, 5);
+
+  assert.equal(controller.getNormalize().correctionDb, 1);
+});
+
+test('disabling normalize cancels sampling and resets the correction', async () => {
+  const { controller, audio, scheduledTasks, loudnessGain } = await enableNormalization();
+  audio.setAnalyserLevel(0.01);
+  await runLoudnessTicks(scheduledTasks, 2);
+
+  const res = await controller.handleMessage({ action: 'set-normalize', enabled: false });
+
+  assert.deepEqual(res, { ok: true, enabled: false, targetDb: -20, maxBoostDb: 6, correctionDb: 0 });
+  assert.equal(scheduledTasks.filter(item => !item.cleared && item.delay === 200).length, 0);
+  assert.equal(loudnessGain.gain.value, 1);
+});
+
+// ─── Level meter ─────────────────────────────────────────────────────────────
+
+test('getLevels is inactive while nothing is routed through Web Audio', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller } = createController({ media });
+  await controller.init();
+
+  controller.startMetering();
+
+  assert.deepEqual(controller.getLevels(), { active: false, peak: 0, rms: 0, peakDb: -100, rmsDb: -100, clipped: false });
+});
+
+test('metering taps an analyser on the end of the chain and reports peak and RMS', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(150);
+  await controller.setLimiter('gentle');
+
+  controller.startMetering();
+  audio.setAnalyserLevel(0.5);
+  const levels = controller.getLevels();
+  const [meter] = audio.analyserNodes;
+
+  assert.ok(audio.compressorNodes[0].connections.some(item => item.target === meter));
+  assert.equal(levels.active, true);
+  assert.equal(levels.peak, 0.5);
+  assert.equal(levels.rms, 0.5);
+  assert.equal(levels.clipped, false);
+  assert.equal(Math.round(levels.peakDb), -6);
+});
+
+test('getLevels flags clipping when the output peak reaches full scale', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(200);
+
+  controller.startMetering();
+  audio.setAnalyserLevel(1.2);
+
+  assert.equal(controller.getLevels().clipped, true);
+});
+
+test('the meter follows the chain tail when stages change', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(150);
+  controller.startMetering();
+  const [meter] = audio.analyserNodes;
+
+  await controller.setLimiter('brickwall');
+
+  assert.ok(audio.compressorNodes[0].connections.some(item => item.target === meter));
+  assert.equal(audio.gainNodes[0].connections.some(item => item.target === meter), false);
+});
+
+test('stopMetering disconnects the analyser once the last subscriber leaves', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/song.mp3' })];
+  const { controller, audio } = createController({ media });
+  await controller.init();
+  await controller.setVolume(150);
+
+  controller.startMetering();
+  controller.startMetering();
+  const [meter] = audio.analyserNodes;
+  controller.stopMetering();
+  assert.ok(audio.gainNodes[0].connections.some(item => item.target === meter));
+
+  controller.stopMetering();
+  assert.equal(audio.gainNodes[0].connections.some(item => item.target === meter), false);
+  assert.equal(controller.getLevels().active, false);
+});
+
+// ─── Settings origin ─────────────────────────────────────────────────────────
+
+test('resolveSettingsOrigin maps load and persist onto the inherited origin', async () => {
+  const media = [createMedia({ src: 'https://player.example.net/clip.mp4' })];
+  const { controller, storage, audio } = createController({
+    media,
+    origin: 'https://player.example.net',
+    persistedSettings: {
+      'vc:origin:https://news.example.com': 150,
+      'vc:limiter:https://news.example.com': 'gentle'
+    },
+    resolveSettingsOrigin: async () => 'https://news.example.com'
+  });
+
+  await controller.init();
+
+  assert.equal(controller.getVolume().volume, 150);
+  assert.equal(controller.getLimiter().preset, 'gentle');
+  assert.equal(audio.sourceCalls.length, 1, 'same-origin check still uses the frame origin');
+
+  await controller.setVolume(70);
+
+  assert.deepEqual(storage.writes.at(-1), { 'vc:origin:https://news.example.com': { volume: 70 } });
+});
+
+test('resolveSettingsOrigin falling back to nothing keeps the frame origin', async () => {
+  const { controller, storage } = createController({
+    persistedVolume: 45,
+    resolveSettingsOrigin: async () => ''
+  });
+
+  await controller.init();
+  await controller.setVolume(60);
+
+  assert.equal(storage.writes.at(-1)['vc:origin:https://example.com'].volume, 60);
+});
+
+// ─── Diagnostics ─────────────────────────────────────────────────────────────
+
+test('get-diagnostics explains why each element is or is not boosted', async () => {
+  const wired = createMedia({ src: 'https://example.com/a.mp4' });
+  const noSrc = createMedia();
+  const crossOrigin = createMedia({ src: 'https://cdn.example.net/b.mp4' });
+  const rejected = createMedia({ src: 'blob:https://example.com/1', rejectSource: true });
+  const media = [wired, noSrc, crossOrigin, rejected];
+  const { controller } = createController({ media, persistedVolume: 150 });
+
+  await controller.init();
+  const diagnostics = await controller.handleMessage({ action: 'get-diagnostics' });
+
+  assert.equal(diagnostics.audioContext, 'running');
+  assert.equal(diagnostics.boosting, true);
+  assert.equal(diagnostics.wiredCount, 1);
+  assert.deepEqual(diagnostics.elements.map(item => [item.status, item.reason]), [
+    ['wired', null],
+    ['skipped', 'no-src'],
+    ['skipped', 'cross-origin'],
+    ['skipped', 'source-failed']
+  ]);
+  assert.equal(diagnostics.elements[2].src, 'https://cdn.example.net/b.mp4');
+});
+
+test('get-diagnostics previews blockers for elements on the native path', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' }), createMedia({ src: 'https://cdn.example.net/b.mp4' })];
+  const { controller } = createController({ media, persistedVolume: 80 });
+
+  await controller.init();
+  const diagnostics = controller.getDiagnostics();
+
+  assert.equal(diagnostics.audioContext, 'none');
+  assert.deepEqual(diagnostics.elements.map(item => [item.status, item.reason]), [
+    ['native', 'not-needed'],
+    ['native', 'cross-origin']
+  ]);
+});
+
+test('get-diagnostics reports pending elements while the context is suspended', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller } = createController({ media, persistedVolume: 150, audioOptions: { initialState: 'suspended' } });
+
+  await controller.init();
+  const diagnostics = controller.getDiagnostics();
+
+  assert.equal(diagnostics.audioContext, 'suspended');
+  assert.equal(diagnostics.elements[0].status, 'pending');
+  assert.equal(diagnostics.elements[0].reason, 'context-suspended');
+});
+
+test('get-diagnostics names the blocker of a pending element instead of the suspended context', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' }), createMedia({ src: 'https://cdn.example.net/b.mp4' })];
+  const { controller } = createController({ media, persistedVolume: 150, audioOptions: { initialState: 'suspended' } });
+
+  await controller.init();
+
+  assert.deepEqual(controller.getDiagnostics().elements.map(item => [item.status, item.reason]), [
+    ['pending', 'context-suspended'],
+    ['pending', 'cross-origin']
+  ]);
+});
+
+test('get-diagnostics reports excluded elements', async () => {
+  const media = [createMedia({ src: 'https://example.com/a.mp4' })];
+  const { controller } = createController({ media, persistedVolume: 150 });
+
+  await controller.init();
+  const [item] = controller.getMedia().elements;
+  await controller.handleMessage({ action: 'set-element-excluded', id: item.id, excluded: true });
+
+  assert.deepEqual(controller.getDiagnostics().elements.map(entry => [entry.status, entry.reason]), [
+    ['excluded', 'excluded']
+  ]);
+});
+
+// ─── Source changes ──────────────────────────────────────────────────────────
+
+function withSourceEvents(media) {
+  const listeners = new Map();
+  media.addEventListener = (type, listener) => {
+    listeners.set(type, [...(listeners.get(type) || []), listener]);
+  };
+  media.dispatch = type => {
+    (listeners.get(type) || []).forEach(listener => listener());
+  };
+  media.listenerCount = type => (listeners.get(type) || []).length;
+  return media;
+}
+
+test('known elements get one loadstart and one emptied listener', async () => {
+  const el = withSourceEvents(createMedia());
+  const { controller } = createController({ media: [el], persistedVolume: 150 });
+
+  await controller.init();
+  await controller.setVolume(160);
+
+  assert.equal(el.listenerCount('loadstart'), 1);
+  assert.equal(el.listenerCount('emptied'), 1);
+});
+
+test('an element skipped for having no src is wired once a blob source loads', async () => {
+  const el = withSourceEvents(createMedia());
+  const { controller, audio } = createController({ media: [el], persistedVolume: 150 });
+
+  await controller.init();
+  assert.equal(controller.getDiagnostics().elements[0].reason, 'no-src');
+  assert.equal(el.volume, 1);
+
+  el.currentSrc = 'blob:https://example.com/3f2a';
+  el.dispatch('loadstart');
+  await Promise.resolve();
+
+  assert.equal(audio.sourceCalls.length, 1);
+  assert.equal(controller.getDiagnostics().elements[0].status, 'wired');
+  assert.equal(controller.getMedia().elements[0].wired, true);
+});
+
+test('an element skipped as cross-origin is wired after switching to a same-origin source', async () => {
+  const el = withSourceEvents(createMedia({ src: 'https://cdn.example.net/a.mp4' }));
+  const { controller, audio } = createController({ media: [el], persistedVolume: 150 });
+
+  await controller.init();
+  assert.equal(audio.sourceCalls.length, 0);
+
+  el.src = 'https://example.com/a.mp4';
+  el.dispatch('emptied');
+  await Promise.resolve();
+
+  assert.equal(audio.sourceCalls.length, 1);
+  assert.equal(controller.getDiagnostics().elements[0].status, 'wired');
+});
+
+test('a source change that keeps the same blocker leaves the element skipped', async () => {
+  const el = withSourceEvents(createMedia({ src: 'https://cdn.example.net/a.mp4' }));
+  const { controller, audio } = createController({ media: [el], persistedVolume: 150 });
+
+  await controller.init();
+
+  el.src = 'https://cdn.example.net/b.mp4';
+  el.dispatch('loadstart');
+  await Promise.resolve();
+
+  assert.equal(audio.sourceCalls.length, 0);
+  assert.equal(controller.getDiagnostics().elements[0].reason, 'cross-origin');
+});
+
+// ─── Targeted mutations ──────────────────────────────────────────────────────
+
+function createCountingMedia(overrides) {
+  const el = createMedia(overrides);
+  let volume = el.volume;
+  el.volumeWrites = 0;
+  Object.defineProperty(el, 'volume', {
+    configurable: true,
+    enumerable: true,
+    get() {
+      return volume;
+    },
+    set(value) {
+      volume = value;
+      el.volumeWrites += 1;
+    }
+  });
+  return el;
+}
+
+test('notifyMediaMutation with elements applies only to those elements', async () => {
+  const existing = createCountingMedia();
+  const media = [existing];
+  const { controller, scheduledTasks, mediaListCalls } = createController({ media, persistedVolume: 40 });
+
+  await controller.init();
+  const writesBefore = existing.volumeWrites;
+  const listCallsBefore = mediaListCalls();
+  const added = createCountingMedia();
+  media.push(added);
+
+  controller.notifyMediaMutation([added]);
+  await scheduledTasks.at(-1).callback();
+
+  assert.equal(added.volume, 0.4);
+  assert.equal(existing.volumeWrites, writesBefore);
+  assert.equal(mediaListCalls(), listCallsBefore);
+});
+
+test('notifyMediaMutation ignores empty batches', async () => {
+  const { controller, scheduledTasks } = createController({ media: [createMedia()] });
+
+  await controller.init();
+  controller.notifyMediaMutation([]);
+
+  assert.equal(scheduledTasks.length, 0);
+});
+
+test('notifyMediaMutation merges batches and an untargeted call forces a full pass', async () => {
+  const existing = createCountingMedia();
+  const first = createCountingMedia();
+  const second = createCountingMedia();
+  const media = [existing, first, second];
+  const { controller, scheduledTasks, mediaListCalls } = createController({ media, persistedVolume: 30 });
+
+  await controller.init();
+  const writesBefore = existing.volumeWrites;
+  controller.notifyMediaMutation([first]);
+  controller.notifyMediaMutation([second]);
+  await scheduledTasks.at(-1).callback();
+
+  assert.equal(first.volume, 0.3);
+  assert.equal(second.volume, 0.3);
+  assert.equal(existing.volumeWrites, writesBefore);
+
+  const listCallsBefore = mediaListCalls();
+  controller.notifyMediaMutation([first]);
+  controller.notifyMediaMutation();
+  await scheduledTasks.at(-1).callback();
+
+  assert.equal(mediaListCalls(), listCallsBefore + 1);
+  assert.ok(existing.volumeWrites > writesBefore);
+});
+
+// A DOM subtree for mutation records, answering selectors like the DOM.
+function createAddedNode(tagName, descendants = []) {
+  return {
+    tagName,
+    querySelectorAll(selector) {
+      const tags = selector.split(',').map(part => part.trim().toUpperCase());
+      return descendants.filter(el => tags.includes(el.tagName));
+    }
+  };
+}
+
+test('1000 mutation batches of non-media churn through collectAddedMedia cause no volume passes', async () => {
+  const el = createCountingMedia();
+  const media = [el];
+  const { controller, scheduledTasks, mediaListCalls } = createController({ media, persistedVolume: 50 });
+
+  await controller.init();
+  const listCallsBefore = mediaListCalls();
+  const writesBefore = el.volumeWrites;
+  const text = { nodeType: 3 };
+
+  for (let batch = 0; batch < 1000; batch += 1) {
+    const records = [
+      { addedNodes: [createAddedNode('DIV', [createAddedNode('SPAN'), createAddedNode('IMG')]), text], removedNodes: [createAddedNode('LI')] },
+      { addedNodes: [], removedNodes: [text] }
+    ];
+    controller.notifyMediaMutation(MediaDiscovery.collectAddedMedia(records));
+  }
+
+  assert.equal(scheduledTasks.length, 0);
+  assert.equal(mediaListCalls(), listCallsBefore);
+  assert.equal(el.volumeWrites, writesBefore);
+
+  const added = createCountingMedia({ tagName: 'VIDEO' });
+  media.push(added);
+  controller.notifyMediaMutation(MediaDiscovery.collectAddedMedia([
+    { addedNodes: [createAddedNode('ARTICLE', [createAddedNode('P'), added])], removedNodes: [] }
+  ]));
+  assert.equal(scheduledTasks.length, 1);
+  await scheduledTasks[0].callback();
+
+  assert.equal(added.volume, 0.5);
+  assert.equal(el.volumeWrites, writesBefore);
+  assert.equal(mediaListCalls(), listCallsBefore);
+});
+
+// ─── Quiet hours ─────────────────────────────────────────────────────────────
+
+test('init applies the quiet-hours cap without changing the saved volume', async () => {
+  const media = [createMedia()];
+  const { controller, storage } = createController({ media, persistedVolume: 150, resolveVolumeCap: async () => 40 });
+  await controller.init();
+
+  assert.equal(media[0].volume, 0.4);
+  assert.equal(controller.getVolume().volume, 40);
+  assert.equal(controller.getState().volumeCap, 40);
+  assert.equal(controller.getState().siteVolume, 150);
+  assert.equal(storage.writes.length, 0);
+});
+
+test('set-volume-cap limits new volumes and lifting it restores the saved level', async () => {
+  const media = [createMedia()];
+  const { controller } = createController({ media, persistedVolume: 90 });
+  await controller.init();
+
+  const capped = await controller.handleMessage({ action: 'set-volume-cap', cap: 40 });
+  assert.deepEqual(capped, { ok: true, volume: 40, volumeCap: 40 });
+  assert.equal(media[0].volume, 0.4);
+
+  assert.equal((await controller.setVolume(120)).volume, 40);
+  assert.equal((await controller.stepVolume(-10)).volume, 30);
+  assert.equal(media[0].volume, 0.3);
+
+  await controller.handleMessage({ action: 'set-volume-cap', cap: null });
+  assert.equal(controller.getVolume().volume, 30);
+  assert.equal(media[0].volume, 0.3);
+});
+
+test('stepping while capped moves the saved level, not the cap, so lifting it restores level plus step', async () => {
+  const media = [createMedia()];
+  const { controller, storage } = createController({ media, persistedVolume: 150, resolveVolumeCap: async () => 40 });
+  await controller.init();
+
+  assert.equal((await controller.stepVolume(5)).volume, 40);
+  assert.equal(media[0].volume, 0.4);
+  assert.deepEqual(storage.writes.at(-1), { 'vc:origin:https://example.com': { volume: 155 } });
+
+  await controller.setVolumeCap(null);
+  assert.equal(controller.getVolume().volume, 155);
+});
+
+test('a per-element boost cannot lift an element past the cap', async () => {
+  const media = [createMedia({ currentSrc: 'https://example.com/podcast.mp3' })];
+  const { controller } = createController({ media, persistedVolume: 50, resolveVolumeCap: async () => 40 });
+  await controller.init();
+  const { elements } = controller.getMedia();
+
+  await controller.setElementVolume(elements[0].id, 50);
+  assert.equal(media[0].volume, 0.2);
+
+  await controller.setElementVolume(elements[0].id, 200);
+  assert.equal(media[0].volume, 0.4);
+});
+
+// ─── Master volume ───────────────────────────────────────────────────────────
+
+test('the saved master level scales the site volume and both are reported', async () => {
+  const media = [createMedia()];
+  const badges = [];
+  const { controller } = createController({
+    media,
+    persistedVolume: 80,
+    persistedSettings: { 'vc:masterVolume': 50 },
+    notifyBadge: async (volume, effective) => badges.push([volume, effective])
+  });
+  await controller.init();
+
+  assert.equal(media[0].volume, 0.4);
+  assert.equal(controller.getState().volume, 80);
+  assert.equal(controller.getState().masterVolume, 50);
+  assert.equal(controller.getState().effectiveVolume, 40);
+  assert.deepEqual(badges, [[80, 40]]);
+});
+
+test('the badge reports what is heard when the master level and a quiet-hours cap combine', async () => {
+  const media = [createMedia()];
+  const badges = [];
+  const { controller } = createController({
+    media,
+    persistedVolume: 100,
+    persistedSettings: { 'vc:masterVolume': 50 },
+    resolveVolumeCap: async () => 40,
+    notifyBadge: async (volume, effective) => badges.push([volume, effective])
+  });
+  await controller.init();
+
+  assert.equal(media[0].volume, 0.4);
+  assert.equal(controller.getState().effectiveVolume, 40);
+  assert.deepEqual(badges.at(-1), [40, 40]);
+});
+
+test('set-master-volume rescales every element without touching the site volume', async () => {
+  const media = [createMedia(), createMedia()];
+  const { controller, storage } = createController({ media, persistedVolume: 150 });
+  await controller.init();
+
+  const res = await controller.handleMessage({ action: 'set-master-volume', volume: 50 });
+
+  assert.deepEqual(res, { ok: true, masterVolume: 50, effectiveVolume: 75 });
+  assert.deepEqual(media.map(el => el.volume), [0.75, 0.75]);
+  assert.equal(controller.getVolume().volume, 150);
+  assert.equal(storage.writes.length, 0);
+});
+
+// ─── Site rules ──────────────────────────────────────────────────────────────
+
+const SHORTS_RULES = [
+  { id: 'yt', pattern: 'youtube.com', volume: 70 },
+  { id: 'shorts', pattern: 'youtube.com/shorts', volume: 30, eqPreset: 'voice', locked: true }
+];
+
+test('the most specific rule for the page decides the starting volume, EQ and lock', async () => {
+  const media = [createMedia()];
+  const { controller } = createController({
+    media,
+    origin: 'https://www.youtube.com',
+    pageUrl: 'https://www.youtube.com/shorts/abc',
+    persistedVolume: 100,
+    persistedSettings: { 'vc:siteRules': SHORTS_RULES }
+  });
+  await controller.init();
+
+  assert.equal(media[0].volume, 0.3);
+  assert.equal(controller.getEq().preset, 'voice');
+  assert.equal(controller.getVolume().isLocked, true);
+  assert.equal(controller.getState().siteRule, 'youtube.com/shorts');
+});
+
+test('volume changes on a rule page are saved into that rule', async () => {
+  const { controller, storage } = createController({
+    origin: 'https://www.youtube.com',
+    pageUrl: 'https://www.youtube.com/watch?v=1',
+    persistedVolume: 100,
+    persistedSettings: { 'vc:siteRules': SHORTS_RULES }
+  });
+  await controller.init();
+
+  await controller.setVolume(55);
+
+  const saved = storage.writes.at(-1)['vc:siteRules'];
+  assert.deepEqual(saved.map(rule => [rule.id, rule.volume]), [['yt', 55], ['shorts', 30]]);
+  assert.equal(storage.writes.some(write => 'vc:origin:https://www.youtube.com' in write), false);
+});
+
+test('SPA navigation switches rules without a reload and falls back to the site settings', async () => {
+  const media = [createMedia()];
+  const { controller } = createController({
+    media,
+    origin: 'https://www.youtube.com',
+    pageUrl: 'https://www.youtube.com/watch?v=1',
+    persistedSettings: { 'vc:siteRules': [SHORTS_RULES[1]], 'vc:origin:https://www.youtube.com': 90 }
+  });
+  await controller.init();
+  assert.equal(media[0].volume, 0.9);
+
+  const res = await controller.handleMessage({ action: 'page-navigated', url: 'https://www.youtube.com/shorts/abc' });
+  assert.deepEqual(res, { ok: true, rule: 'youtube.com/shorts' });
+  assert.equal(media[0].volume, 0.3);
+  assert.equal(controller.getVolume().isLocked, true);
+
+  await controller.handleNavigation('https://www.youtube.com/feed');
+  assert.equal(media[0].volume, 0.9);
+  assert.equal(controller.getVolume().isLocked, false);
+  assert.equal(controller.getEq().preset, 'flat');
+});
+
+test('navigation within the same rule leaves the current volume alone', async () => {
+  const media = [createMedia()];
+  const { controller } = createController({
+    media,
+    origin: 'https://www.youtube.com',
+    pageUrl: 'https://www.youtube.com/shorts/a',
+    persistedSettings: { 'vc:siteRules': SHORTS_RULES }
+  });
+  await controller.init();
+  await controller.fadeToVolume(10, { steps: 1, intervalMs: 0, persist: false });
+
+  await controller.handleNavigation('https://www.youtube.com/shorts/b');
+
+  assert.equal(media[0].volume, 0.1);
+});
+
+// ─── Remembered mute and lock ────────────────────────────────────────────────
+
+test('a saved mute and lock are restored on load and shown on the badge at once', async () => {
+  const media = [createMedia()];
+  const badges = [];
+  const { controller } = createController({
+    media,
+    persistedVolume: { volume: 70, muted: true, preMuteVolume: 70, locked: true },
+    notifyBadge: async (volume, effective, state) => badges.push([volume, state])
+  });
+
+  await controller.init();
+
+  assert.equal(media[0].volume, 0);
+  assert.equal(controller.getVolume().isMuted, true);
+  assert.equal(controller.getVolume().isLocked, true);
+  assert.deepEqual(badges, [[70, { muted: true, locked: true }]]);
+
+  await controller.unmute();
+  assert.equal(media[0].volume, 0.7);
+});
+
+test('states the user chose not to remember start fresh and are not saved', async () => {
+  const media = [createMedia()];
+  const { controller, storage, storageKey } = createController({
+    media,
+    persistedVolume: { volume: 70, muted: true, preMuteVolume: 70, locked: true },
+    persistedSettings: { 'vc:rememberState': { mute: false, lock: true } }
+  });
+
+  await controller.init();
+  assert.equal(controller.getVolume().isMuted, false);
+  assert.equal(controller.getVolume().isLocked, true);
+
+  await controller.mute();
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 70, locked: true } });
+});
+
+test('lockVolume and unlockVolume save the lock with the site record', async () => {
+  const { controller, storage, storageKey } = createController({ media: [createMedia()], persistedVolume: 60 });
+  await controller.init();
+
+  await controller.lockVolume();
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 60, locked: true } });
+
+  await controller.unlockVolume();
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 60 } });
+});
+
+test('a remembered lock survives reset-volume', async () => {
+  const { controller, storage, storageKey } = createController({ media: [createMedia()], persistedVolume: 60 });
+  await controller.init();
+  await controller.lockVolume();
+
+  await controller.handleMessage({ action: 'reset-volume' });
+
+  assert.deepEqual(storage.removedKeys, [storageKey]);
+  assert.deepEqual(storage.writes.at(-1), { [storageKey]: { volume: 100, locked: true } });
+});
+
+test('mute forced by a site rule is not saved as the site\'s own mute', async () => {
+  const { controller, storage } = createController({
+    media: [createMedia()],
+    origin: 'https://www.youtube.com',
+    pageUrl: 'https://www.youtube.com/shorts/abc',
+    persistedSettings: { 'vc:siteRules': [{ id: 'shorts', pattern: 'youtube.com/shorts', muted: true }] }
+  });
+  await controller.init();
+  assert.equal(controller.getVolume().isMuted, true);
+
+  await controller.lockVolume();
+
+  assert.deepEqual(storage.writes.at(-1), { 'vc:origin:https://www.youtube.com': { volume: 100, locked: true } });
+});
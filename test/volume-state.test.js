@@ -3,6 +3,12 @@ const assert = require('node:assert/strict');
 
 const VolumeState = require('../src/volume-state.js');
 
+test('originOfUrl returns the origin of web pages only', () => {
+  assert.equal(VolumeState.originOfUrl('https://meet.example.com/room/42?x=1'), 'https://meet.example.com');
+  assert.equal(VolumeState.originOfUrl('about:blank'), null);
+  assert.equal(VolumeState.originOfUrl(undefined), null);
+});
+
 test('builds a stable storage key from origin', () => {
   assert.equal(
     VolumeState.keyForOrigin('https://example.com'),
@@ -10,6 +16,41 @@ test('builds a stable storage key from origin', () => {
   );
 });
 
+test('builds per-origin setting keys under the vc: namespace', () => {
+  assert.equal(
+    VolumeState.keyForSetting('limiter', 'https://example.com'),
+    'vc:limiter:https://example.com'
+  );
+});
+
+test('recovers the origin from a saved volume key', () => {
+  assert.equal(VolumeState.originFromKey('vc:origin:https://example.com'), 'https://example.com');
+  assert.equal(VolumeState.originFromKey('vc:limiter:https://example.com'), null);
+  assert.equal(VolumeState.originFromKey('vc:origin:'), null);
+  assert.equal(VolumeState.originFromKey(undefined), null);
+});
+
+test('reads site records and the bare volume numbers of schema 1', () => {
+  assert.deepEqual(VolumeState.normalizeSiteRecord({ volume: 140 }), { volume: 140 });
+  assert.deepEqual(VolumeState.normalizeSiteRecord(140), { volume: 140 });
+  assert.deepEqual(VolumeState.normalizeSiteRecord({ volume: 999 }), { volume: 200 });
+  assert.deepEqual(VolumeState.normalizeSiteRecord(undefined), { volume: 100 });
+});
+
+test('site records keep mute and lock only while they are on', () => {
+  assert.deepEqual(
+    VolumeState.normalizeSiteRecord({ volume: 70, muted: true, preMuteVolume: 300, locked: true }),
+    { volume: 70, muted: true, preMuteVolume: 200, locked: true }
+  );
+  assert.deepEqual(VolumeState.normalizeSiteRecord({ volume: 70, muted: true }), { volume: 70, muted: true, preMuteVolume: 70 });
+  assert.deepEqual(VolumeState.normalizeSiteRecord({ volume: 70, muted: false, locked: 'yes' }), { volume: 70 });
+});
+
+test('remembers mute and lock across reloads unless turned off', () => {
+  assert.deepEqual(VolumeState.normalizeRememberState(), { mute: true, lock: true });
+  assert.deepEqual(VolumeState.normalizeRememberState({ mute: false }), { mute: false, lock: true });
+});
+
 test('normalizes volume to an integer between 0 and 200', () => {
   assert.equal(VolumeState.normalizeVolume(150), 150);
   assert.equal(VolumeState.normalizeVolume('180'), 180);
@@ -22,3 +63,10 @@ test('falls back to 100 for missing or invalid values', () => {
   assert.equal(VolumeState.normalizeVolume(null), 100);
   assert.equal(VolumeState.normalizeVolume('abc'), 100);
 });
+
+test('normalizes the master volume to 0-100, defaulting to 100', () => {
+  assert.equal(VolumeState.normalizeMasterVolume(60), 60);
+  assert.equal(VolumeState.normalizeMasterVolume(150), 100);
+  assert.equal(VolumeState.normalizeMasterVolume(-5), 0);
+  assert.equal(VolumeState.normalizeMasterVolume(undefined), 100);
+});